@@ -7,7 +7,7 @@ import { dirname } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const DB_PATH = path.join(__dirname, 'auth.db');
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'auth.db');
 const INIT_SQL_PATH = path.join(__dirname, 'init.sql');
 
 // Create database connection
@@ -79,8 +79,440 @@ const userDb = {
   }
 };
 
+// Columns of the sessions table; every other session field is kept in the metadata JSON
+const SESSION_COLUMNS = ['id', 'projectName', 'projectPath', 'title', 'created_at', 'updated_at', 'messageCount'];
+
+// Turn a sessions row back into the session object the rest of the server uses
+const rowToSession = (row) => {
+  if (!row) return null;
+  return {
+    id: row.id,
+    title: row.title,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    projectPath: row.project_path,
+    projectName: row.project_name,
+    messageCount: row.message_count,
+    ...JSON.parse(row.metadata || '{}')
+  };
+};
+
+const getSessionMetadata = (session) => {
+  const metadata = Object.fromEntries(
+    Object.entries(session).filter(([key]) => !SESSION_COLUMNS.includes(key))
+  );
+  return Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null;
+};
+
+const insertMessage = (sessionId, message) => {
+  db.prepare(`
+    INSERT INTO messages (message_id, session_id, role, content, timestamp, data)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(message.id, sessionId, message.role || null, message.content || null, message.timestamp || null, JSON.stringify(message));
+};
+
+// Session and message operations
+const sessionDb = {
+  // Get a session by ID
+  getSession: (sessionId) => {
+    try {
+      return rowToSession(db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId));
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Get every session of a project, newest first
+  getProjectSessions: (projectName) => {
+    try {
+      return db.prepare('SELECT * FROM sessions WHERE project_name = ? ORDER BY created_at DESC')
+        .all(projectName)
+        .map(rowToSession);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Get every stored session
+  getAllSessions: () => {
+    try {
+      return db.prepare('SELECT * FROM sessions').all().map(rowToSession);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Create a session
+  createSession: (session) => {
+    try {
+      db.prepare(`
+        INSERT INTO sessions (id, project_name, project_path, title, created_at, updated_at, message_count, metadata)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        session.id,
+        session.projectName,
+        session.projectPath || null,
+        session.title || null,
+        session.created_at,
+        session.updated_at,
+        session.messageCount || 0,
+        getSessionMetadata(session)
+      );
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Save a session's title, timestamps and metadata
+  updateSession: (session) => {
+    try {
+      db.prepare(`
+        UPDATE sessions SET title = ?, updated_at = ?, message_count = ?, metadata = ?
+        WHERE id = ?
+      `).run(session.title || null, session.updated_at, session.messageCount || 0, getSessionMetadata(session), session.id);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Move a session to another project
+  setSessionProject: (sessionId, projectName) => {
+    try {
+      db.prepare('UPDATE sessions SET project_name = ? WHERE id = ?').run(projectName, sessionId);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Delete a session and its messages; returns false if the project has no such session
+  deleteSession: (projectName, sessionId) => {
+    try {
+      const result = db.prepare('DELETE FROM sessions WHERE id = ? AND project_name = ?').run(sessionId, projectName);
+      return result.changes > 0;
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Delete every session of a project
+  deleteProjectSessions: (projectName) => {
+    try {
+      return db.prepare('DELETE FROM sessions WHERE project_name = ?').run(projectName).changes;
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Get a session's messages in the order they were recorded
+  getMessages: (sessionId) => {
+    try {
+      return db.prepare('SELECT data FROM messages WHERE session_id = ? ORDER BY id')
+        .all(sessionId)
+        .map(row => JSON.parse(row.data));
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Append a message and bump the session's count and activity time
+  addMessage: db.transaction((sessionId, message) => {
+    insertMessage(sessionId, message);
+    db.prepare('UPDATE sessions SET message_count = message_count + 1, updated_at = ? WHERE id = ?')
+      .run(message.timestamp, sessionId);
+  }),
+
+  // Copy existing messages into a session as they are, e.g. for forks and migrations
+  insertMessages: db.transaction((sessionId, messages) => {
+    for (const message of messages) {
+      insertMessage(sessionId, message);
+    }
+  })
+};
+
+// One-time migration bookkeeping
+const migrationDb = {
+  // Check whether a named migration has already run
+  isApplied: (name) => {
+    try {
+      return Boolean(db.prepare('SELECT 1 FROM migrations WHERE name = ?').get(name));
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Remember that a named migration has run
+  markApplied: (name) => {
+    try {
+      db.prepare('INSERT OR IGNORE INTO migrations (name) VALUES (?)').run(name);
+    } catch (err) {
+      throw err;
+    }
+  }
+};
+
+// Saved prompt operations
+const rowToPrompt = (row) => row && ({
+  id: row.id,
+  name: row.name,
+  content: row.content,
+  projectName: row.project_name,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+const promptDb = {
+  // Get the global prompts plus those saved for one project, by name
+  getPrompts: (projectName = null) => {
+    try {
+      return db.prepare(`
+        SELECT * FROM prompts
+        WHERE project_name IS NULL OR project_name = ?
+        ORDER BY name COLLATE NOCASE, id
+      `).all(projectName).map(rowToPrompt);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Get a prompt by ID
+  getPrompt: (id) => {
+    try {
+      return rowToPrompt(db.prepare('SELECT * FROM prompts WHERE id = ?').get(id));
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Save a new prompt
+  createPrompt: ({ name, content, projectName = null }) => {
+    try {
+      const now = new Date().toISOString();
+      const result = db.prepare(`
+        INSERT INTO prompts (name, content, project_name, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(name, content, projectName, now, now);
+      return promptDb.getPrompt(result.lastInsertRowid);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Replace a prompt's name, content and project
+  updatePrompt: (id, { name, content, projectName = null }) => {
+    try {
+      db.prepare(`
+        UPDATE prompts SET name = ?, content = ?, project_name = ?, updated_at = ?
+        WHERE id = ?
+      `).run(name, content, projectName, new Date().toISOString(), id);
+      return promptDb.getPrompt(id);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Move every prompt of one project to another; returns how many moved
+  reassignProject: (fromProjectName, toProjectName) => {
+    try {
+      return db.prepare('UPDATE prompts SET project_name = ? WHERE project_name = ?').run(toProjectName, fromProjectName).changes;
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Delete a prompt; returns false if there was no such prompt
+  deletePrompt: (id) => {
+    try {
+      return db.prepare('DELETE FROM prompts WHERE id = ?').run(id).changes > 0;
+    } catch (err) {
+      throw err;
+    }
+  }
+};
+
+// Scheduled prompt operations
+const rowToSchedule = (row) => row && ({
+  id: row.id,
+  name: row.name,
+  projectName: row.project_name,
+  prompt: row.prompt,
+  cron: row.cron,
+  allowedTools: row.allowed_tools ? JSON.parse(row.allowed_tools) : [],
+  timeout: row.timeout,
+  enabled: Boolean(row.enabled),
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+  lastRun: row.last_run_at ? {
+    at: row.last_run_at,
+    status: row.last_status,
+    sessionId: row.last_session_id,
+    error: row.last_error
+  } : null
+});
+
+const scheduleDb = {
+  // Get every schedule, oldest first
+  getSchedules: () => {
+    try {
+      return db.prepare('SELECT * FROM schedules ORDER BY id').all().map(rowToSchedule);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Get a schedule by ID
+  getSchedule: (id) => {
+    try {
+      return rowToSchedule(db.prepare('SELECT * FROM schedules WHERE id = ?').get(id));
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Save a new schedule
+  createSchedule: ({ name, projectName, prompt, cron, allowedTools = [], timeout = null, enabled = true }) => {
+    try {
+      const now = new Date().toISOString();
+      const result = db.prepare(`
+        INSERT INTO schedules (name, project_name, prompt, cron, allowed_tools, timeout, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(name, projectName, prompt, cron, JSON.stringify(allowedTools), timeout, enabled ? 1 : 0, now, now);
+      return scheduleDb.getSchedule(result.lastInsertRowid);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Replace a schedule's settings
+  updateSchedule: (id, { name, projectName, prompt, cron, allowedTools = [], timeout = null, enabled = true }) => {
+    try {
+      db.prepare(`
+        UPDATE schedules
+        SET name = ?, project_name = ?, prompt = ?, cron = ?, allowed_tools = ?, timeout = ?, enabled = ?, updated_at = ?
+        WHERE id = ?
+      `).run(name, projectName, prompt, cron, JSON.stringify(allowedTools), timeout, enabled ? 1 : 0, new Date().toISOString(), id);
+      return scheduleDb.getSchedule(id);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Remember how the latest run went
+  recordRun: (id, { at, status, sessionId = null, error = null }) => {
+    try {
+      db.prepare(`
+        UPDATE schedules SET last_run_at = ?, last_status = ?, last_session_id = ?, last_error = ?
+        WHERE id = ?
+      `).run(at, status, sessionId, error, id);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Move every schedule of one project to another; returns how many moved
+  reassignProject: (fromProjectName, toProjectName) => {
+    try {
+      return db.prepare('UPDATE schedules SET project_name = ? WHERE project_name = ?').run(toProjectName, fromProjectName).changes;
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Delete a schedule; returns false if there was no such schedule
+  deleteSchedule: (id) => {
+    try {
+      return db.prepare('DELETE FROM schedules WHERE id = ?').run(id).changes > 0;
+    } catch (err) {
+      throw err;
+    }
+  }
+};
+
+// Project index operations
+const rowToIndexedProject = (row) => row && ({
+  path: row.path,
+  name: row.name,
+  displayName: row.display_name,
+  lastModified: row.last_modified,
+  indexedAt: row.indexed_at
+});
+
+const projectIndexDb = {
+  // Get every indexed project
+  getProjects: () => {
+    try {
+      return db.prepare('SELECT * FROM project_index ORDER BY path').all().map(rowToIndexedProject);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Add a project or refresh its entry
+  saveProject: ({ path: projectPath, name, displayName, lastModified, indexedAt }) => {
+    try {
+      db.prepare(`
+        INSERT INTO project_index (path, name, display_name, last_modified, indexed_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(path) DO UPDATE SET
+          name = excluded.name,
+          display_name = excluded.display_name,
+          last_modified = excluded.last_modified,
+          indexed_at = excluded.indexed_at
+      `).run(projectPath, name, displayName, lastModified, indexedAt);
+    } catch (err) {
+      throw err;
+    }
+  },
+
+  // Forget projects; returns how many were removed
+  removeProjects: (paths) => {
+    try {
+      const remove = db.prepare('DELETE FROM project_index WHERE path = ?');
+      return db.transaction(() => paths.reduce((count, projectPath) => count + remove.run(projectPath).changes, 0))();
+    } catch (err) {
+      throw err;
+    }
+  }
+};
+
+// Session search operations; the indexes are maintained by triggers in init.sql
+const searchDb = {
+  // Match titles and messages; snippets mark hits with \u0002 ... \u0003
+  search: (matchQuery, limit) => {
+    try {
+      return db.prepare(`
+        SELECT m.session_id, m.message_id, m.role, m.snippet, m.rank,
+               st.project_name, st.title, st.updated_at
+        FROM (
+          SELECT session_id, message_id, role,
+                 snippet(session_search, 3, char(2), char(3), '…', 12) AS snippet,
+                 bm25(session_search) AS rank
+          FROM session_search
+          WHERE session_search MATCH ?
+          UNION ALL
+          SELECT session_id, NULL AS message_id, 'title' AS role,
+                 snippet(session_title_search, 1, char(2), char(3), '…', 12) AS snippet,
+                 bm25(session_title_search) AS rank
+          FROM session_title_search
+          WHERE session_title_search MATCH ?
+        ) m
+        JOIN sessions st ON st.id = m.session_id
+        ORDER BY m.rank
+        LIMIT ?
+      `).all(matchQuery, matchQuery, limit);
+    } catch (err) {
+      throw err;
+    }
+  }
+};
+
 export {
   db,
   initializeDatabase,
-  userDb
+  userDb,
+  sessionDb,
+  migrationDb,
+  promptDb,
+  scheduleDb,
+  projectIndexDb,
+  searchDb
 };
\ No newline at end of file
@@ -13,4 +13,125 @@ CREATE TABLE IF NOT EXISTS users (
 
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
-CREATE INDEX IF NOT EXISTS idx_users_active ON users(is_active);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_users_active ON users(is_active);
+
+-- One-time data migrations that have already run
+CREATE TABLE IF NOT EXISTS migrations (
+    name TEXT PRIMARY KEY,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Q chat sessions, one row per conversation
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    project_name TEXT NOT NULL, -- Project id, a hash of the project path (folder name before ids existed)
+    project_path TEXT,
+    title TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    metadata TEXT -- JSON for everything else (parentSessionId, importedFrom, contextPending, ...)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_project ON sessions(project_name, created_at);
+
+-- Messages in the order they were recorded
+CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    message_id TEXT NOT NULL,
+    session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    role TEXT,
+    content TEXT,
+    timestamp TEXT,
+    data TEXT NOT NULL -- The full message as JSON, including tool events
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_session ON messages(session_id, id);
+
+-- Full-text search index over Q message bodies; rowid matches messages.id
+CREATE VIRTUAL TABLE IF NOT EXISTS session_search USING fts5(
+    session_id UNINDEXED,
+    message_id UNINDEXED,
+    role UNINDEXED, -- 'user' or 'assistant'
+    content,
+    tokenize = 'unicode61'
+);
+
+-- Full-text search index over session titles
+CREATE VIRTUAL TABLE IF NOT EXISTS session_title_search USING fts5(
+    session_id UNINDEXED,
+    content,
+    tokenize = 'unicode61'
+);
+
+-- Keep the search indexes in step with the tables they cover
+CREATE TRIGGER IF NOT EXISTS messages_search_insert AFTER INSERT ON messages
+WHEN new.content IS NOT NULL AND new.content != ''
+BEGIN
+    INSERT INTO session_search (rowid, session_id, message_id, role, content)
+    VALUES (new.id, new.session_id, new.message_id, new.role, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS messages_search_delete AFTER DELETE ON messages
+BEGIN
+    DELETE FROM session_search WHERE rowid = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS sessions_search_insert AFTER INSERT ON sessions
+WHEN new.title IS NOT NULL
+BEGIN
+    INSERT INTO session_title_search (session_id, content) VALUES (new.id, new.title);
+END;
+
+CREATE TRIGGER IF NOT EXISTS sessions_search_update AFTER UPDATE OF title ON sessions
+BEGIN
+    DELETE FROM session_title_search WHERE session_id = old.id;
+    INSERT INTO session_title_search (session_id, content)
+    SELECT new.id, new.title WHERE new.title IS NOT NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS sessions_search_delete AFTER DELETE ON sessions
+BEGIN
+    DELETE FROM session_title_search WHERE session_id = old.id;
+END;
+
+-- Saved prompts; project_name is NULL for prompts shared by every project
+CREATE TABLE IF NOT EXISTS prompts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    content TEXT NOT NULL,
+    project_name TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompts_project ON prompts(project_name, name);
+
+-- Prompts run on a cron schedule; each run is recorded as a session
+CREATE TABLE IF NOT EXISTS schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    project_name TEXT NOT NULL,
+    prompt TEXT NOT NULL,
+    cron TEXT NOT NULL,
+    allowed_tools TEXT, -- JSON list of tools Q may use without asking
+    timeout INTEGER, -- Seconds
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    last_run_at TEXT,
+    last_status TEXT, -- completed, failed, timeout, aborted or skipped
+    last_session_id TEXT,
+    last_error TEXT
+);
+
+-- Folders found by project discovery, kept up to date from the projects watcher
+CREATE TABLE IF NOT EXISTS project_index (
+    path TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    display_name TEXT NOT NULL,
+    last_modified TEXT NOT NULL, -- Newest mtime of the folder and its package.json/README
+    indexed_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_index_name ON project_index(name);
@@ -0,0 +1,63 @@
+import path from 'path';
+import { db, sessionDb, promptDb, scheduleDb, migrationDb } from './db.js';
+import { getProjects, getProjectId, refreshProjectIndex, loadProjectConfig, saveProjectConfig } from '../projects.js';
+
+// One-time move from folder names to project ids. Projects used to be keyed by folder
+// name, so ~/code/api and ~/work/api shared their sessions. Sessions that know their
+// project path go to that project; everything else keyed by a folder name goes to the
+// first project with that name.
+
+const MIGRATION_NAME = 'project-ids';
+
+async function migrateProjectIds() {
+  if (migrationDb.isApplied(MIGRATION_NAME)) return;
+
+  // The saved index may be missing folders added since the last start
+  await refreshProjectIndex();
+
+  // Folder name -> ids of the projects in folders with that name
+  const idsByFolder = new Map();
+  for (const project of await getProjects()) {
+    const folder = path.basename(project.fullPath);
+    idsByFolder.set(folder, [...(idsByFolder.get(folder) || []), project.id]);
+  }
+  const knownIds = new Set([...idsByFolder.values()].flat());
+
+  let movedSessions = 0;
+  db.transaction(() => {
+    for (const session of sessionDb.getAllSessions()) {
+      if (knownIds.has(session.projectName)) continue;
+
+      const projectId = session.projectPath
+        ? getProjectId(session.projectPath)
+        : idsByFolder.get(session.projectName)?.[0];
+      if (projectId && projectId !== session.projectName) {
+        sessionDb.setSessionProject(session.id, projectId);
+        movedSessions++;
+      }
+    }
+
+    for (const [folder, [projectId]] of idsByFolder) {
+      promptDb.reassignProject(folder, projectId);
+      scheduleDb.reassignProject(folder, projectId);
+    }
+    migrationDb.markApplied(MIGRATION_NAME);
+  })();
+
+  // A display name set for a folder name applies to every project in a folder with that name
+  const config = await loadProjectConfig();
+  if (config.projectDisplayNames) {
+    config.projectDisplayNames = Object.fromEntries(
+      Object.entries(config.projectDisplayNames).flatMap(([key, displayName]) =>
+        (knownIds.has(key) ? [key] : idsByFolder.get(key) || [key]).map(projectId => [projectId, displayName])
+      )
+    );
+    await saveProjectConfig(config);
+  }
+
+  if (movedSessions > 0) {
+    console.log(`🔑 Moved ${movedSessions} session${movedSessions === 1 ? '' : 's'} from folder names to project ids`);
+  }
+}
+
+export { migrateProjectIds };
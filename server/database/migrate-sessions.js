@@ -0,0 +1,128 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { db, sessionDb, migrationDb } from './db.js';
+import { deriveSessionTitle, summarizeSession } from '../session-summary.js';
+
+// One-time import of the session files sessions used to be stored in:
+// ~/.q-developer/sessions/<project>/<id>.json and <id>_messages.jsonl.
+// The files are left where they are as a backup.
+
+const MIGRATION_NAME = 'sessions-from-json-files';
+const SUMMARY_MIGRATION_NAME = 'session-summaries';
+
+// Read a messages file, skipping lines that don't parse
+async function readMessagesFile(messagesPath) {
+  try {
+    const messagesData = await fs.readFile(messagesPath, 'utf8');
+    return messagesData.split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch (error) {
+    // Session has no messages yet
+    return [];
+  }
+}
+
+// Collect every session stored on disk along with its messages
+async function readSessionFiles(sessionsRoot) {
+  const sessions = [];
+
+  let projectDirs = [];
+  try {
+    projectDirs = await fs.readdir(sessionsRoot, { withFileTypes: true });
+  } catch (error) {
+    // No sessions were ever written
+    return sessions;
+  }
+
+  for (const entry of projectDirs) {
+    if (!entry.isDirectory()) continue;
+
+    const projectDir = path.join(sessionsRoot, entry.name);
+    for (const file of await fs.readdir(projectDir)) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const session = JSON.parse(await fs.readFile(path.join(projectDir, file), 'utf8'));
+        const sessionId = session.id || file.slice(0, -'.json'.length);
+        const messages = (await readMessagesFile(path.join(projectDir, `${sessionId}_messages.jsonl`)))
+          .map((message, index) => ({ ...message, id: message.id || `msg-migrated-${index}` }));
+
+        sessions.push({
+          session: {
+            ...session,
+            id: sessionId,
+            projectName: entry.name,
+            created_at: session.created_at || new Date().toISOString(),
+            updated_at: session.updated_at || session.created_at || new Date().toISOString(),
+            messageCount: messages.length
+          },
+          messages
+        });
+      } catch (error) {
+        console.error(`❌ Skipping unreadable session file ${file}:`, error.message);
+      }
+    }
+  }
+
+  return sessions;
+}
+
+// Move file-based sessions into SQLite, once
+async function migrateSessionFiles() {
+  if (migrationDb.isApplied(MIGRATION_NAME)) return;
+
+  const sessionsRoot = path.join(os.homedir(), '.q-developer', 'sessions');
+  const sessions = await readSessionFiles(sessionsRoot);
+
+  db.transaction(() => {
+    for (const { session, messages } of sessions) {
+      if (sessionDb.getSession(session.id)) continue;
+      sessionDb.createSession(session);
+      sessionDb.insertMessages(session.id, messages);
+    }
+    migrationDb.markApplied(MIGRATION_NAME);
+  })();
+
+  if (sessions.length > 0) {
+    console.log(`📦 Migrated ${sessions.length} session${sessions.length === 1 ? '' : 's'} from ${sessionsRoot} into the database`);
+  }
+}
+
+// Summarize sessions stored before summaries existed, once. Sessions that still carry the
+// old date-based default title are retitled from their first prompt.
+function summarizeStoredSessions() {
+  if (migrationDb.isApplied(SUMMARY_MIGRATION_NAME)) return;
+
+  let summarized = 0;
+  db.transaction(() => {
+    for (const session of sessionDb.getAllSessions()) {
+      if (session.summary) continue;
+
+      const messages = sessionDb.getMessages(session.id);
+      const firstPrompt = messages.find(message => message.role === 'user')?.content;
+      const title = /^Session \d/.test(session.title || '') && deriveSessionTitle(firstPrompt);
+      sessionDb.updateSession({
+        ...session,
+        ...(title && { title }),
+        summary: summarizeSession(messages)
+      });
+      summarized++;
+    }
+    migrationDb.markApplied(SUMMARY_MIGRATION_NAME);
+  })();
+
+  if (summarized > 0) {
+    console.log(`📝 Summarized ${summarized} stored session${summarized === 1 ? '' : 's'}`);
+  }
+}
+
+export { migrateSessionFiles, summarizeStoredSessions };
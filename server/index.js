@@ -54,93 +54,112 @@ import pty from 'node-pty';
 import fetch from 'node-fetch';
 import mime from 'mime-types';
 
-import { getProjects, getSessions, getSessionMessages, renameProject, deleteSession, deleteProject, addProjectManually, extractProjectDirectory, clearProjectDirectoryCache } from './projects.js';
+import { getProjects, getProject, validateProjectMetadata, updateProjectMetadata, getProjectMetadata, getProjectId, getSessions, parseSessionCursor, SESSION_SORTS, normalizeSessionTags, isValidProjectName, getSessionMessages, getSession, createSession, addMessageToSession, recordQReply, updateSession, forkSession, onSessionsChanged, renameProject, deleteSession, deleteProject, extractProjectDirectory, resolveProjectId, loadProjectIndex, updateProjectIndex, getDiscoverySettings, getDiscoveryRoots, createDiscoveryIgnoreMatcher, onDiscoverySettingsChanged } from './projects.js';
+import { spawnQ, abortQSession, getQProcesses, watchShellQ, isLatestQConversation } from './q-cli.js';
+import { createQOutputParser } from './q-output-parser.js';
+import { exportSession, EXPORT_FORMATS } from './session-export.js';
+import { IMPORT_FORMATS, importSession, buildImportedContext } from './session-import.js';
+import { deriveSessionTitle } from './session-summary.js';
+import { searchSessions } from './session-search.js';
+import { validateRunRequest, startJob, getJob, subscribeToJob, toJobView } from './jobs.js';
 import gitRoutes from './routes/git.js';
 import authRoutes from './routes/auth.js';
 import mcpRoutes from './routes/mcp.js';
+import promptRoutes from './routes/prompts.js';
+import scheduleRoutes from './routes/schedules.js';
+import settingsRoutes from './routes/settings.js';
+import { validateCreateRequest, createProject } from './project-creation.js';
 import { initializeDatabase } from './database/db.js';
+import { migrateSessionFiles, summarizeStoredSessions } from './database/migrate-sessions.js';
+import { migrateProjectIds } from './database/migrate-project-ids.js';
+import { startScheduler } from './scheduler.js';
 import { validateApiKey, authenticateToken, authenticateWebSocket } from './middleware/auth.js';
 
 // File system watcher for projects folder
 let projectsWatcher = null;
 const connectedClients = new Set();
 
-// Setup file system watcher for Q Developer projects folder using chokidar
+// Tell every projects client about changes, debounced to prevent excessive notifications
+let broadcastTimer;
+function broadcastProjectsUpdate(changeType, changedFile = null) {
+  clearTimeout(broadcastTimer);
+  broadcastTimer = setTimeout(async () => {
+    try {
+      // Get updated projects list
+      const updatedProjects = await getProjects();
+      
+      // Notify all connected clients about the project changes
+      const updateMessage = JSON.stringify({
+        type: 'projects_updated',
+        projects: updatedProjects,
+        timestamp: new Date().toISOString(),
+        changeType,
+        changedFile
+      });
+      
+      connectedClients.forEach(client => {
+        if (client.readyState === client.OPEN) {
+          client.send(updateMessage);
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error handling project changes:', error);
+    }
+  }, 300);
+}
+
+// Sessions live in the database, so their changes are reported here rather than by the watcher
+onSessionsChanged((changeType, sessionId) => {
+  broadcastProjectsUpdate(changeType, sessionId);
+});
+
+// Watch the project discovery roots so projects appear and disappear as folders change
 async function setupProjectsWatcher() {
   const chokidar = (await import('chokidar')).default;
-  const qProjectsPath = path.join(process.env.HOME, '.q-developer', 'sessions');
+  const settings = await getDiscoverySettings();
+  const roots = await getDiscoveryRoots(settings);
   
   if (projectsWatcher) {
-    projectsWatcher.close();
+    await projectsWatcher.close();
+    projectsWatcher = null;
   }
   
   try {
-    // Initialize chokidar watcher with optimized settings
-    projectsWatcher = chokidar.watch(qProjectsPath, {
-      ignored: [
-        '**/node_modules/**',
-        '**/.git/**',
-        '**/dist/**',
-        '**/build/**',
-        '**/*.tmp',
-        '**/*.swp',
-        '**/.DS_Store'
-      ],
+    // Deep enough to see the indicator files inside the deepest candidate folders
+    projectsWatcher = chokidar.watch(roots, {
+      ignored: createDiscoveryIgnoreMatcher(settings, roots),
       persistent: true,
       ignoreInitial: true, // Don't fire events for existing files on startup
       followSymlinks: false,
-      depth: 10, // Reasonable depth limit
+      depth: settings.depth,
       awaitWriteFinish: {
         stabilityThreshold: 100, // Wait 100ms for file to stabilize
         pollInterval: 50
       }
     });
     
-    // Debounce function to prevent excessive notifications
-    let debounceTimer;
-    const debouncedUpdate = async (eventType, filePath) => {
-      clearTimeout(debounceTimer);
-      debounceTimer = setTimeout(async () => {
-        try {
-          
-          // Clear project directory cache when files change
-          clearProjectDirectoryCache();
-          
-          // Get updated projects list
-          const updatedProjects = await getProjects();
-          
-          // Notify all connected clients about the project changes
-          const updateMessage = JSON.stringify({
-            type: 'projects_updated',
-            projects: updatedProjects,
-            timestamp: new Date().toISOString(),
-            changeType: eventType,
-            changedFile: path.relative(qProjectsPath, filePath)
-          });
-          
-          connectedClients.forEach(client => {
-            if (client.readyState === client.OPEN) {
-              client.send(updateMessage);
-            }
-          });
-          
-        } catch (error) {
-          console.error('❌ Error handling project changes:', error);
+    // Update the project index and tell clients only when the project list actually changed
+    const handleChange = async (eventType, filePath) => {
+      try {
+        if (await updateProjectIndex(eventType, filePath)) {
+          broadcastProjectsUpdate(eventType, filePath);
         }
-      }, 300); // 300ms debounce (slightly faster than before)
+      } catch (error) {
+        console.error('❌ Error updating project index:', error);
+      }
     };
     
-    // Set up event listeners
     projectsWatcher
-      .on('add', (filePath) => debouncedUpdate('add', filePath))
-      .on('change', (filePath) => debouncedUpdate('change', filePath))
-      .on('unlink', (filePath) => debouncedUpdate('unlink', filePath))
-      .on('addDir', (dirPath) => debouncedUpdate('addDir', dirPath))
-      .on('unlinkDir', (dirPath) => debouncedUpdate('unlinkDir', dirPath))
+      .on('add', (filePath) => handleChange('add', filePath))
+      .on('change', (filePath) => handleChange('change', filePath))
+      .on('unlink', (filePath) => handleChange('unlink', filePath))
+      .on('addDir', (dirPath) => handleChange('addDir', dirPath))
+      .on('unlinkDir', (dirPath) => handleChange('unlinkDir', dirPath))
       .on('error', (error) => {
         console.error('❌ Chokidar watcher error:', error);
       })
-      .on('ready', () => {
+      .once('ready', () => {
+        console.log(`👀 Watching ${roots.length} project root${roots.length === 1 ? '' : 's'} to depth ${settings.depth}`);
       });
     
   } catch (error) {
@@ -148,6 +167,15 @@ async function setupProjectsWatcher() {
   }
 }
 
+// Discovery roots or rules changed: watch the new roots and send everyone the new project list.
+// Changes are handled one at a time so quick successive saves can't leave two watchers running
+let watcherRestart = Promise.resolve();
+onDiscoverySettingsChanged(() => {
+  watcherRestart = watcherRestart
+    .then(setupProjectsWatcher)
+    .then(() => broadcastProjectsUpdate('discovery', null));
+});
+
 
 const app = express();
 const server = http.createServer(app);
@@ -199,9 +227,44 @@ app.use('/api/git', authenticateToken, gitRoutes);
 // MCP API Routes (protected)
 app.use('/api/mcp', authenticateToken, mcpRoutes);
 
+// Saved prompt library (protected)
+app.use('/api/prompts', authenticateToken, promptRoutes);
+
+// Scheduled Q prompts (protected)
+app.use('/api/schedules', authenticateToken, scheduleRoutes);
+
+// Server settings (protected)
+app.use('/api/settings', authenticateToken, settingsRoutes);
+
 // Static files served after API routes
 app.use(express.static(path.join(__dirname, '../dist')));
 
+// Reject project names that aren't a single directory name before any route uses them.
+// Routes take the project id; a folder name is swapped for the id while it is unambiguous
+app.param('projectName', async (req, res, next, projectName) => {
+  if (!isValidProjectName(projectName)) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+  try {
+    req.params.projectName = (await resolveProjectId(projectName)) || projectName;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Session routes answer 404 for projects that aren't in the project index
+async function requireKnownProject(req, res, next) {
+  try {
+    if (!(await resolveProjectId(req.params.projectName))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
 // API Routes (protected)
 app.get('/api/config', authenticateToken, (req, res) => {
   const host = req.headers.host || `${req.hostname}:${PORT}`;
@@ -224,10 +287,35 @@ app.get('/api/projects', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/projects/:projectName/sessions', authenticateToken, async (req, res) => {
+// List a project's sessions a page at a time: ?limit=&offset= or ?limit=&cursor=, plus ?sort=updated|created|title.
+// Pinned sessions come first; ?tag= filters by tag and ?archived=true includes archived sessions
+app.get('/api/projects/:projectName/sessions', authenticateToken, requireKnownProject, async (req, res) => {
   try {
-    const { limit = 5, offset = 0 } = req.query;
-    const result = await getSessions(req.params.projectName, parseInt(limit), parseInt(offset));
+    const { limit = '5', offset = '0', cursor, sort = 'updated', tag, archived } = req.query;
+    const parsedLimit = Number(limit);
+    const parsedOffset = Number(offset);
+    
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+    }
+    if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+    if (!Object.hasOwn(SESSION_SORTS, sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(SESSION_SORTS).join(', ')}` });
+    }
+    if (cursor !== undefined && !parseSessionCursor(String(cursor))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const result = await getSessions(req.params.projectName, {
+      limit: parsedLimit,
+      offset: parsedOffset,
+      cursor: cursor !== undefined ? String(cursor) : null,
+      sort,
+      tag: tag ? String(tag).toLowerCase() : null,
+      includeArchived: archived === 'true'
+    });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -235,32 +323,344 @@ app.get('/api/projects/:projectName/sessions', authenticateToken, async (req, re
 });
 
 // Get messages for a specific session
-app.get('/api/projects/:projectName/sessions/:sessionId/messages', authenticateToken, async (req, res) => {
+app.get('/api/projects/:projectName/sessions/:sessionId/messages', authenticateToken, requireKnownProject, async (req, res) => {
   try {
     const { projectName, sessionId } = req.params;
-    const messages = await getSessionMessages(projectName, sessionId);
+    
+    const session = await getSession(sessionId);
+    if (!session || session.projectName !== projectName) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const messages = await getSessionMessages(sessionId);
     res.json({ messages });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Update a session's title, tags, pinned or archived flags
+app.patch('/api/projects/:projectName/sessions/:sessionId', authenticateToken, requireKnownProject, async (req, res) => {
+  try {
+    const { projectName, sessionId } = req.params;
+    const { title, tags, pinned, archived, ...rest } = req.body || {};
+    const updates = {};
+    
+    if (Object.keys(rest).length > 0) {
+      return res.status(400).json({ error: `Unknown fields: ${Object.keys(rest).join(', ')}` });
+    }
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim() || title.length > 200) {
+        return res.status(400).json({ error: 'title must be a non-empty string of at most 200 characters' });
+      }
+      updates.title = title.trim();
+    }
+    if (tags !== undefined) {
+      const normalizedTags = normalizeSessionTags(tags);
+      if (!normalizedTags || normalizedTags.length > 20 || normalizedTags.some(tag => tag.length > 40)) {
+        return res.status(400).json({ error: 'tags must be a list of at most 20 strings of up to 40 characters' });
+      }
+      updates.tags = normalizedTags;
+    }
+    for (const [field, value] of [['pinned', pinned], ['archived', archived]]) {
+      if (value === undefined) continue;
+      if (typeof value !== 'boolean') {
+        return res.status(400).json({ error: `${field} must be true or false` });
+      }
+      updates[field] = value;
+    }
+    
+    const session = await getSession(sessionId);
+    if (!session || session.projectName !== projectName) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const updated = await updateSession(sessionId, updates);
+    res.json({ session: updated });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export a session as Markdown, JSON or self-contained HTML
+app.get('/api/projects/:projectName/sessions/:sessionId/export', authenticateToken, requireKnownProject, async (req, res) => {
+  try {
+    const { projectName, sessionId } = req.params;
+    const format = req.query.format || 'md';
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    
+    const session = await getSession(sessionId);
+    if (!session || session.projectName !== projectName) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const messages = await getSessionMessages(sessionId);
+    const exported = exportSession(session, messages, format);
+    
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.send(exported.body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Branch a session: copy its messages up to and including messageId into a new session
+app.post('/api/projects/:projectName/sessions/:sessionId/fork', authenticateToken, requireKnownProject, async (req, res) => {
+  try {
+    const { projectName, sessionId } = req.params;
+    const { messageId } = req.body;
+    
+    if (!messageId || typeof messageId !== 'string') {
+      return res.status(400).json({ error: 'messageId is required' });
+    }
+    
+    const session = await getSession(sessionId);
+    if (!session || session.projectName !== projectName) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const fork = await forkSession(sessionId, messageId);
+    if (!fork) {
+      return res.status(404).json({ error: 'Message not found in this session' });
+    }
+    
+    console.log(`🌿 Forked session ${sessionId} at ${messageId} into ${fork.id}`);
+    res.json({ session: fork });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import a terminal log, asciicast recording or Q conversation export as a new session
+app.post('/api/projects/:projectName/sessions/import', authenticateToken, requireKnownProject, async (req, res) => {
+  try {
+    const multer = (await import('multer')).default;
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: 20 * 1024 * 1024 // 20MB
+      }
+    });
+    
+    // Handle multipart form data
+    upload.single('file')(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file provided' });
+      }
+      
+      const format = req.body.format || null;
+      if (format && !IMPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+      }
+      
+      try {
+        const projectPath = await extractProjectDirectory(req.params.projectName);
+        if (!projectPath) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+        
+        const result = await importSession(projectPath, req.file.buffer.toString('utf8'), {
+          fileName: req.file.originalname,
+          format,
+          title: req.body.title || null
+        });
+        if (!result) {
+          return res.status(400).json({ error: 'No Q conversation found in this file' });
+        }
+        
+        console.log(`📥 Imported ${result.messageCount} messages from ${req.file.originalname} (${result.format}) into session ${result.session.id}`);
+        res.json(result);
+      } catch (error) {
+        console.error('Error importing session:', error);
+        res.status(400).json({ error: `Could not import file: ${error.message}` });
+      }
+    });
+  } catch (error) {
+    console.error('Error in session import endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run a prompt headlessly, e.g. from a script; returns a job to poll or stream.
+// Body: { prompt, allowedTools?: [tool names Q may use without asking], timeout?: seconds }
+app.post('/api/projects/:projectName/run', authenticateToken, async (req, res) => {
+  try {
+    const { prompt, allowedTools, timeout } = req.body || {};
+    const validationError = validateRunRequest({ prompt, allowedTools, timeout });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const projectPath = await extractProjectDirectory(req.params.projectName);
+    if (!projectPath) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const job = await startJob({
+      projectName: req.params.projectName,
+      projectPath,
+      prompt,
+      allowedTools: allowedTools?.map(tool => tool.trim()),
+      timeout
+    });
+    res.status(202).json({ jobId: job.id, sessionId: job.sessionId, status: job.status });
+  } catch (error) {
+    console.error('Error starting job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Running and queued Q processes across all projects
+app.get('/api/processes', authenticateToken, async (req, res) => {
+  res.json(await getQProcesses());
+});
+
+// Stop a running Q process, or take a run out of the queue
+app.delete('/api/processes/:id', authenticateToken, async (req, res) => {
+  const success = await abortQSession(req.params.id);
+  if (!success) {
+    return res.status(404).json({ error: 'No running or queued Q process with this id' });
+  }
+  console.log(`🔪 Stopped Q process ${req.params.id} from the process list`);
+  res.json({ success: true });
+});
+
+// Status and output of a headless run
+app.get('/api/jobs/:jobId', authenticateToken, (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job: toJobView(job) });
+});
+
+// Follow a headless run as Server-Sent Events: output, stderr, event and status
+// messages, then a final done message with the job's result
+app.get('/api/jobs/:jobId/stream', authenticateToken, (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  // Keep idle connections from being closed by proxies while Q is thinking
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = subscribeToJob(job, (entry) => {
+    res.write(`event: ${entry.type}\ndata: ${JSON.stringify(entry)}\n\n`);
+    if (entry.type === 'done') {
+      res.end();
+    }
+  });
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 // Rename project endpoint
 app.put('/api/projects/:projectName/rename', authenticateToken, async (req, res) => {
   try {
-    const { displayName } = req.body;
+    const { displayName = null } = req.body || {};
+    const validationError = validateProjectMetadata({ displayName });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
     await renameProject(req.params.projectName, displayName);
+    broadcastProjectsUpdate('metadata', req.params.projectName);
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Get a project with its metadata
+app.get('/api/projects/:projectName', authenticateToken, async (req, res) => {
+  try {
+    const project = await getProject(req.params.projectName);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ project });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a project's display name, description, color, icon, default branch or Q profile.
+// Fields that are left out keep their value; null or an empty string clears one
+app.patch('/api/projects/:projectName', authenticateToken, async (req, res) => {
+  try {
+    const updates = req.body || {};
+    const validationError = validateProjectMetadata(updates);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (!(await getProject(req.params.projectName))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    await updateProjectMetadata(req.params.projectName, updates);
+    broadcastProjectsUpdate('metadata', req.params.projectName);
+    res.json({ project: await getProject(req.params.projectName) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete session endpoint
-app.delete('/api/projects/:projectName/sessions/:sessionId', authenticateToken, async (req, res) => {
+app.delete('/api/projects/:projectName/sessions/:sessionId', authenticateToken, requireKnownProject, async (req, res) => {
   try {
     const { projectName, sessionId } = req.params;
-    await deleteSession(projectName, sessionId);
+    const deleted = await deleteSession(projectName, sessionId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Search session titles and messages; snippets mark hits with \u0002 ... \u0003
+app.get('/api/search/sessions', authenticateToken, async (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+    const limit = Number(req.query.limit ?? 20);
+    
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+    }
+    if (!query) {
+      return res.json({ results: [] });
+    }
+    
+    res.json({ results: searchSessions(query, { limit }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Abort a running Q request for a session
+app.post('/api/sessions/:sessionId/abort', authenticateToken, async (req, res) => {
+  try {
+    const success = await abortQSession(req.params.sessionId);
+    if (!success) {
+      return res.status(404).json({ error: 'No running Q process for this session' });
+    }
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -278,17 +678,38 @@ app.delete('/api/projects/:projectName', authenticateToken, async (req, res) =>
   }
 });
 
-// Create project endpoint
+// Create project endpoint. mode "existing" (the default) registers a folder that is already there;
+// "empty", "template" and "clone" create the folder first and stream their progress as
+// Server-Sent Events: progress messages, then done with the project or error
 app.post('/api/projects/create', authenticateToken, async (req, res) => {
   try {
-    const { path: projectPath } = req.body;
+    const { request, error } = await validateCreateRequest(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
-    if (!projectPath || !projectPath.trim()) {
-      return res.status(400).json({ error: 'Project path is required' });
+    if (request.mode === 'existing') {
+      const project = await createProject(request);
+      return res.json({ success: true, project });
     }
     
-    const project = await addProjectManually(projectPath.trim());
-    res.json({ success: true, project });
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    
+    try {
+      const project = await createProject(request, message => send('progress', { message }));
+      console.log(`📦 Created project ${project.fullPath} (${request.mode})`);
+      send('done', { project });
+    } catch (createError) {
+      console.error('Error creating project:', createError);
+      send('error', { error: createError.message });
+    }
+    res.end();
   } catch (error) {
     console.error('Error creating project:', error);
     res.status(500).json({ error: error.message });
@@ -460,6 +881,8 @@ wss.on('connection', (ws, request) => {
   
   if (pathname === '/shell') {
     handleShellConnection(ws);
+  } else if (pathname === '/chat') {
+    handleChatConnection(ws);
   } else if (pathname === '/projects') {
     handleProjectsConnection(ws);
   } else {
@@ -482,10 +905,134 @@ function handleProjectsConnection(ws) {
   });
 }
 
+// Handle chat WebSocket connections for structured Q conversations
+function handleChatConnection(ws) {
+  console.log('💬 Chat client connected');
+  
+  ws.on('message', async (message) => {
+    let data;
+    try {
+      data = JSON.parse(message);
+      console.log('📨 Chat message received:', data.type);
+    } catch (error) {
+      console.error('❌ Invalid chat message:', error.message);
+      return;
+    }
+    
+    if (data.type === 'q-command') {
+      const options = data.options || {};
+      console.log('💬 Q command:', data.command);
+      console.log('📁 Project path:', options.projectPath || 'Unknown');
+      
+      // Start a stored session on the first prompt and record it before Q runs
+      let sessionId = options.sessionId;
+      let prompt = data.command;
+      let resume = Boolean(options.resume || options.sessionId);
+      try {
+        if (sessionId) {
+          // Q has never seen an imported or forked conversation, so hand it over with the first new prompt.
+          // The same goes for a session whose conversation is no longer the latest one Q ran in this
+          // directory, which is all --resume can pick up
+          const session = await getSession(sessionId);
+          const isLatest = isLatestQConversation(options.cwd || options.projectPath, sessionId);
+          if (session?.contextPending || (resume && !isLatest)) {
+            const context = buildImportedContext(await getSessionMessages(sessionId));
+            if (context) {
+              prompt = `${context}\n\n${data.command}`;
+            }
+            resume = false;
+            if (session?.contextPending) {
+              await updateSession(sessionId, { contextPending: false });
+            } else if (ws.readyState === ws.OPEN) {
+              ws.send(JSON.stringify({
+                type: 'q-notice',
+                sessionId,
+                message: 'Q has run another conversation in this project since, so it starts a new one with this session\'s transcript'
+              }));
+            }
+          }
+        } else {
+          const session = await createSession(options.projectPath || options.cwd, deriveSessionTitle(data.command));
+          sessionId = session.id;
+          console.log('📝 Created chat session:', sessionId);
+        }
+        await addMessageToSession(sessionId, {
+          role: 'user',
+          content: data.command,
+          ...(options.images?.length > 0 && { attachments: options.images.map(image => image.name) })
+        });
+      } catch (error) {
+        // Without a stored session Q's reply would have nowhere to go, so don't run it
+        console.error('❌ Failed to record chat prompt:', error.message);
+        if (ws.readyState === ws.OPEN) {
+          const timestamp = new Date().toISOString();
+          ws.send(JSON.stringify({ type: 'q-error', error: `Couldn't save the prompt: ${error.message}`, sessionId, timestamp }));
+          // Ends the prompt in the chat panel; Q never started, so there's no exit code
+          ws.send(JSON.stringify({ type: 'q-complete', sessionId, timestamp }));
+        }
+        return;
+      }
+      
+      let result;
+      try {
+        // Each prompt is a separate Q process, so follow-ups resume the stored conversation.
+        // spawnQ streams q-output / q-error / q-complete back over this socket
+        result = await spawnQ(prompt, { ...options, sessionId, resume }, ws);
+        result.exitCode = 0;
+      } catch (error) {
+        // Failures are already reported to the client by spawnQ
+        console.error('❌ Q command failed:', error.message);
+        result = {
+          output: error.output || '',
+          events: error.events || [],
+          exitCode: error.exitCode ?? null,
+          usage: error.usage,
+          aborted: Boolean(error.aborted),
+          error: error.message
+        };
+      }
+      
+      try {
+        await recordQReply(sessionId, result);
+      } catch (error) {
+        console.error('❌ Failed to record chat response:', error.message);
+      }
+    } else if (data.type === 'abort-session') {
+      // spawnQ reports the end of the run with q-complete { aborted: true }
+      const success = await abortQSession(data.sessionId);
+      ws.send(JSON.stringify({ type: 'session-aborted', sessionId: data.sessionId, success }));
+    }
+  });
+  
+  ws.on('close', () => {
+    console.log('🔌 Chat client disconnected');
+  });
+  
+  ws.on('error', (error) => {
+    console.error('❌ Chat WebSocket error:', error);
+  });
+}
+
 // Handle shell WebSocket connections
 function handleShellConnection(ws) {
   console.log('🐚 Shell client connected');
   let shellProcess = null;
+  let shellQ = null; // Keeps Q in the terminal in the run queue and the process list
+  let pendingApprovalId = null; // Tool approval prompt currently shown to the user
+  const outputParser = createQOutputParser();
+  
+  // Tell the client the approval prompt has been answered (by the modal or the keyboard)
+  const resolvePendingApproval = (decision) => {
+    if (!pendingApprovalId) return;
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'tool-approval-resolved',
+        requestId: pendingApprovalId,
+        decision
+      }));
+    }
+    pendingApprovalId = null;
+  };
   
   ws.on('message', async (message) => {
     try {
@@ -497,13 +1044,20 @@ function handleShellConnection(ws) {
         const projectPath = data.projectPath || process.cwd();
         const sessionId = data.sessionId;
         const hasSession = data.hasSession;
+        // --resume picks up the latest conversation in the directory, which may belong to another session
+        const resume = hasSession && isLatestQConversation(projectPath, sessionId);
+        const { qProfile } = await getProjectMetadata(getProjectId(projectPath));
         
         console.log('🚀 Starting shell in:', projectPath);
-        console.log('📋 Session info:', hasSession ? `Resume session ${sessionId}` : 'New session');
+        console.log('📋 Session info:', hasSession ? `${resume ? 'Resume' : 'Cannot resume'} session ${sessionId}` : 'New session');
         
         // First send a welcome message with usage instructions
         const welcomeMsg = `\x1b[36mQ Developer Shell started in: ${projectPath}\x1b[0m\r\n` +
-          `\x1b[32m🚀 Amazon Q Developer CLI will auto-start shortly...\x1b[0m\r\n` +
+          (resume
+            ? `\x1b[32m🚀 Resuming the previous Q Developer conversation...\x1b[0m\r\n`
+            : hasSession
+              ? `\x1b[33m⚠️  Q has run another conversation in this project since this session, so it can't be resumed here; Q starts a new one (continue the session in the Chat tab instead)\x1b[0m\r\n`
+              : `\x1b[32m🚀 Amazon Q Developer CLI will auto-start shortly...\x1b[0m\r\n`) +
           `\x1b[33mUsage: q chat "your message here"\x1b[0m\r\n` +
           `\x1b[33mOr use: q chat (for interactive mode)\x1b[0m\r\n\r\n`;
         
@@ -534,6 +1088,7 @@ function handleShellConnection(ws) {
           });
           
           console.log('🟢 Shell process started with PTY, PID:', shellProcess.pid);
+          shellQ = watchShellQ(shellProcess.pid, projectPath);
           
           // Auto-start Q Developer CLI after shell is ready
           let shellReady = false;
@@ -562,10 +1117,30 @@ function handleShellConnection(ws) {
                   console.log('🎯 Shell prompt detected, auto-starting Q Developer CLI...');
                   
                   // Wait a moment for shell to be fully ready, then send q chat command
-                  setTimeout(() => {
+                  const qCommand = ['q chat', resume && '--resume', qProfile && `--profile ${qProfile}`].filter(Boolean).join(' ');
+                  setTimeout(async () => {
+                    // Like chats and jobs, wait until no other Q run is working in this project
+                    try {
+                      await shellQ.claim((position) => {
+                        if (ws.readyState === ws.OPEN) {
+                          ws.send(JSON.stringify({
+                            type: 'output',
+                            data: `\x1b[33m⏳ Waiting for another Q run to finish (position ${position} in the queue)...\x1b[0m\r\n`
+                          }));
+                        }
+                      }, resume ? sessionId : null);
+                    } catch (error) {
+                      if (ws.readyState === ws.OPEN) {
+                        ws.send(JSON.stringify({
+                          type: 'output',
+                          data: `\x1b[33mQ was not started: ${error.message}\x1b[0m\r\n`
+                        }));
+                      }
+                      return;
+                    }
                     if (shellProcess && shellProcess.write) {
-                      console.log('🚀 Auto-executing: q chat');
-                      shellProcess.write('q chat\r');
+                      console.log(`🚀 Auto-executing: ${qCommand}`);
+                      shellProcess.write(`${qCommand}\r`);
                       shellReady = true;
                     }
                   }, 500);
@@ -610,6 +1185,20 @@ function handleShellConnection(ws) {
                 type: 'output',
                 data: outputData
               }));
+              
+              // Surface Q's "Allow this action? [y/n/t]" prompts to the client
+              for (const event of outputParser.push(data)) {
+                if (event.type === 'approval-prompt') {
+                  pendingApprovalId = `approval-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+                  console.log('🔐 Tool approval requested:', event.tool || 'unknown tool');
+                  ws.send(JSON.stringify({
+                    type: 'tool-approval-request',
+                    requestId: pendingApprovalId,
+                    tool: event.tool,
+                    prompt: event.prompt
+                  }));
+                }
+              }
             }
           });
           
@@ -622,6 +1211,7 @@ function handleShellConnection(ws) {
                 data: `\r\n\x1b[33mProcess exited with code ${exitCode.exitCode}${exitCode.signal ? ` (${exitCode.signal})` : ''}\x1b[0m\r\n`
               }));
             }
+            shellQ?.stop();
             shellProcess = null;
           });
           
@@ -637,6 +1227,10 @@ function handleShellConnection(ws) {
         // Send input to shell process
         if (shellProcess && shellProcess.write) {
           try {
+            // The user answered the approval prompt in the terminal itself
+            if (pendingApprovalId && /[\r\n]/.test(data.data)) {
+              resolvePendingApproval(null);
+            }
             shellProcess.write(data.data);
           } catch (error) {
             console.error('Error writing to shell:', error);
@@ -644,6 +1238,13 @@ function handleShellConnection(ws) {
         } else {
           console.warn('No active shell process to send input to');
         }
+      } else if (data.type === 'tool-approval-response') {
+        // Answer the approval prompt with the decision picked in the modal
+        if (shellProcess && shellProcess.write && data.requestId === pendingApprovalId &&
+            ['y', 'n', 't'].includes(data.decision)) {
+          shellProcess.write(`${data.decision}\r`);
+          resolvePendingApproval(data.decision);
+        }
       } else if (data.type === 'resize') {
         // Handle terminal resize
         if (shellProcess && shellProcess.resize) {
@@ -664,6 +1265,7 @@ function handleShellConnection(ws) {
   
   ws.on('close', () => {
     console.log('🔌 Shell client disconnected');
+    shellQ?.stop();
     if (shellProcess && shellProcess.kill) {
       console.log('🔴 Killing shell process:', shellProcess.pid);
       shellProcess.kill();
@@ -1008,6 +1610,19 @@ async function startServer() {
     await initializeDatabase();
     console.log('✅ Database initialization skipped (testing)');
     
+    // Sessions used to be JSON files; bring them into the database once
+    await migrateSessionFiles();
+    summarizeStoredSessions();
+    
+    // Load the saved project index; it is checked against the disk in the background
+    await loadProjectIndex();
+    
+    // Sessions, prompts and schedules used to be keyed by folder name; move them to project ids once
+    await migrateProjectIds();
+    
+    // Pick up saved schedules and start running them
+    startScheduler();
+    
     server.listen(PORT, '0.0.0.0', async () => {
       console.log(`Q Developer WebUI server running on http://0.0.0.0:${PORT}`);
       
@@ -0,0 +1,221 @@
+import { spawnQ, abortQSession } from './q-cli.js';
+import { createSession, addMessageToSession, recordQReply } from './projects.js';
+import { deriveSessionTitle } from './session-summary.js';
+
+// Headless Q runs started over REST. Each job is recorded as a session; the
+// job itself (status, output, stream subscribers) lives in memory only.
+
+const DEFAULT_TIMEOUT_SECONDS = 600;
+const MAX_TIMEOUT_SECONDS = 3600;
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000; // Finished jobs stay queryable for an hour
+const MAX_FINISHED_JOBS = 100;
+
+const jobs = new Map(); // Job ID -> job
+
+// The part of a job that is returned over the API
+function toJobView(job, { includeOutput = true } = {}) {
+  return {
+    id: job.id,
+    projectName: job.projectName,
+    sessionId: job.sessionId,
+    prompt: job.prompt,
+    allowedTools: job.allowedTools,
+    timeout: job.timeout,
+    status: job.status,
+    queuePosition: job.queuePosition,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    exitCode: job.exitCode,
+    usage: job.usage,
+    error: job.error,
+    ...(includeOutput && {
+      output: job.output,
+      events: job.events
+    })
+  };
+}
+
+// Forget finished jobs once they are old, or once there are too many of them
+function pruneJobs() {
+  const finished = [...jobs.values()].filter(job => job.finishedAt);
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  finished.forEach((job, index) => {
+    if (Date.parse(job.finishedAt) < cutoff || finished.length - index > MAX_FINISHED_JOBS) {
+      jobs.delete(job.id);
+    }
+  });
+}
+
+// Pass a stream entry to every subscriber and keep it for those who subscribe later
+function publish(job, entry) {
+  if (entry.type !== 'status') {
+    job.log.push(entry);
+  }
+  for (const listener of job.listeners) {
+    listener(entry);
+  }
+}
+
+// Stands in for the chat WebSocket that spawnQ reports to. onStarted is called once the Q
+// process has been spawned
+function createJobSink(job, onStarted) {
+  return {
+    readyState: 1,
+    send(payload) {
+      const message = JSON.parse(payload);
+      switch (message.type) {
+        case 'q-queued':
+          job.status = 'queued';
+          job.queuePosition = message.position;
+          publish(job, { type: 'queued', position: message.position });
+          break;
+        case 'session-created':
+          // Sent once the Q process has been spawned
+          job.status = 'running';
+          job.queuePosition = null;
+          publish(job, { type: 'started' });
+          onStarted();
+          break;
+        case 'q-output':
+          job.output += message.data;
+          publish(job, { type: 'output', data: message.data });
+          break;
+        case 'q-error':
+          publish(job, { type: 'stderr', data: message.data || message.error });
+          break;
+        case 'q-event':
+          job.events.push(message.event);
+          publish(job, { type: 'event', event: message.event });
+          break;
+        case 'q-status':
+          publish(job, { type: 'status', status: message.status });
+          break;
+        default:
+          break;
+      }
+    }
+  };
+}
+
+// Check the body of a run request; returns an error message or null
+function validateRunRequest({ prompt, allowedTools, timeout }) {
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    return 'prompt is required';
+  }
+  if (allowedTools !== undefined && (!Array.isArray(allowedTools) || allowedTools.some(tool => typeof tool !== 'string' || !tool.trim()))) {
+    return 'allowedTools must be a list of tool names';
+  }
+  if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < 1 || timeout > MAX_TIMEOUT_SECONDS)) {
+    return `timeout must be a whole number of seconds between 1 and ${MAX_TIMEOUT_SECONDS}`;
+  }
+  return null;
+}
+
+// Start a Q run in a project; resolves once the job is recorded, not when Q finishes.
+// `source` says who started it (api or schedule) and is kept on the session
+async function startJob({ projectName, projectPath, prompt, allowedTools = [], timeout = DEFAULT_TIMEOUT_SECONDS, source = 'api', sessionMetadata = {} }) {
+  pruneJobs();
+
+  const session = await createSession(projectPath, deriveSessionTitle(prompt), { ...sessionMetadata, source });
+  await addMessageToSession(session.id, { role: 'user', content: prompt });
+
+  const job = {
+    id: `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    projectName,
+    sessionId: session.id,
+    prompt,
+    allowedTools,
+    timeout,
+    // Queued until spawnQ gets a slot; queuePosition is filled in once it has to wait for one
+    status: 'queued',
+    queuePosition: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    exitCode: null,
+    usage: null,
+    error: null,
+    output: '',
+    events: [],
+    log: [],
+    listeners: new Set()
+  };
+  jobs.set(job.id, job);
+
+  // The timeout covers Q's run, not the time spent waiting in the queue
+  let timedOut = false;
+  let timer = null;
+  const startTimer = () => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      console.log(`⏰ Job ${job.id} timed out after ${timeout}s`);
+      abortQSession(session.id);
+    }, timeout * 1000);
+  };
+
+  spawnQ(prompt, {
+    sessionId: session.id,
+    projectPath,
+    cwd: projectPath,
+    toolsSettings: { allowedTools, disallowedTools: [], skipPermissions: false },
+    source
+  }, createJobSink(job, startTimer))
+    .then(result => ({ ...result, exitCode: 0 }))
+    .catch(error => ({
+      output: error.output || '',
+      events: error.events || [],
+      exitCode: error.exitCode ?? null,
+      usage: error.usage,
+      aborted: Boolean(error.aborted),
+      error: timedOut ? `Timed out after ${timeout}s` : error.message
+    }))
+    .then(async (result) => {
+      clearTimeout(timer);
+      Object.assign(job, {
+        queuePosition: null,
+        status: timedOut ? 'timeout' : result.aborted ? 'aborted' : result.exitCode === 0 ? 'completed' : 'failed',
+        finishedAt: new Date().toISOString(),
+        exitCode: result.exitCode,
+        usage: result.usage || null,
+        error: result.error || null,
+        output: result.output,
+        events: result.events
+      });
+
+      try {
+        await recordQReply(session.id, result);
+      } catch (error) {
+        console.error(`❌ Failed to record job ${job.id} response:`, error.message);
+      }
+
+      console.log(`🏁 Job ${job.id} ${job.status}`);
+      publish(job, { type: 'done', job: toJobView(job, { includeOutput: false }) });
+      job.listeners.clear();
+    });
+
+  console.log(`🤖 Queued job ${job.id} in ${projectName} (session ${session.id})`);
+  return job;
+}
+
+function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+// Replay what a job has produced so far, then follow it; returns an unsubscribe function
+function subscribeToJob(job, listener) {
+  for (const entry of job.log) {
+    listener(entry);
+  }
+  if (job.finishedAt) {
+    return () => {};
+  }
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+export {
+  validateRunRequest,
+  startJob,
+  getJob,
+  subscribeToJob,
+  toJobView
+};
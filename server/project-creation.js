@@ -0,0 +1,200 @@
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadProjectConfig, saveProjectConfig, expandHomePath, addProjectManually, deleteProject, getProjectId } from './projects.js';
+
+// How a project can be created: register a folder that already exists, or create the folder as
+// an empty git repository, a copy of a registered template or a clone of a repository on this machine
+const CREATE_MODES = ['existing', 'empty', 'template', 'clone'];
+
+// Left out when a template is copied; the new project gets a repository of its own
+const TEMPLATE_SKIP = ['.git', 'node_modules'];
+
+// Templates are folders registered under `templates` in project-config.json as { name, path }
+async function getProjectTemplates() {
+  const config = await loadProjectConfig();
+  return config.templates || [];
+}
+
+async function saveProjectTemplates(templates) {
+  const config = await loadProjectConfig();
+  config.templates = templates;
+  await saveProjectConfig(config);
+  return templates;
+}
+
+// Absolute paths and ~/ paths, resolved; null for anything relative
+function resolveUserPath(value) {
+  const expanded = expandHomePath(value.trim());
+  return path.isAbsolute(expanded) ? path.resolve(expanded) : null;
+}
+
+async function isDirectory(dir) {
+  const stats = await fs.stat(dir).catch(() => null);
+  return Boolean(stats?.isDirectory());
+}
+
+// Check a create request and resolve its paths; returns { request } or { error }
+async function validateCreateRequest({ mode = 'existing', path: projectPath, template, source } = {}) {
+  if (!CREATE_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${CREATE_MODES.join(', ')}` };
+  }
+  if (typeof projectPath !== 'string' || !projectPath.trim()) {
+    return { error: 'Project path is required' };
+  }
+  const target = resolveUserPath(projectPath);
+  if (!target) {
+    return { error: 'Project path must be absolute or start with ~/' };
+  }
+
+  if (mode === 'existing') {
+    return await isDirectory(target) ? { request: { mode, target } } : { error: `${target} is not a folder` };
+  }
+
+  // New projects go into a folder that doesn't exist yet or is empty
+  let entries = null;
+  try {
+    entries = await fs.readdir(target);
+  } catch (error) {
+    if (error.code === 'ENOTDIR') {
+      return { error: `${target} is not a folder` };
+    }
+    if (error.code !== 'ENOENT') {
+      return { error: `Can't use ${target}: ${error.message}` };
+    }
+  }
+  if (entries && entries.length > 0) {
+    return { error: `${target} already exists and isn't empty` };
+  }
+  const request = { mode, target, targetExisted: entries !== null };
+
+  if (mode === 'template') {
+    const registered = (await getProjectTemplates()).find(entry => entry.name === template);
+    if (!registered) {
+      return { error: `Unknown template: ${template}` };
+    }
+    request.templatePath = resolveUserPath(registered.path);
+    if (!request.templatePath || !(await isDirectory(request.templatePath))) {
+      return { error: `Template folder ${registered.path} not found` };
+    }
+  }
+
+  if (mode === 'clone') {
+    if (typeof source !== 'string' || !source.trim()) {
+      return { error: 'source is required' };
+    }
+    // Only repositories on this machine: a path, or a file:// URL to one
+    request.source = source.trim();
+    let sourcePath = null;
+    try {
+      sourcePath = request.source.startsWith('file://')
+        ? fileURLToPath(request.source)
+        : resolveUserPath(request.source);
+    } catch (error) {
+      // Not a local file:// URL
+    }
+    if (!sourcePath) {
+      return { error: 'source must be an absolute path, a ~/ path or a file:// URL' };
+    }
+    if (!(await isDirectory(sourcePath))) {
+      return { error: `Repository ${sourcePath} not found` };
+    }
+    if (!request.source.startsWith('file://')) {
+      request.source = sourcePath;
+    }
+  }
+
+  return { request };
+}
+
+// Run git, passing each line it prints to onProgress, except advice hints. Clone progress is
+// redrawn with \r, so that splits lines too
+function runGit(args, cwd, onProgress) {
+  return new Promise((resolve, reject) => {
+    const git = spawn('git', args, { cwd, env: { ...process.env, GIT_TERMINAL_PROMPT: '0' } });
+    let lastLine = '';
+
+    const forwardLines = (data) => {
+      for (const line of data.toString().split(/[\r\n]+/)) {
+        if (line.trim() && !line.startsWith('hint:')) {
+          lastLine = line.trim();
+          onProgress(lastLine);
+        }
+      }
+    };
+    git.stdout.on('data', forwardLines);
+    git.stderr.on('data', forwardLines);
+
+    git.on('error', reject);
+    git.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`git ${args[0]} failed with exit code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+      }
+    });
+  });
+}
+
+// Create the project folder, register it and return the new project. onProgress is called
+// with a line of text for each step and each line git prints
+async function createProject(request, onProgress = () => {}) {
+  const { mode, target } = request;
+  if (mode === 'existing') {
+    return addProjectManually(target);
+  }
+
+  // The outermost folder created here, if any, so a failure can remove it along with its missing parents
+  let createdDir;
+  try {
+    if (mode === 'clone') {
+      onProgress(`Cloning ${request.source} into ${target}`);
+      createdDir = await fs.mkdir(path.dirname(target), { recursive: true });
+      await runGit(['clone', '--progress', '--', request.source, target], path.dirname(target), onProgress);
+    } else {
+      createdDir = await fs.mkdir(target, { recursive: true });
+      if (mode === 'template') {
+        onProgress(`Copying template ${request.templatePath}`);
+        let copied = 0;
+        await fs.cp(request.templatePath, target, {
+          recursive: true,
+          filter: (src) => {
+            if (TEMPLATE_SKIP.includes(path.basename(src))) return false;
+            copied++;
+            return true;
+          }
+        });
+        onProgress(`Copied ${copied - 1} files and folders`);
+      }
+      onProgress('Initializing git repository');
+      await runGit(['init'], target, onProgress);
+    }
+
+    onProgress('Adding project');
+    const project = await addProjectManually(target);
+    if (!project) {
+      throw new Error(`${target} isn't recognized as a project; check the project indicators in Settings → Project Discovery`);
+    }
+    return project;
+  } catch (error) {
+    // Don't leave a half-created folder behind; one that was already there (empty) is emptied again
+    if (request.targetExisted) {
+      const entries = await fs.readdir(target).catch(() => []);
+      await Promise.all(entries.map(entry => fs.rm(path.join(target, entry), { recursive: true, force: true }))).catch(() => {});
+    } else {
+      // git clone creates the target itself, below parents that may already have existed
+      await fs.rm(createdDir || target, { recursive: true, force: true }).catch(() => {});
+    }
+    // Registration may have got as far as saving the folder to the config
+    await deleteProject(getProjectId(target));
+    throw error;
+  }
+}
+
+export {
+  getProjectTemplates,
+  saveProjectTemplates,
+  validateCreateRequest,
+  createProject
+};
@@ -3,16 +3,25 @@ import fsSync from 'fs';
 import path from 'path';
 import readline from 'readline';
 import os from 'os';
+import crypto from 'crypto';
+import { sessionDb, projectIndexDb } from './database/db.js';
+import { summarizeSession } from './session-summary.js';
 
-// Cache for extracted project directories
-const projectDirectoryCache = new Map();
-let cacheTimestamp = Date.now();
+// Sessions sent along with each project in the project list
+const SESSIONS_PAGE_SIZE = 5;
 
-// Clear cache when needed (called when project files change)
-function clearProjectDirectoryCache() {
-  projectDirectoryCache.clear();
-  cacheTimestamp = Date.now();
-}
+// Listeners told whenever a session is created, changed or deleted
+const sessionChangeListeners = new Set();
+
+// The project index: discovered folders by path and by project id.
+// Saved in SQLite and kept current by the projects watcher, so listing projects doesn't touch the disk
+const indexedProjects = new Map();
+const indexedProjectIds = new Map();
+let projectIndexLoad = null;
+let projectIndexQueue = Promise.resolve();
+
+// Files that the display name is read from
+const DISPLAY_NAME_SOURCES = ['package.json', 'README.md'];
 
 // Load project configuration file for Q Developer
 async function loadProjectConfig() {
@@ -81,79 +90,486 @@ async function generateDisplayName(projectName, actualProjectDir = null) {
   return path.basename(projectPath);
 }
 
-// Get Q Developer projects by scanning common project directories
-async function getProjects() {
+// Settings kept per project under `projectMetadata` in project-config.json, keyed by project id.
+// A field that isn't set falls back to what the folder says (displayName) or to Q's own default
+const PROJECT_METADATA_FIELDS = ['displayName', 'description', 'color', 'icon', 'defaultBranch', 'qProfile'];
+const PROJECT_COLORS = ['gray', 'red', 'orange', 'amber', 'green', 'teal', 'blue', 'indigo', 'purple', 'pink'];
+const PROJECT_ICONS = ['folder', 'code', 'globe', 'server', 'database', 'smartphone', 'book', 'flask', 'rocket', 'wrench'];
+
+// What each field accepts once trimmed; each rule returns an error message or null
+const PROJECT_METADATA_RULES = {
+  displayName: value => value.length > 100 ? 'displayName must be at most 100 characters' : null,
+  description: value => value.length > 500 ? 'description must be at most 500 characters' : null,
+  color: value => PROJECT_COLORS.includes(value) ? null : `color must be one of: ${PROJECT_COLORS.join(', ')}`,
+  icon: value => PROJECT_ICONS.includes(value) ? null : `icon must be one of: ${PROJECT_ICONS.join(', ')}`,
+  defaultBranch: value => value.length <= 100 && /^[\w][\w./-]*$/.test(value) && !value.includes('..') && !value.endsWith('.lock')
+    ? null
+    : 'defaultBranch must be a valid branch name',
+  qProfile: value => value.length <= 64 && /^[\w.-]+$/.test(value)
+    ? null
+    : 'qProfile must be at most 64 letters, digits, dots, dashes or underscores'
+};
+
+// Check a metadata update; fields are strings, or null or '' to clear them. Returns an error message or null
+function validateProjectMetadata(updates) {
+  const unknown = Object.keys(updates).filter(field => !PROJECT_METADATA_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return `Unknown fields: ${unknown.join(', ')}`;
+  }
+  for (const [field, value] of Object.entries(updates)) {
+    if (value !== null && typeof value !== 'string') {
+      return `${field} must be a string or null`;
+    }
+    const error = value?.trim() ? PROJECT_METADATA_RULES[field](value.trim()) : null;
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+function readProjectMetadata(config, projectId) {
+  // Display names were kept in a map of their own before the other fields existed
+  const saved = { displayName: config.projectDisplayNames?.[projectId], ...config.projectMetadata?.[projectId] };
+  return Object.fromEntries(PROJECT_METADATA_FIELDS.map(field => [field, saved[field] ?? null]));
+}
+
+async function getProjectMetadata(projectId) {
+  return readProjectMetadata(await loadProjectConfig(), projectId);
+}
+
+// The name a project is shown under, without building its whole view: the user's display name,
+// else the one read from the folder, else the folder name
+async function getProjectDisplayName(projectPath) {
+  const projectId = getProjectId(projectPath);
+  const { displayName } = await getProjectMetadata(projectId);
+  return displayName || indexedProjectIds.get(projectId)?.displayName || path.basename(projectPath);
+}
+
+// Change some fields of a project's metadata; null clears a field. Returns the full record
+async function updateProjectMetadata(projectId, updates) {
+  const config = await loadProjectConfig();
+  const trimmed = Object.fromEntries(Object.entries(updates).map(([field, value]) => [field, value?.trim() || null]));
+  const metadata = { ...readProjectMetadata(config, projectId), ...trimmed };
+  const saved = Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== null));
+
+  config.projectMetadata = { ...config.projectMetadata, [projectId]: saved };
+  if (Object.keys(saved).length === 0) {
+    delete config.projectMetadata[projectId];
+  }
+  if (config.projectDisplayNames) {
+    delete config.projectDisplayNames[projectId];
+  }
+  await saveProjectConfig(config);
+
+  return readProjectMetadata(config, projectId);
+}
+
+// Where projects are looked for and what makes a folder one; stored under `discovery` in
+// project-config.json. Globs without a slash match a folder's name, others its path below the root
+const DEFAULT_DISCOVERY_SETTINGS = {
+  roots: ['~/projects', '~/workspace', '~/dev', '~/code', '~/Documents/projects', '~'],
+  depth: 1,
+  include: [],
+  exclude: ['.*', 'node_modules', 'dist', 'build', 'target'],
+  indicators: [
+    'package.json',
+    'pom.xml',
+    'Cargo.toml',
+    'requirements.txt',
+    'setup.py',
+    'pyproject.toml',
+    'go.mod',
+    'Makefile',
+    'CMakeLists.txt',
+    '.git',
+    'src',
+    'lib',
+    'README.md',
+    'README.txt'
+  ]
+};
+
+// Listeners told whenever the discovery roots or rules change
+const discoverySettingsListeners = new Set();
+
+function expandHomePath(dirPath) {
+  if (dirPath === '~') return os.homedir();
+  if (dirPath.startsWith('~/')) return path.join(os.homedir(), dirPath.slice(2));
+  return dirPath;
+}
+
+// "*" and "?" stay within one path segment, "**" crosses them
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i++;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+function matchesAnyGlob(globs, relativePath) {
+  const name = relativePath.split('/').pop();
+  return globs.some(glob => globToRegExp(glob).test(glob.includes('/') ? relativePath : name));
+}
+
+// Saved discovery settings, with defaults for anything that isn't set
+async function getDiscoverySettings() {
+  const config = await loadProjectConfig();
+  return { ...DEFAULT_DISCOVERY_SETTINGS, ...config.discovery };
+}
+
+async function saveDiscoverySettings(settings) {
+  const config = await loadProjectConfig();
+  config.discovery = settings;
+  await saveProjectConfig(config);
+
+  await applyDiscoveryChange();
+  return settings;
+}
+
+// The roots or rules changed: rescan, then let the listeners (the projects watcher) follow
+async function applyDiscoveryChange() {
+  await queueProjectIndexUpdate(rebuildProjectIndex);
+  const settings = await getDiscoverySettings();
+  for (const listener of discoverySettingsListeners) {
+    listener(settings);
+  }
+}
+
+function onDiscoverySettingsChanged(listener) {
+  discoverySettingsListeners.add(listener);
+  return () => discoverySettingsListeners.delete(listener);
+}
+
+// Folders to scan: the configured roots plus directories added by hand
+async function getDiscoveryRoots(settings) {
+  const config = await loadProjectConfig();
+  return [...new Set([...settings.roots.map(expandHomePath), ...(config.additionalProjectDirs || [])])];
+}
+
+// A directory added by hand is a project itself when it looks like one, and a folder of projects otherwise
+async function isAddedProjectDirectory(dir, settings) {
+  const config = await loadProjectConfig();
+  return (config.additionalProjectDirs || []).includes(dir) && isProjectDirectory(dir, settings.indicators);
+}
+
+// Tells the projects watcher which paths below a root can't affect discovery
+function createDiscoveryIgnoreMatcher(settings, roots) {
+  return (filePath) => {
+    const root = roots.find(dir => filePath === dir || filePath.startsWith(dir + path.sep));
+    if (!root || filePath === root) return false;
+
+    const segments = path.relative(root, filePath).split(path.sep);
+    // Inside an excluded folder, or an excluded entry that isn't an indicator like .git
+    return segments.some((segment, index) => {
+      const relativePath = segments.slice(0, index + 1).join('/');
+      const isLast = index === segments.length - 1;
+      return matchesAnyGlob(settings.exclude, relativePath) && !(isLast && settings.indicators.includes(segment));
+    });
+  };
+}
+
+// Walk a root down to the configured depth; a folder that is a project isn't searched further
+async function findProjectDirs(root, dir, depth, settings, found) {
+  let entries;
   try {
-    const projects = [];
-    const config = await loadProjectConfig();
-    
-    // Define common project directories to scan
-    const projectDirs = [
-      path.join(os.homedir(), 'projects'),
-      path.join(os.homedir(), 'workspace'),
-      path.join(os.homedir(), 'dev'),
-      path.join(os.homedir(), 'code'),
-      path.join(os.homedir(), 'Documents', 'projects'),
-      os.homedir() // Also scan home directory for immediate subdirectories
-    ];
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    console.error(`Error scanning directory ${dir}:`, error);
+    return;
+  }
+  
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    
+    const projectPath = path.join(dir, entry.name);
+    const relativePath = path.relative(root, projectPath).split(path.sep).join('/');
+    if (matchesAnyGlob(settings.exclude, relativePath)) continue;
+    
+    const included = settings.include.length === 0 || matchesAnyGlob(settings.include, relativePath);
+    if (included && await isProjectDirectory(projectPath, settings.indicators)) {
+      found.add(projectPath);
+    } else if (depth > 1) {
+      await findProjectDirs(root, projectPath, depth - 1, settings, found);
+    }
+  }
+}
+
+// Index changes run one at a time so a full rescan and watcher events can't interleave
+function queueProjectIndexUpdate(task) {
+  const run = projectIndexQueue.then(task);
+  projectIndexQueue = run.catch(() => {});
+  return run;
+}
+
+// Projects are identified by a hash of their absolute path, so folders with the same
+// name in different places stay apart. The id is what URLs, sessions and the config use
+function getProjectId(projectPath) {
+  return crypto.createHash('sha256').update(path.resolve(projectPath)).digest('hex').slice(0, 12);
+}
+
+function setIndexedProject(entry) {
+  const indexed = { ...entry, id: getProjectId(entry.path) };
+  indexedProjects.set(indexed.path, indexed);
+  indexedProjectIds.set(indexed.id, indexed);
+}
+
+// Forget projects; returns how many were indexed
+function removeIndexedProjects(projectPaths) {
+  const removed = projectPaths.filter(projectPath => indexedProjects.has(projectPath));
+  if (removed.length === 0) return 0;
+
+  for (const projectPath of removed) {
+    indexedProjectIds.delete(indexedProjects.get(projectPath).id);
+    indexedProjects.delete(projectPath);
+  }
+  projectIndexDb.removeProjects(removed);
+  return removed.length;
+}
+
+// Find a project by id. Folder names, which identified projects before ids did, are still
+// accepted as long as only one project has that name
+function findIndexedProject(key) {
+  if (indexedProjectIds.has(key)) {
+    return indexedProjectIds.get(key);
+  }
+  const named = [...indexedProjects.values()].filter(entry => entry.name === key);
+  return named.length === 1 ? named[0] : null;
+}
+
+// The folder name, with as many parent folders as it takes to tell it apart from the other
+// projects in `sameName` (projects with the same folder name)
+function getProjectAlias(entry, sameName) {
+  const pathTail = (projectPath, length) => projectPath.split(path.sep).filter(Boolean).slice(-length).join('/');
+  const others = sameName.filter(other => other.path !== entry.path);
+  for (let length = 1; length < entry.path.split(path.sep).filter(Boolean).length; length++) {
+    const alias = pathTail(entry.path, length);
+    if (!others.some(other => pathTail(other.path, length) === alias)) {
+      return alias;
+    }
+  }
+  return entry.path;
+}
+
+function getIndexedProjectsBelow(dir) {
+  return [...indexedProjects.keys()].filter(projectPath => projectPath.startsWith(dir + path.sep));
+}
+
+// Newest modification time of the folder and the files its display name comes from,
+// or null when none of them can be read (the folder is gone)
+async function getProjectLastModified(projectPath) {
+  const files = [projectPath, ...DISPLAY_NAME_SOURCES.map(file => path.join(projectPath, file))];
+  const stats = (await Promise.all(files.map(file => fs.stat(file).catch(() => null)))).filter(Boolean);
+  if (stats.length === 0) return null;
+  return new Date(Math.max(...stats.map(stat => stat.mtimeMs))).toISOString();
+}
+
+// Add or refresh a project; package.json and README.md are only read again after they change.
+// A folder that disappeared since it was found is dropped instead. Returns true if the index changed
+async function indexProject(projectPath) {
+  const lastModified = await getProjectLastModified(projectPath);
+  if (!lastModified) {
+    return removeIndexedProjects([projectPath]) > 0;
+  }
+  const existing = indexedProjects.get(projectPath);
+  if (existing && existing.lastModified === lastModified) return false;
+
+  const name = path.basename(projectPath);
+  const entry = {
+    path: projectPath,
+    name,
+    displayName: await generateDisplayName(name, projectPath),
+    lastModified,
+    indexedAt: new Date().toISOString()
+  };
+  projectIndexDb.saveProject(entry);
+  setIndexedProject(entry);
+  return true;
+}
+
+// Scan every root and bring the index in line with the disk
+async function rebuildProjectIndex() {
+  const settings = await getDiscoverySettings();
+  const found = new Set();
+  
+  for (const root of await getDiscoveryRoots(settings)) {
+    const exists = await fs.access(root).then(() => true).catch(() => false);
+    if (!exists) continue;
     
-    // Add manually configured project directories
-    if (config.additionalProjectDirs) {
-      projectDirs.push(...config.additionalProjectDirs);
+    if (await isAddedProjectDirectory(root, settings)) {
+      found.add(root);
+      continue;
+    }
+    await findProjectDirs(root, root, settings.depth, settings, found);
+  }
+  
+  let updated = 0;
+  for (const projectPath of found) {
+    if (await indexProject(projectPath)) {
+      updated++;
+    }
+  }
+  const removed = removeIndexedProjects([...indexedProjects.keys()].filter(projectPath => !found.has(projectPath)));
+  
+  console.log(`🗂️ Indexed ${found.size} projects (${updated} updated, ${removed} removed)`);
+}
+
+// Load the saved index and check it against the disk in the background;
+// only the very first scan, with nothing saved yet, is waited for
+function loadProjectIndex() {
+  if (!projectIndexLoad) {
+    projectIndexLoad = (async () => {
+      const saved = projectIndexDb.getProjects();
+      saved.forEach(setIndexedProject);
+      
+      const scan = queueProjectIndexUpdate(rebuildProjectIndex);
+      if (saved.length === 0) {
+        await scan;
+      } else {
+        scan.catch(error => console.error('❌ Error rescanning projects:', error));
+      }
+    })();
+  }
+  return projectIndexLoad;
+}
+
+// Load the index and wait for a full rescan, for when it has to match the disk right now
+async function refreshProjectIndex() {
+  await loadProjectIndex();
+  await queueProjectIndexUpdate(rebuildProjectIndex);
+}
+
+// Re-check one folder after something in it changed: it may have become a project or stopped
+// being one, and a folder that isn't a project may have projects below it. Returns true if the index changed
+async function reindexDirectory(dir, settings, roots) {
+  const exists = await fs.access(dir).then(() => true).catch(() => false);
+  if (!exists) {
+    return removeIndexedProjects([dir, ...getIndexedProjectsBelow(dir)]) > 0;
+  }
+  if (await isAddedProjectDirectory(dir, settings)) {
+    const removed = removeIndexedProjects(getIndexedProjectsBelow(dir));
+    return (await indexProject(dir)) || removed > 0;
+  }
+  
+  let isProject = false;
+  const searches = [];
+  for (const root of roots.filter(root => dir.startsWith(root + path.sep))) {
+    const segments = path.relative(root, dir).split(path.sep);
+    if (segments.length > settings.depth) continue;
+    
+    const excluded = segments.some((segment, index) => matchesAnyGlob(settings.exclude, segments.slice(0, index + 1).join('/')));
+    // Projects aren't looked for inside other projects
+    const insideProject = indexedProjects.has(root) || segments.slice(0, -1).some((segment, index) => indexedProjects.has(path.join(root, ...segments.slice(0, index + 1))));
+    if (excluded || insideProject) continue;
+    
+    const included = settings.include.length === 0 || matchesAnyGlob(settings.include, segments.join('/'));
+    if (included && await isProjectDirectory(dir, settings.indicators)) {
+      isProject = true;
+    } else if (segments.length < settings.depth) {
+      searches.push({ root, depth: settings.depth - segments.length });
+    }
+  }
+  
+  if (isProject) {
+    // What was found below it before now belongs to this project
+    const removed = removeIndexedProjects(getIndexedProjectsBelow(dir));
+    return (await indexProject(dir)) || removed > 0;
+  }
+  
+  let changed = removeIndexedProjects([dir]) > 0;
+  for (const { root, depth } of searches) {
+    const found = new Set();
+    await findProjectDirs(root, dir, depth, settings, found);
+    for (const projectPath of found) {
+      changed = (await indexProject(projectPath)) || changed;
+    }
+  }
+  return changed;
+}
+
+// Apply a projects watcher event to the index; resolves to true if the project list changed
+function updateProjectIndex(eventType, filePath) {
+  return queueProjectIndexUpdate(async () => {
+    const settings = await getDiscoverySettings();
+    const isDirEvent = eventType === 'addDir' || eventType === 'unlinkDir';
+    const fileName = path.basename(filePath);
+    if (!isDirEvent && !settings.indicators.includes(fileName) && !DISPLAY_NAME_SOURCES.includes(fileName)) {
+      return false;
     }
     
-    const foundProjects = new Set();
+    const roots = await getDiscoveryRoots(settings);
+    let changed = false;
+    if (eventType === 'unlinkDir') {
+      changed = removeIndexedProjects([filePath, ...getIndexedProjectsBelow(filePath)]) > 0;
+    }
+    if (eventType === 'addDir') {
+      changed = (await reindexDirectory(filePath, settings, roots)) || changed;
+    }
+    // The folder the change happened in
+    return (await reindexDirectory(path.dirname(filePath), settings, roots)) || changed;
+  });
+}
+
+// What clients see of a project: the index entry with its metadata and first page of sessions
+async function buildProjectView(entry, config) {
+  const sessions = await getSessionsForProject(entry.path);
+  const sameName = [...indexedProjects.values()].filter(other => other.name === entry.name);
+  const metadata = readProjectMetadata(config, entry.id);
+  
+  // Only the first page is sent with the project; the Sidebar loads the rest on demand
+  const firstPage = paginateSessions(sessions, { limit: SESSIONS_PAGE_SIZE });
+  
+  return {
+    id: entry.id,
+    // Clients and routes refer to projects by `name`, which is the id
+    name: entry.id,
+    alias: getProjectAlias(entry, sameName),
+    // A display name set by the user wins over the one read from the folder
+    displayName: metadata.displayName || entry.displayName,
+    fullPath: entry.path,
+    lastModified: entry.lastModified,
+    metadata,
+    sessionMeta: {
+      total: firstPage.total,
+      hasMore: firstPage.hasMore,
+      nextCursor: firstPage.nextCursor,
+      tags: [...new Set(sessions.flatMap(s => s.tags || []))].sort(),
+      archivedCount: sessions.filter(s => s.archived).length,
+      lastActivity: sessions.length > 0 ? 
+        Math.max(...sessions.map(s => new Date(s.updated_at || s.created_at).getTime())) : 
+        null
+    },
+    sessions: firstPage.sessions
+  };
+}
+
+// Get Q Developer projects from the project index, with their first page of sessions
+async function getProjects() {
+  try {
+    await loadProjectIndex();
+    const config = await loadProjectConfig();
+    const projects = [];
     
-    for (const baseDir of projectDirs) {
-      try {
-        const exists = await fs.access(baseDir).then(() => true).catch(() => false);
-        if (!exists) continue;
-        
-        const entries = await fs.readdir(baseDir, { withFileTypes: true });
-        
-        for (const entry of entries) {
-          if (entry.isDirectory()) {
-            const projectPath = path.join(baseDir, entry.name);
-            
-            // Skip hidden directories and common non-project directories
-            if (entry.name.startsWith('.') || 
-                ['node_modules', 'dist', 'build', 'target', '.git'].includes(entry.name)) {
-              continue;
-            }
-            
-            // Check if this looks like a project directory
-            const isProject = await isProjectDirectory(projectPath);
-            if (isProject && !foundProjects.has(projectPath)) {
-              foundProjects.add(projectPath);
-              
-              const displayName = await generateDisplayName(entry.name, projectPath);
-              const sessions = await getSessionsForProject(projectPath);
-              
-              projects.push({
-                name: entry.name,
-                displayName: displayName,
-                fullPath: projectPath,
-                sessionMeta: {
-                  total: sessions.length,
-                  lastActivity: sessions.length > 0 ? 
-                    Math.max(...sessions.map(s => new Date(s.updated_at || s.created_at).getTime())) : 
-                    null
-                },
-                sessions: sessions
-              });
-            }
-          }
-        }
-      } catch (error) {
-        console.error(`Error scanning directory ${baseDir}:`, error);
-      }
+    for (const entry of indexedProjects.values()) {
+      projects.push(await buildProjectView(entry, config));
     }
     
-    // Sort projects by last activity
+    // Sort projects by last activity, then by when they last changed on disk
     projects.sort((a, b) => {
       const aTime = a.sessionMeta.lastActivity || 0;
       const bTime = b.sessionMeta.lastActivity || 0;
-      return bTime - aTime;
+      return bTime - aTime || b.lastModified.localeCompare(a.lastModified);
     });
     
     return projects;
@@ -163,133 +579,142 @@ async function getProjects() {
   }
 }
 
-// Check if a directory looks like a project directory
-async function isProjectDirectory(dirPath) {
+// One project by id (or unambiguous folder name), or null
+async function getProject(key) {
+  await loadProjectIndex();
+  const entry = findIndexedProject(key);
+  return entry ? buildProjectView(entry, await loadProjectConfig()) : null;
+}
+
+// Check if a directory contains one of the project indicator files or folders
+async function isProjectDirectory(dirPath, indicators = DEFAULT_DISCOVERY_SETTINGS.indicators) {
   try {
     const entries = await fs.readdir(dirPath);
-    
-    // Check for common project indicators
-    const projectIndicators = [
-      'package.json',
-      'pom.xml',
-      'Cargo.toml',
-      'requirements.txt',
-      'setup.py',
-      'pyproject.toml',
-      'go.mod',
-      'Makefile',
-      'CMakeLists.txt',
-      '.git',
-      'src',
-      'lib',
-      'README.md',
-      'README.txt'
-    ];
-    
-    return projectIndicators.some(indicator => entries.includes(indicator));
+    return indicators.some(indicator => entries.includes(indicator));
   } catch (error) {
     return false;
   }
 }
 
-// Get sessions for a specific project (Q Developer doesn't have built-in session management like Claude)
-// We'll create a simple session tracking system
+// Get sessions for a specific project, newest first
 async function getSessionsForProject(projectPath) {
   try {
-    const sessionsDir = path.join(os.homedir(), '.q-developer', 'sessions', path.basename(projectPath));
-    
-    const exists = await fs.access(sessionsDir).then(() => true).catch(() => false);
-    if (!exists) {
-      return [];
-    }
-    
-    const sessionFiles = await fs.readdir(sessionsDir);
-    const sessions = [];
-    
-    for (const file of sessionFiles) {
-      if (file.endsWith('.json')) {
-        try {
-          const sessionPath = path.join(sessionsDir, file);
-          const sessionData = await fs.readFile(sessionPath, 'utf8');
-          const session = JSON.parse(sessionData);
-          sessions.push(session);
-        } catch (error) {
-          console.error(`Error reading session file ${file}:`, error);
-        }
-      }
-    }
-    
-    // Sort by creation date, newest first
-    sessions.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-    
-    return sessions;
+    return sessionDb.getProjectSessions(getProjectId(projectPath));
   } catch (error) {
     console.error(`Error getting sessions for project ${projectPath}:`, error);
     return [];
   }
 }
 
-// Get all sessions across all projects
-async function getSessions() {
+// Sort orders for session lists; dates are newest first, titles A-Z
+const SESSION_SORTS = {
+  updated: { value: session => new Date(session.updated_at || session.created_at).getTime() || 0, direction: -1 },
+  created: { value: session => new Date(session.created_at).getTime() || 0, direction: -1 },
+  title: { value: session => (session.title || '').toLowerCase(), direction: 1 }
+};
+
+// Compare [pinned, sortValue, id] keys: pinned sessions come first, and the ID breaks ties so pages never overlap
+function compareSessionKeys([aPinned, aValue, aId], [bPinned, bValue, bId], direction) {
+  if (aPinned !== bPinned) {
+    return bPinned - aPinned;
+  }
+  if (aValue !== bValue) {
+    return (aValue < bValue ? -1 : 1) * direction;
+  }
+  return aId < bId ? -1 : aId > bId ? 1 : 0;
+}
+
+// Cursors are opaque to clients: the sort key of the last session on a page
+function encodeSessionCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+// Decode a cursor from a client, or null if it isn't one of ours
+function parseSessionCursor(cursor) {
   try {
-    const projects = await getProjects();
-    const allSessions = [];
-    
-    for (const project of projects) {
-      if (project.sessions) {
-        allSessions.push(...project.sessions.map(session => ({
-          ...session,
-          projectName: project.name,
-          projectPath: project.fullPath
-        })));
-      }
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(key) && key.length === 3 && typeof key[0] === 'number' && typeof key[2] === 'string') {
+      return key;
     }
-    
-    return allSessions;
   } catch (error) {
-    console.error('Error getting all sessions:', error);
-    return [];
+    // Fall through
+  }
+  return null;
+}
+
+// Filter and sort a project's sessions and cut out one page, starting after the cursor if given, else at offset.
+// Archived sessions are left out unless asked for
+function paginateSessions(sessions, { limit = 20, offset = 0, cursor = null, sort = 'updated', tag = null, includeArchived = false } = {}) {
+  const { value, direction } = Object.hasOwn(SESSION_SORTS, sort) ? SESSION_SORTS[sort] : SESSION_SORTS.updated;
+  const keyed = sessions
+    .filter(session => includeArchived || !session.archived)
+    .filter(session => !tag || session.tags?.includes(tag))
+    .map(session => ({ session, key: [session.pinned ? 1 : 0, value(session), session.id] }))
+    .sort((a, b) => compareSessionKeys(a.key, b.key, direction));
+  
+  let start = offset;
+  const cursorKey = cursor ? parseSessionCursor(cursor) : null;
+  if (cursorKey) {
+    start = keyed.findIndex(({ key }) => compareSessionKeys(key, cursorKey, direction) > 0);
+    if (start === -1) start = keyed.length;
+  }
+  
+  const page = keyed.slice(start, start + limit);
+  const hasMore = start + page.length < keyed.length;
+  const last = page[page.length - 1];
+  
+  return {
+    sessions: page.map(({ session }) => session),
+    total: keyed.length,
+    offset: start,
+    hasMore,
+    nextCursor: hasMore && last ? encodeSessionCursor(last.key) : null
+  };
+}
+
+// Clean up user-entered tags: trimmed, lowercased, unique, without empty ones; null if they aren't a list of strings
+function normalizeSessionTags(tags) {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return null;
   }
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Get one page of a project's sessions
+async function getSessions(projectId, options = {}) {
+  return paginateSessions(sessionDb.getProjectSessions(projectId), options);
 }
 
 // Get messages for a specific session
 async function getSessionMessages(sessionId) {
   try {
-    const sessions = await getSessions();
-    const session = sessions.find(s => s.id === sessionId);
-    
-    if (!session) {
-      return [];
-    }
-    
-    const messagesPath = path.join(os.homedir(), '.q-developer', 'sessions', 
-                                   path.basename(session.projectPath), `${sessionId}_messages.jsonl`);
-    
-    const exists = await fs.access(messagesPath).then(() => true).catch(() => false);
-    if (!exists) {
-      return [];
-    }
-    
-    const messagesData = await fs.readFile(messagesPath, 'utf8');
-    const messages = messagesData.trim().split('\n')
-      .filter(line => line.trim())
-      .map(line => JSON.parse(line));
-    
-    return messages;
+    return sessionDb.getMessages(sessionId);
   } catch (error) {
     console.error(`Error getting messages for session ${sessionId}:`, error);
     return [];
   }
 }
 
-// Create a new session for a project
-async function createSession(projectPath, title = null) {
+// Subscribe to session changes; returns a function that unsubscribes
+function onSessionsChanged(listener) {
+  sessionChangeListeners.add(listener);
+  return () => sessionChangeListeners.delete(listener);
+}
+
+function notifySessionsChanged(changeType, sessionId) {
+  for (const listener of sessionChangeListeners) {
+    try {
+      listener(changeType, sessionId);
+    } catch (error) {
+      console.error('Error in session change listener:', error);
+    }
+  }
+}
+
+// Create a new session for a project; metadata adds to or overrides the defaults
+async function createSession(projectPath, title = null, metadata = {}) {
   try {
     const sessionId = `q-session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const sessionsDir = path.join(os.homedir(), '.q-developer', 'sessions', path.basename(projectPath));
-    
-    // Ensure sessions directory exists
-    await fs.mkdir(sessionsDir, { recursive: true });
     
     const session = {
       id: sessionId,
@@ -297,11 +722,13 @@ async function createSession(projectPath, title = null) {
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
       projectPath: projectPath,
-      messageCount: 0
+      projectName: getProjectId(projectPath),
+      messageCount: 0,
+      ...metadata
     };
     
-    const sessionPath = path.join(sessionsDir, `${sessionId}.json`);
-    await fs.writeFile(sessionPath, JSON.stringify(session, null, 2), 'utf8');
+    sessionDb.createSession(session);
+    notifySessionsChanged('add', sessionId);
     
     return session;
   } catch (error) {
@@ -310,36 +737,27 @@ async function createSession(projectPath, title = null) {
   }
 }
 
+// Get a session's metadata by ID
+async function getSession(sessionId) {
+  return sessionDb.getSession(sessionId);
+}
+
 // Add a message to a session
 async function addMessageToSession(sessionId, message) {
   try {
-    const sessions = await getSessions();
-    const session = sessions.find(s => s.id === sessionId);
-    
-    if (!session) {
+    if (!sessionDb.getSession(sessionId)) {
       throw new Error(`Session ${sessionId} not found`);
     }
     
-    const messagesPath = path.join(os.homedir(), '.q-developer', 'sessions', 
-                                   path.basename(session.projectPath), `${sessionId}_messages.jsonl`);
-    
+    // Imported messages keep the time they were originally sent
     const messageWithTimestamp = {
       ...message,
-      timestamp: new Date().toISOString(),
+      timestamp: message.timestamp || new Date().toISOString(),
       id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
     };
     
-    // Append message to JSONL file
-    await fs.appendFile(messagesPath, JSON.stringify(messageWithTimestamp) + '\n', 'utf8');
-    
-    // Update session metadata
-    const sessionsDir = path.join(os.homedir(), '.q-developer', 'sessions', path.basename(session.projectPath));
-    const sessionPath = path.join(sessionsDir, `${sessionId}.json`);
-    
-    session.updated_at = new Date().toISOString();
-    session.messageCount = (session.messageCount || 0) + 1;
-    
-    await fs.writeFile(sessionPath, JSON.stringify(session, null, 2), 'utf8');
+    sessionDb.addMessage(sessionId, messageWithTimestamp);
+    notifySessionsChanged('change', sessionId);
     
     return messageWithTimestamp;
   } catch (error) {
@@ -348,80 +766,126 @@ async function addMessageToSession(sessionId, message) {
   }
 }
 
-// Rename a project
-async function renameProject(oldName, newName) {
-  // For Q Developer, we'll update the display name in config
-  const config = await loadProjectConfig();
+// Store Q's reply to a prompt: its text, with the tool and edit events kept alongside it
+async function recordQReply(sessionId, result) {
+  const replyText = result.events
+    .filter(event => event.type === 'text')
+    .map(event => event.text)
+    .join('\n')
+    .trim();
   
-  if (!config.projectDisplayNames) {
-    config.projectDisplayNames = {};
+  const message = await addMessageToSession(sessionId, {
+    role: 'assistant',
+    content: replyText || result.output,
+    events: result.events,
+    exitCode: result.exitCode,
+    ...(result.usage && { usage: result.usage }),
+    ...(result.aborted && { aborted: true }),
+    ...(result.error && { error: result.error })
+  });
+  await refreshSessionSummary(sessionId);
+  
+  return message;
+}
+
+// Merge changes into a session's metadata
+async function updateSession(sessionId, updates) {
+  const session = sessionDb.getSession(sessionId);
+  if (!session) {
+    return null;
   }
   
-  config.projectDisplayNames[oldName] = newName;
-  await saveProjectConfig(config);
+  const updated = { ...session, ...updates, id: session.id, projectName: session.projectName };
+  sessionDb.updateSession(updated);
+  notifySessionsChanged('change', sessionId);
+  
+  return updated;
+}
+
+// Rebuild the stored summary (files touched, commands run, outcome) from the session's messages
+async function refreshSessionSummary(sessionId) {
+  return updateSession(sessionId, { summary: summarizeSession(sessionDb.getMessages(sessionId)) });
+}
+
+// Copy a session's messages up to and including messageId into a new session
+async function forkSession(sessionId, messageId) {
+  const session = sessionDb.getSession(sessionId);
+  if (!session) {
+    return null;
+  }
   
+  const messages = sessionDb.getMessages(sessionId);
+  const index = messages.findIndex(message => message.id === messageId);
+  if (index === -1) {
+    return null;
+  }
+  
+  const forkedMessages = messages.slice(0, index + 1);
+  const fork = await createSession(session.projectPath, `${session.title} (fork)`, {
+    projectName: session.projectName,
+    parentSessionId: session.id,
+    forkedFromMessageId: messageId,
+    messageCount: forkedMessages.length,
+    summary: summarizeSession(forkedMessages),
+    // The Q conversation behind the parent has moved on, so the next prompt carries the copied turns
+    contextPending: true
+  });
+  
+  sessionDb.insertMessages(fork.id, forkedMessages);
+  
+  return fork;
+}
+
+// Rename a project; an empty name goes back to the one read from the folder
+async function renameProject(projectId, newName) {
+  await updateProjectMetadata(projectId, { displayName: newName || null });
   return true;
 }
 
-// Delete a session
-async function deleteSession(sessionId) {
-  try {
-    const sessions = await getSessions();
-    const session = sessions.find(s => s.id === sessionId);
-    
-    if (!session) {
-      return false;
-    }
-    
-    const sessionsDir = path.join(os.homedir(), '.q-developer', 'sessions', path.basename(session.projectPath));
-    const sessionPath = path.join(sessionsDir, `${sessionId}.json`);
-    const messagesPath = path.join(sessionsDir, `${sessionId}_messages.jsonl`);
-    
-    // Delete session file
-    try {
-      await fs.unlink(sessionPath);
-    } catch (error) {
-      console.error('Error deleting session file:', error);
-    }
-    
-    // Delete messages file
-    try {
-      await fs.unlink(messagesPath);
-    } catch (error) {
-      console.error('Error deleting messages file:', error);
-    }
-    
-    return true;
-  } catch (error) {
-    console.error('Error deleting session:', error);
-    return false;
+// Delete a session from a project; returns false if the project has no such session
+async function deleteSession(projectName, sessionId) {
+  const deleted = sessionDb.deleteSession(projectName, sessionId);
+  if (deleted) {
+    notifySessionsChanged('unlink', sessionId);
   }
+  return deleted;
+}
+
+// Project names are directory names, so they must not reach outside a scan root
+function isValidProjectName(projectName) {
+  return typeof projectName === 'string' &&
+    projectName.length > 0 &&
+    projectName !== '.' &&
+    projectName !== '..' &&
+    !/[\\/\0]/.test(projectName);
 }
 
 // Delete a project (remove from tracking, don't delete actual files)
-async function deleteProject(projectName) {
+async function deleteProject(projectId) {
   try {
     // Remove project from config
     const config = await loadProjectConfig();
     
     if (config.projectDisplayNames) {
-      delete config.projectDisplayNames[projectName];
+      delete config.projectDisplayNames[projectId];
+    }
+    
+    if (config.projectMetadata) {
+      delete config.projectMetadata[projectId];
     }
     
     if (config.additionalProjectDirs) {
       config.additionalProjectDirs = config.additionalProjectDirs.filter(dir => 
-        path.basename(dir) !== projectName
+        getProjectId(dir) !== projectId
       );
     }
     
     await saveProjectConfig(config);
+    await applyDiscoveryChange();
     
-    // Optionally clean up sessions for this project
-    const sessionsDir = path.join(os.homedir(), '.q-developer', 'sessions', projectName);
-    try {
-      await fs.rmdir(sessionsDir, { recursive: true });
-    } catch (error) {
-      // Sessions directory might not exist
+    // Clean up sessions for this project
+    if (sessionDb.deleteProjectSessions(projectId) > 0) {
+      notifySessionsChanged('unlinkDir', null);
     }
     
     return true;
@@ -431,45 +895,77 @@ async function deleteProject(projectName) {
   }
 }
 
-// Add a project manually
+// Add a project manually. Returns the project, or null when the folder isn't a project
+// itself and only the projects inside it are listed
 async function addProjectManually(projectPath) {
-  try {
-    const config = await loadProjectConfig();
-    
-    if (!config.additionalProjectDirs) {
-      config.additionalProjectDirs = [];
-    }
-    
-    if (!config.additionalProjectDirs.includes(projectPath)) {
-      config.additionalProjectDirs.push(projectPath);
-      await saveProjectConfig(config);
-    }
-    
-    return true;
-  } catch (error) {
-    console.error('Error adding project manually:', error);
-    return false;
+  const dir = path.resolve(expandHomePath(projectPath));
+  const config = await loadProjectConfig();
+  
+  if (!config.additionalProjectDirs) {
+    config.additionalProjectDirs = [];
+  }
+  
+  if (!config.additionalProjectDirs.includes(dir)) {
+    config.additionalProjectDirs.push(dir);
+    await saveProjectConfig(config);
   }
+  // Rescan even for a folder added before, which may have become a project since
+  await applyDiscoveryChange();
+  
+  return getProject(getProjectId(dir));
+}
+
+// Look up a project's folder by id in the project index
+async function extractProjectDirectory(projectId) {
+  await loadProjectIndex();
+  const project = findIndexedProject(projectId);
+  return project ? project.path : null;
 }
 
-// Extract project directory (for compatibility with existing code)
-async function extractProjectDirectory(projectName) {
-  // For Q Developer, project name is typically the directory name
-  const projects = await getProjects();
-  const project = projects.find(p => p.name === projectName);
-  return project ? project.fullPath : null;
+// The id of the project a key (an id, or an unambiguous folder name) refers to, or null
+async function resolveProjectId(key) {
+  await loadProjectIndex();
+  return findIndexedProject(key)?.id || null;
 }
 
 export {
   getProjects,
+  getProject,
+  validateProjectMetadata,
+  getProjectMetadata,
+  getProjectDisplayName,
+  updateProjectMetadata,
+  getProjectId,
+  resolveProjectId,
+  loadProjectConfig,
+  saveProjectConfig,
+  DEFAULT_DISCOVERY_SETTINGS,
+  expandHomePath,
+  getDiscoverySettings,
+  saveDiscoverySettings,
+  onDiscoverySettingsChanged,
+  getDiscoveryRoots,
+  createDiscoveryIgnoreMatcher,
   getSessions,
+  parseSessionCursor,
+  SESSION_SORTS,
+  normalizeSessionTags,
+  isValidProjectName,
   getSessionMessages,
+  getSession,
   createSession,
   addMessageToSession,
+  recordQReply,
+  updateSession,
+  refreshSessionSummary,
+  forkSession,
+  onSessionsChanged,
   renameProject,
   deleteSession,
   deleteProject,
   addProjectManually,
   extractProjectDirectory,
-  clearProjectDirectoryCache
+  loadProjectIndex,
+  refreshProjectIndex,
+  updateProjectIndex
 };
\ No newline at end of file
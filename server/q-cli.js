@@ -1,113 +1,444 @@
-import { spawn } from 'child_process';
+import { spawn, execFile } from 'child_process';
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
+import { promisify } from 'util';
+import { createQOutputParser, parseUsageLine } from './q-output-parser.js';
+import { getProjectMetadata, getProjectId, getProjectDisplayName } from './projects.js';
 
-let activeQProcesses = new Map(); // Track active processes by session ID
+const execFileAsync = promisify(execFile);
 
-async function spawnQ(command, options = {}, ws) {
-  return new Promise(async (resolve, reject) => {
-    const { sessionId, projectPath, cwd, resume, toolsSettings, permissionMode, images } = options;
-    let capturedSessionId = sessionId; // Track session ID throughout the process
-    let sessionCreatedSent = false; // Track if we've already sent session-created event
-    
-    // Use tools settings passed from frontend, or defaults
-    const settings = toolsSettings || {
-      allowedTools: [],
-      disallowedTools: [],
-      skipPermissions: false
-    };
-    
-    // Build Q CLI command
-    const args = [];
-    
-    // Q Developer CLI uses 'chat' command for interactive sessions
-    args.push('chat');
-    
-    // Add the message if provided (Q CLI expects the message as a positional argument, not --message flag)
-    if (command && command.trim()) {
-      args.push(command);
+let activeQProcesses = new Map(); // Running (or about to start) processes by run ID: { qProcess, sessionId, projectPath, source, startedAt }
+const runQueue = []; // Runs waiting for a free slot, oldest first
+const abortedProcesses = new WeakSet(); // Processes stopped by abortQSession rather than exiting on their own
+// Stored session whose conversation Q last ran in each project directory (null when it isn't one of
+// ours, e.g. a new `q chat` in the Shell). `q chat --resume` continues that conversation, not any other
+const latestConversations = new Map();
+
+const STATUS_INTERVAL_MS = 1000; // How often progress is reported while Q is running
+const MAX_CONCURRENT_Q_PROCESSES = Math.max(1, parseInt(process.env.Q_MAX_CONCURRENCY, 10) || 2);
+const SHELL_POLL_INTERVAL_MS = 1000; // How often a Shell tab's terminal is checked for a running Q
+const SHELL_START_GRACE_MS = 10000; // How long a slot claimed for the Shell's `q chat` waits for Q to show up
+
+// Only one Q process may work in a project at a time so runs don't step on each other's edits
+function isProjectBusy(projectPath) {
+  return [...activeQProcesses.values()].some(run => run.projectPath === projectPath);
+}
+
+// Start queued runs while there are free slots, then tell the rest where they stand
+function drainQueue() {
+  for (let i = 0; i < runQueue.length && activeQProcesses.size < MAX_CONCURRENT_Q_PROCESSES;) {
+    const entry = runQueue[i];
+    if (isProjectBusy(entry.run.projectPath)) {
+      i++;
+      continue;
     }
-    
-    // Use cwd (actual project directory)
-    const workingDir = cwd || process.cwd();
-    
-    // Handle images by saving them to temporary files and passing paths to Q
-    const tempImagePaths = [];
-    let tempDir = null;
-    if (images && images.length > 0) {
-      try {
-        // Create temp directory in the project directory so Q can access it
-        tempDir = path.join(workingDir, '.tmp', 'images', Date.now().toString());
-        await fs.mkdir(tempDir, { recursive: true });
-        
-        // Save each image to a temp file
-        for (const [index, image] of images.entries()) {
-          // Extract base64 data and mime type
-          const matches = image.data.match(/^data:([^;]+);base64,(.+)$/);
-          if (!matches) {
-            console.error('Invalid image data format');
-            continue;
-          }
-          
-          const [, mimeType, base64Data] = matches;
-          const extension = mimeType.split('/')[1] || 'png';
-          const filename = `image_${index}.${extension}`;
-          const filepath = path.join(tempDir, filename);
-          
-          // Write base64 data to file
-          await fs.writeFile(filepath, Buffer.from(base64Data, 'base64'));
-          tempImagePaths.push(filepath);
+    runQueue.splice(i, 1);
+    // Reserve the slot now; the process is filled in once it has been spawned
+    activeQProcesses.set(entry.runId, { ...entry.run, startedAt: new Date().toISOString() });
+    entry.resolve();
+  }
+  
+  runQueue.forEach((entry, index) => {
+    if (entry.position !== index + 1) {
+      entry.position = index + 1;
+      entry.onQueued(entry.position);
+    }
+  });
+}
+
+// Resolve once the run may start, reporting its queue position while it waits
+function waitForSlot(runId, run, onQueued) {
+  return new Promise((resolve, reject) => {
+    runQueue.push({ runId, run, queuedAt: new Date().toISOString(), position: null, onQueued, resolve, reject });
+    drainQueue();
+  });
+}
+
+// Give up a slot and let the next queued run start
+function releaseSlot(runId) {
+  activeQProcesses.delete(runId);
+  drainQueue();
+}
+
+// Whether `q chat --resume` in a directory would continue this stored session's conversation.
+// Unknown after a restart, so the caller falls back to handing Q the transcript
+function isLatestQConversation(dir, sessionId) {
+  return Boolean(sessionId) && latestConversations.get(path.resolve(dir)) === sessionId;
+}
+
+// Take a run out of the queue before it starts; false if it isn't waiting
+function leaveQueue(runId, reason) {
+  const queuedIndex = runQueue.findIndex(entry => entry.runId === runId);
+  if (queuedIndex === -1) {
+    return false;
+  }
+  const [entry] = runQueue.splice(queuedIndex, 1);
+  entry.reject(new Error(reason));
+  drainQueue();
+  return true;
+}
+
+// PID of the Q process in the foreground of a shell's terminal, or null when the shell itself
+// (or something else) is in the foreground
+async function findForegroundQ(shellPid) {
+  const { stdout } = await execFileAsync('ps', ['-o', 'tpgid=', '-p', String(shellPid)]);
+  const foregroundPid = parseInt(stdout, 10);
+  if (!(foregroundPid > 0) || foregroundPid === shellPid) {
+    return null;
+  }
+  const { stdout: command } = await execFileAsync('ps', ['-o', 'command=', '-p', String(foregroundPid)]);
+  return /(^|[\s/])q(chat)?(\s|$)/.test(command.trim()) ? foregroundPid : null;
+}
+
+// Q started in a Shell tab's terminal runs outside spawnQ. Watch the terminal's foreground
+// process so that Q holds its project's slot while it runs and shows in the process list.
+// claim() waits for the slot before the Shell starts `q chat` itself, passing the stored session
+// it resumes, if any; Q typed in by hand can't wait, so it takes the slot as soon as it's seen
+function watchShellQ(shellPid, projectPath) {
+  const runId = `shell-${shellPid}`;
+  const run = { sessionId: null, projectPath: path.resolve(projectPath), source: 'shell' };
+  let holdsSlot = false;
+  let claimedAt = null;
+  let qHandle = null;
+  let awaitingClaimedQ = false; // The slot was claimed and the Shell's own `q chat` hasn't been seen yet
+  let polling = false;
+
+  const release = () => {
+    if (!holdsSlot) return;
+    if (qHandle) {
+      // Tells abortQSession's force kill the process is already gone
+      qHandle.exitCode = 0;
+    }
+    holdsSlot = false;
+    qHandle = null;
+    releaseSlot(runId);
+  };
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      const qPid = await findForegroundQ(shellPid);
+      if (qPid) {
+        if (!holdsSlot) {
+          holdsSlot = true;
+          activeQProcesses.set(runId, { ...run, startedAt: new Date().toISOString() });
         }
-        
-        // Include the full image paths in the prompt for Q to reference
-        if (tempImagePaths.length > 0 && command && command.trim()) {
-          const imageNote = `\n\n[Images provided at the following paths:]\n${tempImagePaths.map((p, i) => `${i + 1}. ${p}`).join('\n')}`;
-          const modifiedCommand = command + imageNote;
-          
-          // Update the command in args
-          const messageIndex = args.indexOf('--message');
-          if (messageIndex !== -1 && args[messageIndex + 1]) {
-            args[messageIndex + 1] = modifiedCommand;
+        if (qHandle?.pid !== qPid) {
+          console.log(`🐚 Q running in the shell, PID: ${qPid}`);
+          if (awaitingClaimedQ) {
+            awaitingClaimedQ = false;
+          } else {
+            // Typed in by hand, so whatever it continues isn't a stored session
+            latestConversations.set(run.projectPath, null);
           }
+          qHandle = {
+            pid: qPid,
+            killed: false,
+            exitCode: null,
+            signalCode: null,
+            kill(signal) {
+              this.killed = true;
+              process.kill(qPid, signal);
+            }
+          };
+          activeQProcesses.get(runId).qProcess = qHandle;
+        }
+      } else if (holdsSlot && (qHandle || Date.now() - claimedAt > SHELL_START_GRACE_MS)) {
+        release();
+      }
+    } catch (error) {
+      // The shell has exited; stop() cleans up
+    } finally {
+      polling = false;
+    }
+  };
+  const timer = setInterval(poll, SHELL_POLL_INTERVAL_MS);
+
+  return {
+    async claim(onQueued, sessionId = null) {
+      await waitForSlot(runId, run, onQueued);
+      holdsSlot = true;
+      claimedAt = Date.now();
+      awaitingClaimedQ = true;
+      latestConversations.set(run.projectPath, sessionId);
+    },
+    stop() {
+      clearInterval(timer);
+      leaveQueue(runId, 'The shell was closed');
+      release();
+    }
+  };
+}
+
+async function spawnQ(command, options = {}, ws) {
+  const { sessionId, projectPath, cwd, resume, toolsSettings, permissionMode, images, source = 'chat' } = options;
+  let capturedSessionId = sessionId; // Track session ID throughout the process
+  let sessionCreatedSent = false; // Track if we've already sent session-created event
+  
+  // Use tools settings passed from frontend, or defaults
+  const settings = toolsSettings || {
+    allowedTools: [],
+    disallowedTools: [],
+    skipPermissions: false
+  };
+  
+  // Build Q CLI command
+  const args = [];
+  
+  // Q Developer CLI uses 'chat' command for interactive sessions
+  args.push('chat');
+
+  // Answer a single prompt and exit instead of waiting for more input on stdin. Q can't ask
+  // for tool approval this way: tools that aren't trusted below are refused
+  args.push('--no-interactive');
+  
+  // Continue the most recent conversation Q saved for this directory; callers check with
+  // isLatestQConversation that it's the one they mean
+  if (resume) {
+    args.push('--resume');
+  }
+  
+  // The only way to let Q use tools beyond the ones it trusts by default
+  if (settings.skipPermissions || permissionMode === 'bypassPermissions') {
+    args.push('--trust-all-tools');
+  } else if (settings.allowedTools && settings.allowedTools.length > 0) {
+    args.push(`--trust-tools=${settings.allowedTools.join(',')}`);
+  }
+
+  // Use cwd (actual project directory)
+  const workingDir = cwd || process.cwd();
+  
+  // Run with the project's default Q profile, if one is set
+  const { qProfile } = await getProjectMetadata(getProjectId(projectPath || workingDir));
+  if (qProfile) {
+    args.push('--profile', qProfile);
+  }
+  
+  // Handle images by saving them to temporary files and passing paths to Q
+  const tempImagePaths = [];
+  let tempDir = null;
+  if (images && images.length > 0) {
+    try {
+      // A folder per project under the system temp folder, not inside the project, so nothing is
+      // left behind in the user's repository; Q reads the images by absolute path
+      const projectImagesDir = path.join(os.tmpdir(), 'q-images', getProjectId(projectPath || workingDir));
+      await fs.mkdir(projectImagesDir, { recursive: true });
+      tempDir = await fs.mkdtemp(path.join(projectImagesDir, 'prompt-'));
+      
+      // Save each image to a temp file
+      for (const [index, image] of images.entries()) {
+        // Extract base64 data and mime type
+        const matches = image.data.match(/^data:([^;]+);base64,(.+)$/);
+        if (!matches) {
+          console.error('Invalid image data format');
+          continue;
         }
         
-      } catch (error) {
-        console.error('Error processing images for Q:', error);
+        const [, mimeType, base64Data] = matches;
+        const extension = mimeType.split('/')[1]?.replace('svg+xml', 'svg') || 'png';
+        const filename = `image_${index}.${extension}`;
+        const filepath = path.join(tempDir, filename);
+        
+        // Write base64 data to file
+        await fs.writeFile(filepath, Buffer.from(base64Data, 'base64'));
+        tempImagePaths.push(filepath);
       }
+    } catch (error) {
+      console.error('Error processing images for Q:', error);
     }
-    
-    // Add verbose output for better debugging
-    args.push('--verbose');
-    
-    console.log(`🚀 Spawning Q CLI with args:`, args);
-    console.log(`📁 Working directory: ${workingDir}`);
-    
-    // Spawn the Q CLI process
-    const qProcess = spawn('q', args, {
-      cwd: workingDir,
-      stdio: ['pipe', 'pipe', 'pipe'],
-      env: {
-        ...process.env,
-        FORCE_COLOR: '0', // Disable colors for cleaner output
-        NO_COLOR: '1'
+  }
+  
+  // Add the message if provided (Q CLI expects the message as a positional argument, not --message flag),
+  // with the full image paths appended for Q to reference
+  let prompt = command && command.trim() ? command : '';
+  if (tempImagePaths.length > 0) {
+    const imageNote = `[Images provided at the following paths:]\n${tempImagePaths.map((p, i) => `${i + 1}. ${p}`).join('\n')}`;
+    prompt = prompt ? `${prompt}\n\n${imageNote}` : imageNote;
+  }
+  if (prompt) {
+    args.push(prompt);
+  }
+  
+  // Add verbose output for better debugging
+  args.push('--verbose');
+  
+  console.log(`🚀 Spawning Q CLI with args:`, args);
+  console.log(`📁 Working directory: ${workingDir}`);
+  
+  // Remove the images written for this prompt once Q is done with them
+  const cleanupTempImages = () => {
+    if (tempDir) {
+      fs.rm(tempDir, { recursive: true, force: true }).catch(err => {
+        console.error('Error cleaning up temp images:', err);
+      });
+    }
+  };
+  
+  // Wait for a free slot; runs in the same project go one at a time
+  const runId = capturedSessionId || `q-run-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  try {
+    await waitForSlot(runId, { sessionId: capturedSessionId, projectPath: path.resolve(workingDir), source }, (position) => {
+      console.log(`⏳ Q run ${runId} queued at position ${position}`);
+      if (ws && ws.readyState === 1) {
+        try {
+          ws.send(JSON.stringify({
+            type: 'q-queued',
+            sessionId: capturedSessionId,
+            position,
+            timestamp: new Date().toISOString()
+          }));
+        } catch (error) {
+          console.error('Error sending queue position message:', error);
+        }
       }
     });
+  } catch (error) {
+    // Aborted while waiting
+    cleanupTempImages();
+    if (ws && ws.readyState === 1) {
+      try {
+        ws.send(JSON.stringify({
+          type: 'q-complete',
+          sessionId: capturedSessionId,
+          exitCode: null,
+          aborted: true,
+          timestamp: new Date().toISOString()
+        }));
+      } catch (wsError) {
+        console.error('Error sending completion message:', wsError);
+      }
+    }
+    error.aborted = true;
+    error.output = '';
+    error.events = [];
+    error.sessionId = capturedSessionId;
+    throw error;
+  }
+  
+  // Only the child process events are wrapped, so a failure in the setup above rejects the call
+  return new Promise((resolve, reject) => {
+    // Spawn the Q CLI process
+    let qProcess;
+    try {
+      qProcess = spawn('q', args, {
+        cwd: workingDir,
+        stdio: ['pipe', 'pipe', 'pipe'],
+        env: {
+          ...process.env,
+          FORCE_COLOR: '0', // Disable colors for cleaner output
+          NO_COLOR: '1'
+        }
+      });
+    } catch (error) {
+      // Rejected before anything started (e.g. invalid arguments), so neither 'error' nor 'close' follows
+      console.error('Q process error:', error);
+      cleanupTempImages();
+      releaseSlot(runId);
+      if (ws && ws.readyState === 1) {
+        try {
+          ws.send(JSON.stringify({
+            type: 'q-error',
+            error: error.message,
+            sessionId: capturedSessionId,
+            timestamp: new Date().toISOString()
+          }));
+        } catch (wsError) {
+          console.error('Error sending WebSocket error message:', wsError);
+        }
+      }
+      reject(error);
+      return;
+    }
     
     // Store the process for potential abortion
-    if (capturedSessionId) {
-      activeQProcesses.set(capturedSessionId, qProcess);
-    }
+    activeQProcesses.get(runId).qProcess = qProcess;
+    latestConversations.set(path.resolve(workingDir), capturedSessionId || null);
     
     let outputBuffer = '';
     let errorBuffer = '';
+    const outputParser = createQOutputParser();
+    const parsedEvents = [];
+    
+    // Real progress numbers for the status bar
+    const progress = {
+      startTime: Date.now(),
+      bytes: 0,
+      lines: 0,
+      currentTool: null,
+      usage: null
+    };
+    
+    const sendStatus = () => {
+      if (ws && ws.readyState === 1) {
+        try {
+          ws.send(JSON.stringify({
+            type: 'q-status',
+            sessionId: capturedSessionId,
+            status: {
+              bytes: progress.bytes,
+              lines: progress.lines,
+              elapsedMs: Date.now() - progress.startTime,
+              currentTool: progress.currentTool,
+              usage: progress.usage
+            },
+            timestamp: new Date().toISOString()
+          }));
+        } catch (error) {
+          console.error('Error sending WebSocket status message:', error);
+        }
+      }
+    };
+    
+    const statusTimer = setInterval(sendStatus, STATUS_INTERVAL_MS);
+    
+    const recordUsage = (usage) => {
+      progress.usage = { ...progress.usage, ...usage };
+    };
+    
+    // Track the tool Q is running from the parsed events; a status update goes out on every change
+    const trackProgress = (event) => {
+      const previousTool = progress.currentTool;
+      if (event.type === 'tool-use') {
+        progress.currentTool = event.tool;
+      } else if (event.type === 'text') {
+        progress.currentTool = null;
+      } else if (event.type === 'usage') {
+        const { type, ...usage } = event;
+        recordUsage(usage);
+      }
+      if (progress.currentTool !== previousTool) {
+        sendStatus();
+      }
+    };
+    
+    // Forward typed events parsed from Q's output (text, tool use, file edits...)
+    const sendParsedEvents = (events) => {
+      for (const event of events) {
+        parsedEvents.push(event);
+        trackProgress(event);
+        if (ws && ws.readyState === 1) {
+          try {
+            ws.send(JSON.stringify({
+              type: 'q-event',
+              event,
+              sessionId: capturedSessionId,
+              timestamp: new Date().toISOString()
+            }));
+          } catch (error) {
+            console.error('Error sending WebSocket event message:', error);
+          }
+        }
+      }
+    };
     
     // Handle stdout data
     qProcess.stdout.on('data', (data) => {
       const chunk = data.toString();
       outputBuffer += chunk;
-      
-      console.log('Q stdout:', chunk);
+      progress.bytes += data.length;
+      progress.lines += (chunk.match(/\n/g) || []).length;
       
       // Send real-time output to WebSocket
       if (ws && ws.readyState === 1) {
@@ -123,14 +454,21 @@ async function spawnQ(command, options = {}, ws) {
           console.error('Error sending WebSocket message:', error);
         }
       }
+      
+      sendParsedEvents(outputParser.push(chunk));
     });
     
     // Handle stderr data
     qProcess.stderr.on('data', (data) => {
       const chunk = data.toString();
       errorBuffer += chunk;
+      progress.bytes += data.length;
       
-      console.log('Q stderr:', chunk);
+      // Verbose logging goes to stderr and may include token or credit usage
+      for (const line of chunk.split('\n')) {
+        const usage = parseUsageLine(line);
+        if (usage) recordUsage(usage);
+      }
       
       // Send error output to WebSocket
       if (ws && ws.readyState === 1) {
@@ -148,20 +486,20 @@ async function spawnQ(command, options = {}, ws) {
     });
     
     // Handle process completion
-    qProcess.on('close', (code) => {
-      console.log(`Q process exited with code ${code}`);
+    qProcess.on('close', (code, signal) => {
+      const aborted = abortedProcesses.has(qProcess);
+      console.log(`Q process exited with code ${code}${aborted ? ' (aborted)' : ''}`);
       
-      // Clean up temp images
-      if (tempDir) {
-        fs.rmdir(tempDir, { recursive: true }).catch(err => {
-          console.error('Error cleaning up temp images:', err);
-        });
-      }
+      // Emit anything the parser was still holding on to
+      sendParsedEvents(outputParser.flush());
+      clearInterval(statusTimer);
+      progress.currentTool = null;
+      sendStatus();
+      
+      cleanupTempImages();
       
       // Remove from active processes
-      if (capturedSessionId) {
-        activeQProcesses.delete(capturedSessionId);
-      }
+      releaseSlot(runId);
       
       // Send completion message to WebSocket
       if (ws && ws.readyState === 1) {
@@ -170,6 +508,7 @@ async function spawnQ(command, options = {}, ws) {
             type: 'q-complete',
             sessionId: capturedSessionId,
             exitCode: code,
+            aborted,
             timestamp: new Date().toISOString()
           }));
         } catch (error) {
@@ -177,32 +516,38 @@ async function spawnQ(command, options = {}, ws) {
         }
       }
       
-      if (code === 0) {
+      if (code === 0 && !aborted) {
         resolve({
           success: true,
           output: outputBuffer,
+          events: parsedEvents,
+          usage: progress.usage,
           sessionId: capturedSessionId
         });
       } else {
-        reject(new Error(`Q CLI exited with code ${code}: ${errorBuffer}`));
+        // Keep what Q did produce so callers can still record the partial transcript
+        const error = aborted
+          ? new Error(`Q CLI was aborted (${signal || `exit code ${code}`})`)
+          : new Error(`Q CLI exited with code ${code}: ${errorBuffer}`);
+        error.exitCode = code;
+        error.aborted = aborted;
+        error.output = outputBuffer;
+        error.events = parsedEvents;
+        error.usage = progress.usage;
+        error.sessionId = capturedSessionId;
+        reject(error);
       }
     });
     
     // Handle process errors
     qProcess.on('error', (error) => {
       console.error('Q process error:', error);
+      clearInterval(statusTimer);
       
-      // Clean up temp images
-      if (tempDir) {
-        fs.rmdir(tempDir, { recursive: true }).catch(err => {
-          console.error('Error cleaning up temp images:', err);
-        });
-      }
+      cleanupTempImages();
       
       // Remove from active processes
-      if (capturedSessionId) {
-        activeQProcesses.delete(capturedSessionId);
-      }
+      releaseSlot(runId);
       
       // Send error message to WebSocket
       if (ws && ws.readyState === 1) {
@@ -240,21 +585,28 @@ async function spawnQ(command, options = {}, ws) {
 async function abortQSession(sessionId) {
   console.log(`🛑 Attempting to abort Q session: ${sessionId}`);
   
-  const qProcess = activeQProcesses.get(sessionId);
+  // Runs that haven't started yet just leave the queue
+  if (leaveQueue(sessionId, 'Q CLI was aborted before it started')) {
+    console.log(`✅ Removed queued Q session: ${sessionId}`);
+    return true;
+  }
+  
+  const qProcess = activeQProcesses.get(sessionId)?.qProcess;
   if (qProcess && !qProcess.killed) {
     try {
+      abortedProcesses.add(qProcess);
+      
       // Try graceful termination first
       qProcess.kill('SIGTERM');
       
-      // Force kill after 5 seconds if still running
+      // Force kill after 5 seconds if still running (`killed` only means a signal was sent)
       setTimeout(() => {
-        if (!qProcess.killed) {
+        if (qProcess.exitCode === null && qProcess.signalCode === null) {
           console.log(`🔪 Force killing Q session: ${sessionId}`);
           qProcess.kill('SIGKILL');
         }
       }, 5000);
       
-      activeQProcesses.delete(sessionId);
       console.log(`✅ Q session aborted: ${sessionId}`);
       return true;
     } catch (error) {
@@ -270,8 +622,8 @@ async function abortQSession(sessionId) {
 // Clean up all active processes on server shutdown
 process.on('SIGINT', () => {
   console.log('🛑 Shutting down Q CLI processes...');
-  for (const [sessionId, qProcess] of activeQProcesses) {
-    if (!qProcess.killed) {
+  for (const { qProcess } of activeQProcesses.values()) {
+    if (qProcess && !qProcess.killed) {
       qProcess.kill('SIGTERM');
     }
   }
@@ -281,8 +633,8 @@ process.on('SIGINT', () => {
 
 process.on('SIGTERM', () => {
   console.log('🛑 Shutting down Q CLI processes...');
-  for (const [sessionId, qProcess] of activeQProcesses) {
-    if (!qProcess.killed) {
+  for (const { qProcess } of activeQProcesses.values()) {
+    if (qProcess && !qProcess.killed) {
       qProcess.kill('SIGTERM');
     }
   }
@@ -290,4 +642,33 @@ process.on('SIGTERM', () => {
   process.exit(0);
 });
 
-export { spawnQ, abortQSession };
\ No newline at end of file
+// Running and queued Q runs, for the process admin view. Projects are given by id, like
+// everywhere else in the API, along with the name they're shown under
+async function getQProcesses() {
+  const describeProject = async (projectPath) => ({
+    projectPath,
+    projectName: getProjectId(projectPath),
+    projectDisplayName: await getProjectDisplayName(projectPath)
+  });
+  return {
+    maxConcurrent: MAX_CONCURRENT_Q_PROCESSES,
+    running: await Promise.all([...activeQProcesses.entries()].map(async ([runId, run]) => ({
+      id: runId,
+      sessionId: run.sessionId || null,
+      pid: run.qProcess?.pid ?? null,
+      ...await describeProject(run.projectPath),
+      source: run.source,
+      startedAt: run.startedAt
+    }))),
+    queued: await Promise.all(runQueue.map(async (entry, index) => ({
+      id: entry.runId,
+      sessionId: entry.run.sessionId || null,
+      position: index + 1,
+      ...await describeProject(entry.run.projectPath),
+      source: entry.run.source,
+      queuedAt: entry.queuedAt
+    })))
+  };
+}
+
+export { spawnQ, abortQSession, getQProcesses, watchShellQ, isLatestQConversation };
\ No newline at end of file
@@ -0,0 +1,260 @@
+// Streaming parser for Q Developer CLI output
+//
+// Q prints assistant text, tool invocations, file diffs and approval prompts
+// as plain text. This turns arbitrary stdout chunks into typed events:
+//
+//   { type: 'text', text }
+//   { type: 'tool-use', tool, trusted }
+//   { type: 'fs-write', tool, path, operation, old_string, new_string, purpose }
+//   { type: 'execute-bash', tool, command, purpose }
+//   { type: 'approval-prompt', tool, prompt }
+//   { type: 'usage', tokens, credits }
+
+// Strip ANSI escape sequences (colors, cursor movement, charset switches) from a line
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]|\x1b\][^\x07]*\x07|\x1b[()][0-9A-Za-z]|\x1b[78=>]/g;
+
+const TOOL_HEADER_PATTERN = /Using tool:\s*([\w.-]+)(?:\s*\((trusted)\))?/;
+const APPROVAL_PATTERN = /Allow this action\?.*\[y\/n(?:\/t)?\]:?/;
+const PENDING_APPROVAL_PATTERN = /Allow this action\?.*\[y\/n(?:\/t)?\]:\s*$/;
+const PATH_PATTERN = /^\s*●?\s*(Path|Replacing|Creating|Appending to):\s*(.+?)\s*$/;
+const DIFF_LINE_PATTERN = /^([+-])\s+(\d+)\s*: ?(.*)$/;
+const BASH_INTRO_PATTERN = /I will run the following shell command:\s*(.*)$/;
+const PURPOSE_PATTERN = /^\s*↳\s*Purpose:\s*(.+?)\s*$/;
+const SEPARATOR_PATTERN = /^\s*⋮\s*$/;
+const COMPLETED_PATTERN = /^\s*●\s*Completed in\b/;
+const ANSWER_ECHO_PATTERN = /^\s*(?:>\s*)?[ynt]\s*$/i;
+const TOKENS_PATTERN = /([\d,]+)\s*(?:of\s+[\d,.]+k?\s+)?tokens?\s+used/i;
+const CREDITS_PATTERN = /Credits(?:\s+used)?:\s*([\d.]+)/i;
+
+const FS_WRITE_OPERATIONS = {
+  Path: 'write',
+  Replacing: 'str_replace',
+  Creating: 'create',
+  'Appending to': 'append'
+};
+
+// Normalize a raw line: drop ANSI codes and keep only what survives carriage returns
+function cleanLine(line) {
+  const withoutAnsi = line.replace(ANSI_PATTERN, '').replace(/\r+$/, '');
+  const lastReturn = withoutAnsi.lastIndexOf('\r');
+  return lastReturn === -1 ? withoutAnsi : withoutAnsi.slice(lastReturn + 1);
+}
+
+// Token or credit usage from a verbose or /usage line, or null if it has none
+function parseUsageLine(line) {
+  const cleaned = cleanLine(line);
+  const tokens = cleaned.match(TOKENS_PATTERN);
+  const credits = cleaned.match(CREDITS_PATTERN);
+  if (!tokens && !credits) return null;
+
+  const usage = {};
+  if (tokens) usage.tokens = parseInt(tokens[1].replace(/,/g, ''), 10);
+  if (credits) usage.credits = parseFloat(credits[1]);
+  return usage;
+}
+
+function createQOutputParser() {
+  let pending = ''; // Incomplete trailing line from the previous chunk
+  let tool = null; // Tool block currently being read
+  let readingResult = false; // After an approval prompt: the answer and the tool's output, up to "Completed"
+  let awaitingAnswer = false; // The answer typed at the prompt hasn't been echoed yet
+  let textLines = [];
+  let events = [];
+
+  const flushText = () => {
+    if (textLines.length === 0) return;
+    const text = textLines.join('\n');
+    textLines = [];
+    if (text.trim()) {
+      events.push({ type: 'text', text });
+    }
+  };
+
+  // Close the current tool block and emit its detailed event
+  const finishTool = () => {
+    if (!tool) return;
+    const current = tool;
+    tool = null;
+
+    if (current.name === 'fs_write' && current.path) {
+      events.push({
+        type: 'fs-write',
+        tool: current.name,
+        path: current.path,
+        operation: current.operation,
+        old_string: current.oldLines.join('\n'),
+        new_string: current.newLines.join('\n'),
+        purpose: current.purpose
+      });
+    } else if (current.name === 'execute_bash' && current.commandLines.length > 0) {
+      events.push({
+        type: 'execute-bash',
+        tool: current.name,
+        command: current.commandLines.join('\n').trim(),
+        purpose: current.purpose
+      });
+    }
+  };
+
+  const handleApprovalPrompt = (line) => {
+    flushText();
+    const toolName = tool ? tool.name : null;
+    finishTool();
+    events.push({
+      type: 'approval-prompt',
+      tool: toolName,
+      prompt: line.trim()
+    });
+    readingResult = true;
+    awaitingAnswer = true;
+  };
+
+  const handleLine = (rawLine) => {
+    const line = cleanLine(rawLine);
+
+    const header = line.match(TOOL_HEADER_PATTERN);
+    if (header) {
+      flushText();
+      finishTool();
+      readingResult = false;
+      tool = {
+        name: header[1],
+        trusted: header[2] === 'trusted',
+        path: null,
+        operation: null,
+        oldLines: [],
+        newLines: [],
+        commandLines: [],
+        readingCommand: false,
+        purpose: null
+      };
+      events.push({ type: 'tool-use', tool: tool.name, trusted: tool.trusted });
+      return;
+    }
+
+    if (APPROVAL_PATTERN.test(line)) {
+      handleApprovalPrompt(line);
+      return;
+    }
+
+    const usage = parseUsageLine(line);
+    if (usage) {
+      flushText();
+      events.push({ type: 'usage', ...usage });
+      return;
+    }
+
+    if (readingResult) {
+      if (awaitingAnswer && line.trim()) {
+        awaitingAnswer = false;
+        if (ANSWER_ECHO_PATTERN.test(line)) return;
+      }
+      if (COMPLETED_PATTERN.test(line)) {
+        readingResult = false;
+        return;
+      }
+      // The tool's output isn't part of the response; a new response paragraph ends it
+      if (!/^>\s/.test(line)) return;
+      readingResult = false;
+    }
+
+    if (!tool) {
+      // Q marks the start of each response with "> "
+      const startsResponse = textLines.every(textLine => !textLine.trim());
+      textLines.push(startsResponse ? line.replace(/^>\s?/, '') : line);
+      return;
+    }
+
+    // A new response paragraph ends the tool block
+    if (/^>\s/.test(line)) {
+      finishTool();
+      textLines.push(line.replace(/^>\s?/, ''));
+      return;
+    }
+
+    if (COMPLETED_PATTERN.test(line)) {
+      finishTool();
+      return;
+    }
+
+    const purpose = line.match(PURPOSE_PATTERN);
+    if (purpose) {
+      tool.purpose = purpose[1];
+      tool.readingCommand = false;
+      return;
+    }
+
+    if (SEPARATOR_PATTERN.test(line)) {
+      tool.readingCommand = false;
+      return;
+    }
+
+    const bashIntro = line.match(BASH_INTRO_PATTERN);
+    if (bashIntro) {
+      tool.readingCommand = true;
+      if (bashIntro[1].trim()) {
+        tool.commandLines.push(bashIntro[1].trim());
+      }
+      return;
+    }
+
+    if (tool.readingCommand) {
+      if (line.trim()) {
+        tool.commandLines.push(line);
+      }
+      return;
+    }
+
+    const pathMatch = line.match(PATH_PATTERN);
+    if (pathMatch) {
+      tool.operation = FS_WRITE_OPERATIONS[pathMatch[1]];
+      tool.path = pathMatch[2];
+      return;
+    }
+
+    const diffLine = line.match(DIFF_LINE_PATTERN);
+    if (diffLine) {
+      if (diffLine[1] === '-') {
+        tool.oldLines.push(diffLine[3]);
+      } else {
+        tool.newLines.push(diffLine[3]);
+      }
+    }
+  };
+
+  // Feed a chunk of stdout and return the events it completed
+  const push = (chunk) => {
+    events = [];
+    const lines = (pending + chunk).split('\n');
+    pending = lines.pop();
+
+    for (const line of lines) {
+      handleLine(line);
+    }
+
+    // Approval prompts wait for input without a trailing newline
+    if (pending && PENDING_APPROVAL_PATTERN.test(cleanLine(pending))) {
+      handleApprovalPrompt(cleanLine(pending));
+      pending = '';
+    }
+
+    flushText();
+    return events;
+  };
+
+  // Emit whatever is still buffered once the process has exited
+  const flush = () => {
+    events = [];
+    if (pending) {
+      handleLine(pending);
+      pending = '';
+    }
+    flushText();
+    finishTool();
+    return events;
+  };
+
+  return { push, flush };
+}
+
+export { createQOutputParser, parseUsageLine, cleanLine };
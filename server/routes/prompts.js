@@ -0,0 +1,232 @@
+import express from 'express';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { promptDb } from '../database/db.js';
+import { extractProjectDirectory, isValidProjectName, resolveProjectId } from '../projects.js';
+
+const router = express.Router();
+const execFileAsync = promisify(execFile);
+
+const MAX_NAME_LENGTH = 100;
+const MAX_CONTENT_LENGTH = 20000;
+const MAX_DIFF_LENGTH = 100000;
+const TEMPLATE_VARIABLES = ['file', 'selection', 'branch', 'diff'];
+const VARIABLE_PATTERN = /\{\{\s*(file|selection|branch|diff)\s*\}\}/g;
+
+// Check a prompt body; returns an error message or null
+function validatePrompt({ name, content, project }) {
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (typeof content !== 'string' || !content.trim() || content.length > MAX_CONTENT_LENGTH) {
+    return `content must be a non-empty string of at most ${MAX_CONTENT_LENGTH} characters`;
+  }
+  if (project !== undefined && project !== null && !isValidProjectName(project)) {
+    return 'project must be a project name, or null for a global prompt';
+  }
+  return null;
+}
+
+async function git(args, cwd) {
+  const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 10 * 1024 * 1024 });
+  return stdout;
+}
+
+// Current branch of the project's repository
+async function getBranch(projectPath) {
+  return (await git(['rev-parse', '--abbrev-ref', 'HEAD'], projectPath)).trim();
+}
+
+// Uncommitted changes against HEAD; repositories without commits yet diff the index instead
+async function getDiff(projectPath) {
+  let diff;
+  try {
+    diff = await git(['diff', 'HEAD'], projectPath);
+  } catch (error) {
+    diff = await git(['diff', '--cached'], projectPath);
+  }
+  diff = diff.trim();
+  return diff.length > MAX_DIFF_LENGTH
+    ? `${diff.slice(0, MAX_DIFF_LENGTH)}\n... (diff truncated)`
+    : diff;
+}
+
+// Path of a project file relative to the project, or null if it is outside the project or missing
+async function resolveProjectFile(projectPath, filePath) {
+  if (typeof filePath !== 'string' || !filePath.trim()) return null;
+
+  const resolved = path.resolve(projectPath, filePath);
+  const relative = path.relative(projectPath, resolved);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+
+  try {
+    await fs.access(resolved);
+    return relative;
+  } catch {
+    return null;
+  }
+}
+
+// Fill in {{file}}, {{selection}}, {{branch}} and {{diff}}. Variables that can't be
+// resolved become empty and are listed in `unresolved`
+async function expandPrompt(content, { projectPath, file, selection }) {
+  const used = new Set([...content.matchAll(VARIABLE_PATTERN)].map(match => match[1]));
+  const values = {};
+  const unresolved = [];
+
+  for (const variable of used) {
+    try {
+      if (variable === 'file') {
+        values.file = await resolveProjectFile(projectPath, file);
+      } else if (variable === 'selection') {
+        values.selection = typeof selection === 'string' && selection.trim() ? selection : null;
+      } else if (variable === 'branch') {
+        values.branch = await getBranch(projectPath);
+      } else if (variable === 'diff') {
+        values.diff = await getDiff(projectPath);
+      }
+    } catch (error) {
+      // Not a git repository, or git isn't installed
+      values[variable] = null;
+    }
+    if (values[variable] === null) {
+      unresolved.push(variable);
+    }
+  }
+
+  return {
+    content: content.replace(VARIABLE_PATTERN, (match, variable) => values[variable] ?? ''),
+    unresolved
+  };
+}
+
+function parsePromptId(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ error: 'Invalid prompt id' });
+    return null;
+  }
+  return id;
+}
+
+// List global prompts, plus the project's own when ?project= is given
+router.get('/', async (req, res) => {
+  const { project } = req.query;
+  if (project && !isValidProjectName(project)) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+
+  try {
+    const projectId = project ? (await resolveProjectId(project)) || project : null;
+    res.json({ prompts: promptDb.getPrompts(projectId), variables: TEMPLATE_VARIABLES });
+  } catch (error) {
+    console.error('Error listing prompts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a prompt; without a project it is available everywhere
+router.post('/', async (req, res) => {
+  const { name, content, project = null } = req.body || {};
+  const validationError = validatePrompt({ name, content, project });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const projectId = project && await resolveProjectId(project);
+    if (project && !projectId) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const prompt = promptDb.createPrompt({ name: name.trim(), content, projectName: projectId || null });
+    console.log('📚 Saved prompt:', prompt.name);
+    res.status(201).json({ prompt });
+  } catch (error) {
+    console.error('Error saving prompt:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a prompt; fields that are left out keep their current value
+router.put('/:id', async (req, res) => {
+  const id = parsePromptId(req, res);
+  if (!id) return;
+
+  try {
+    const existing = promptDb.getPrompt(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const {
+      name = existing.name,
+      content = existing.content,
+      project = existing.projectName
+    } = req.body || {};
+    const validationError = validatePrompt({ name, content, project });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const projectId = project && await resolveProjectId(project);
+    if (project && !projectId) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const prompt = promptDb.updatePrompt(id, { name: name.trim(), content, projectName: projectId || null });
+    res.json({ prompt });
+  } catch (error) {
+    console.error('Error updating prompt:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  const id = parsePromptId(req, res);
+  if (!id) return;
+
+  try {
+    if (!promptDb.deletePrompt(id)) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting prompt:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fill in a prompt's template variables from a project
+router.post('/:id/expand', async (req, res) => {
+  const id = parsePromptId(req, res);
+  if (!id) return;
+
+  const { project, file, selection } = req.body || {};
+  if (!project || !isValidProjectName(project)) {
+    return res.status(400).json({ error: 'Project name is required' });
+  }
+
+  try {
+    const projectId = await resolveProjectId(project);
+    const prompt = promptDb.getPrompt(id);
+    if (!prompt || (prompt.projectName && prompt.projectName !== projectId)) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const projectPath = await extractProjectDirectory(project);
+    if (!projectPath) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const expanded = await expandPrompt(prompt.content, { projectPath, file, selection });
+    res.json({ prompt, ...expanded });
+  } catch (error) {
+    console.error('Error expanding prompt:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,173 @@
+import express from 'express';
+import { scheduleDb } from '../database/db.js';
+import { isValidProjectName, resolveProjectId } from '../projects.js';
+import { parseCron, getNextCronRun } from '../cron.js';
+import { validateRunRequest } from '../jobs.js';
+import { refreshSchedule, getNextRun, runSchedule } from '../scheduler.js';
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+
+// Check a schedule body; returns an error message or null
+async function validateSchedule({ name, project, prompt, cron, allowedTools, timeout, enabled }) {
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`;
+  }
+  if (!project || !isValidProjectName(project)) {
+    return 'project is required';
+  }
+  if (!(await resolveProjectId(project))) {
+    return `Project ${project} not found`;
+  }
+
+  try {
+    if (!getNextCronRun(parseCron(cron))) {
+      return 'cron expression never matches a date';
+    }
+  } catch (error) {
+    return error.message;
+  }
+
+  const runError = validateRunRequest({ prompt, allowedTools, timeout: timeout ?? undefined });
+  if (runError) {
+    return runError;
+  }
+  if (typeof enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  return null;
+}
+
+const toScheduleView = (schedule) => ({
+  ...schedule,
+  nextRunAt: getNextRun(schedule.id)?.toISOString() || null
+});
+
+function parseScheduleId(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ error: 'Invalid schedule id' });
+    return null;
+  }
+  return id;
+}
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ schedules: scheduleDb.getSchedules().map(toScheduleView) });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  const { name, project, prompt, cron, allowedTools = [], timeout = null, enabled = true } = req.body || {};
+
+  try {
+    const validationError = await validateSchedule({ name, project, prompt, cron, allowedTools, timeout, enabled });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const schedule = scheduleDb.createSchedule({
+      name: name.trim(),
+      projectName: await resolveProjectId(project),
+      prompt,
+      cron: cron.trim(),
+      allowedTools,
+      timeout,
+      enabled
+    });
+    refreshSchedule(schedule.id);
+    console.log('⏰ Saved schedule:', schedule.name);
+    res.status(201).json({ schedule: toScheduleView(schedule) });
+  } catch (error) {
+    console.error('Error saving schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a schedule; fields that are left out keep their current value
+router.put('/:id', async (req, res) => {
+  const id = parseScheduleId(req, res);
+  if (!id) return;
+
+  try {
+    const existing = scheduleDb.getSchedule(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const {
+      name = existing.name,
+      project = existing.projectName,
+      prompt = existing.prompt,
+      cron = existing.cron,
+      allowedTools = existing.allowedTools,
+      timeout = existing.timeout,
+      enabled = existing.enabled
+    } = req.body || {};
+    const validationError = await validateSchedule({ name, project, prompt, cron, allowedTools, timeout, enabled });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const schedule = scheduleDb.updateSchedule(id, {
+      name: name.trim(),
+      projectName: await resolveProjectId(project),
+      prompt,
+      cron: cron.trim(),
+      allowedTools,
+      timeout,
+      enabled
+    });
+    refreshSchedule(id);
+    res.json({ schedule: toScheduleView(schedule) });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  const id = parseScheduleId(req, res);
+  if (!id) return;
+
+  try {
+    if (!scheduleDb.deleteSchedule(id)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    refreshSchedule(id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a schedule now, without changing when it next runs on its own
+router.post('/:id/run', async (req, res) => {
+  const id = parseScheduleId(req, res);
+  if (!id) return;
+
+  try {
+    const schedule = scheduleDb.getSchedule(id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const job = await runSchedule(schedule);
+    const updated = scheduleDb.getSchedule(id);
+    if (!job) {
+      return res.status(409).json({ error: updated.lastRun?.error || 'Schedule could not be started', schedule: toScheduleView(updated) });
+    }
+    res.status(202).json({ jobId: job.id, sessionId: job.sessionId, schedule: toScheduleView(updated) });
+  } catch (error) {
+    console.error('Error running schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,133 @@
+import express from 'express';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { DEFAULT_DISCOVERY_SETTINGS, getDiscoverySettings, saveDiscoverySettings, expandHomePath } from '../projects.js';
+import { getProjectTemplates, saveProjectTemplates } from '../project-creation.js';
+
+const router = express.Router();
+
+const MAX_DISCOVERY_DEPTH = 5;
+const MAX_LIST_LENGTH = 50;
+const MAX_TEMPLATE_NAME_LENGTH = 100;
+
+// Trimmed, de-duplicated strings, or null if the value isn't a list of non-empty strings
+function normalizeList(value) {
+  if (!Array.isArray(value) || value.length > MAX_LIST_LENGTH || value.some(item => typeof item !== 'string' || !item.trim())) {
+    return null;
+  }
+  return [...new Set(value.map(item => item.trim()))];
+}
+
+// Check discovery settings and clean up their lists; returns { settings } or { error }
+function validateDiscoverySettings({ roots, depth, include, exclude, indicators }) {
+  const settings = {
+    roots: normalizeList(roots),
+    depth,
+    include: normalizeList(include),
+    exclude: normalizeList(exclude),
+    indicators: normalizeList(indicators)
+  };
+
+  if (!settings.roots || settings.roots.length === 0) {
+    return { error: `roots must be a list of 1 to ${MAX_LIST_LENGTH} folders` };
+  }
+  if (settings.roots.some(root => root !== '~' && !root.startsWith('~/') && !path.isAbsolute(root))) {
+    return { error: 'roots must be absolute paths or start with ~/' };
+  }
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_DISCOVERY_DEPTH) {
+    return { error: `depth must be a whole number between 1 and ${MAX_DISCOVERY_DEPTH}` };
+  }
+  if (!settings.include || !settings.exclude) {
+    return { error: `include and exclude must be lists of up to ${MAX_LIST_LENGTH} globs` };
+  }
+  if (!settings.indicators || settings.indicators.length === 0) {
+    return { error: 'indicators must list at least one file or folder name' };
+  }
+  if (settings.indicators.some(indicator => /[\\/]/.test(indicator))) {
+    return { error: 'indicators must be file or folder names, not paths' };
+  }
+  return { settings };
+}
+
+router.get('/discovery', async (req, res) => {
+  try {
+    res.json({ settings: await getDiscoverySettings(), defaults: DEFAULT_DISCOVERY_SETTINGS });
+  } catch (error) {
+    console.error('Error loading discovery settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update the discovery settings; fields that are left out keep their current value
+router.put('/discovery', async (req, res) => {
+  try {
+    const current = await getDiscoverySettings();
+    const { settings, error } = validateDiscoverySettings({ ...current, ...req.body });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await saveDiscoverySettings(settings);
+    console.log('🔍 Saved project discovery settings');
+    res.json({ settings });
+  } catch (error) {
+    console.error('Error saving discovery settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check project templates: uniquely named, existing folders. Returns { templates } or { error }
+async function validateTemplates(templates) {
+  if (!Array.isArray(templates) || templates.length > MAX_LIST_LENGTH) {
+    return { error: `templates must be a list of up to ${MAX_LIST_LENGTH} templates` };
+  }
+
+  const cleaned = [];
+  for (const template of templates) {
+    const name = typeof template?.name === 'string' ? template.name.trim() : '';
+    const templatePath = typeof template?.path === 'string' ? template.path.trim() : '';
+    if (!name || name.length > MAX_TEMPLATE_NAME_LENGTH) {
+      return { error: `Template names must be non-empty and at most ${MAX_TEMPLATE_NAME_LENGTH} characters` };
+    }
+    if (cleaned.some(other => other.name === name)) {
+      return { error: `Template name ${name} is used twice` };
+    }
+    if (!path.isAbsolute(expandHomePath(templatePath))) {
+      return { error: `Template ${name}: the folder must be an absolute path or start with ~/` };
+    }
+    const stats = await fs.stat(expandHomePath(templatePath)).catch(() => null);
+    if (!stats?.isDirectory()) {
+      return { error: `Template ${name}: folder ${templatePath} not found` };
+    }
+    cleaned.push({ name, path: templatePath });
+  }
+  return { templates: cleaned };
+}
+
+router.get('/templates', async (req, res) => {
+  try {
+    res.json({ templates: await getProjectTemplates() });
+  } catch (error) {
+    console.error('Error loading project templates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace the list of folders new projects can be copied from
+router.put('/templates', async (req, res) => {
+  try {
+    const { templates, error } = await validateTemplates(req.body?.templates);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await saveProjectTemplates(templates);
+    console.log(`📦 Saved ${templates.length} project template${templates.length === 1 ? '' : 's'}`);
+    res.json({ templates });
+  } catch (error) {
+    console.error('Error saving project templates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,127 @@
+import { scheduleDb } from './database/db.js';
+import { getNextCronRun } from './cron.js';
+import { startJob, getJob, subscribeToJob } from './jobs.js';
+import { extractProjectDirectory } from './projects.js';
+
+// Runs saved prompts on their cron schedules. Schedules live in SQLite; the next
+// run times are worked out again from the current time whenever the server starts,
+// so runs that fell due while it was down are skipped rather than replayed.
+
+const TICK_INTERVAL_MS = 15000;
+
+const nextRuns = new Map(); // Schedule ID -> Date of its next run
+const scheduleJobs = new Map(); // Schedule ID -> ID of the job started by its latest run
+let tickTimer = null;
+
+// Work out when an enabled schedule runs next
+function planNextRun(schedule, from = new Date()) {
+  nextRuns.delete(schedule.id);
+  if (!schedule.enabled) return null;
+
+  try {
+    const next = getNextCronRun(schedule.cron, from);
+    if (next) {
+      nextRuns.set(schedule.id, next);
+    }
+    return next;
+  } catch (error) {
+    console.error(`❌ Schedule ${schedule.id} has an invalid cron expression "${schedule.cron}":`, error.message);
+    return null;
+  }
+}
+
+function getNextRun(scheduleId) {
+  return nextRuns.get(scheduleId) || null;
+}
+
+// Start a schedule's prompt as a job; the result is recorded on the schedule when it finishes
+async function runSchedule(schedule) {
+  const at = new Date().toISOString();
+
+  // Don't pile up runs of a prompt that takes longer than its interval
+  const previousJob = getJob(scheduleJobs.get(schedule.id));
+  if (previousJob && !previousJob.finishedAt) {
+    console.log(`⏭️ Skipping schedule "${schedule.name}": its previous run is still going`);
+    scheduleDb.recordRun(schedule.id, { at, status: 'skipped', sessionId: previousJob.sessionId, error: 'The previous run was still going' });
+    return null;
+  }
+
+  const projectPath = await extractProjectDirectory(schedule.projectName);
+  if (!projectPath) {
+    scheduleDb.recordRun(schedule.id, { at, status: 'failed', error: `Project ${schedule.projectName} not found` });
+    return null;
+  }
+
+  console.log(`⏰ Running schedule "${schedule.name}" in ${schedule.projectName}`);
+  const job = await startJob({
+    projectName: schedule.projectName,
+    projectPath,
+    prompt: schedule.prompt,
+    allowedTools: schedule.allowedTools,
+    ...(schedule.timeout && { timeout: schedule.timeout }),
+    source: 'schedule',
+    sessionMetadata: { scheduleId: schedule.id }
+  });
+  scheduleJobs.set(schedule.id, job.id);
+  scheduleDb.recordRun(schedule.id, { at, status: job.status, sessionId: job.sessionId });
+
+  subscribeToJob(job, (entry) => {
+    if (entry.type === 'started') {
+      scheduleDb.recordRun(schedule.id, { at, status: 'running', sessionId: job.sessionId });
+    } else if (entry.type === 'done') {
+      scheduleDb.recordRun(schedule.id, { at, status: entry.job.status, sessionId: job.sessionId, error: entry.job.error });
+    }
+  });
+
+  return job;
+}
+
+// Start every schedule that has come due
+function tick() {
+  const now = new Date();
+  for (const [scheduleId, nextRun] of nextRuns) {
+    if (nextRun > now) continue;
+
+    const schedule = scheduleDb.getSchedule(scheduleId);
+    if (!schedule) {
+      nextRuns.delete(scheduleId);
+      continue;
+    }
+
+    planNextRun(schedule, now);
+    runSchedule(schedule).catch(error => {
+      console.error(`❌ Schedule "${schedule.name}" failed to start:`, error.message);
+      scheduleDb.recordRun(schedule.id, { at: now.toISOString(), status: 'failed', error: error.message });
+    });
+  }
+}
+
+// Call after a schedule is created, changed or deleted
+function refreshSchedule(scheduleId) {
+  const schedule = scheduleDb.getSchedule(scheduleId);
+  if (schedule) {
+    planNextRun(schedule);
+  } else {
+    nextRuns.delete(scheduleId);
+  }
+}
+
+// Load the saved schedules and start checking them
+function startScheduler() {
+  if (tickTimer) return;
+
+  const schedules = scheduleDb.getSchedules();
+  for (const schedule of schedules) {
+    planNextRun(schedule);
+  }
+  tickTimer = setInterval(tick, TICK_INTERVAL_MS);
+
+  console.log(`⏰ Scheduler started with ${nextRuns.size} active schedule${nextRuns.size === 1 ? '' : 's'}`);
+}
+
+export {
+  startScheduler,
+  refreshSchedule,
+  getNextRun,
+  runSchedule
+};
@@ -0,0 +1,353 @@
+// Render a stored Q session as Markdown, JSON or a self-contained HTML page
+//
+// Messages are first turned into turns of typed parts (text, tool calls,
+// notes) so every format shows prompts, responses and tool calls the same way.
+
+const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+// Build the parts of one assistant reply from its recorded events, or its plain content
+function getAssistantParts(message) {
+  if (!message.events || message.events.length === 0) {
+    return message.content ? [{ type: 'text', text: message.content }] : [];
+  }
+
+  const parts = [];
+  for (const event of message.events) {
+    switch (event.type) {
+      case 'text': {
+        const last = parts[parts.length - 1];
+        if (last && last.type === 'text') {
+          last.text += `\n${event.text}`;
+        } else {
+          parts.push({ type: 'text', text: event.text });
+        }
+        break;
+      }
+
+      case 'tool-use':
+        parts.push({ type: 'tool', tool: event.tool, trusted: event.trusted });
+        break;
+
+      case 'fs-write':
+      case 'execute-bash': {
+        // Fill in the card opened by the matching tool-use event
+        let part = [...parts].reverse().find(p => p.type === 'tool' && p.tool === event.tool && !p.details);
+        if (!part) {
+          part = { type: 'tool', tool: event.tool };
+          parts.push(part);
+        }
+        part.details = event;
+        break;
+      }
+
+      case 'approval-prompt':
+        parts.push({ type: 'note', text: `Q asked for permission${event.tool ? ` to use ${event.tool}` : ''}` });
+        break;
+
+      default:
+        break;
+    }
+  }
+  return parts;
+}
+
+// Group stored messages into turns for rendering
+function buildTurns(messages) {
+  return messages.map(message => {
+    if (message.role === 'user') {
+      const parts = [{ type: 'text', text: message.content || '' }];
+      if (message.attachments?.length > 0) {
+        parts.push({ type: 'note', text: `Attached: ${message.attachments.join(', ')}` });
+      }
+      return { role: 'user', timestamp: message.timestamp, parts };
+    }
+
+    const parts = getAssistantParts(message);
+    if (message.aborted) {
+      parts.push({ type: 'note', text: 'Stopped' });
+    } else if (message.exitCode !== undefined && message.exitCode !== 0) {
+      parts.push({ type: 'note', text: `Q exited with code ${message.exitCode}` });
+    }
+    return { role: message.role || 'assistant', timestamp: message.timestamp, parts };
+  });
+}
+
+// Code shown for a tool call, with the fence language to use
+function getToolCode(details) {
+  if (!details) return null;
+
+  if (details.type === 'execute-bash') {
+    return { language: 'bash', code: details.command };
+  }
+
+  if (details.type === 'fs-write') {
+    const lines = [
+      ...(details.old_string ? details.old_string.split('\n').map(line => `- ${line}`) : []),
+      ...(details.new_string ? details.new_string.split('\n').map(line => `+ ${line}`) : [])
+    ];
+    return lines.length > 0 ? { language: 'diff', code: lines.join('\n') } : null;
+  }
+
+  return null;
+}
+
+function getToolTitle(part) {
+  const target = part.details?.type === 'fs-write' ? ` — ${part.details.path}` : '';
+  return `${part.tool}${target}`;
+}
+
+// A backtick fence longer than any run of backticks inside the code
+function getFence(code) {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function renderMarkdown(session, turns) {
+  const lines = [
+    `# ${session.title || 'Q Developer session'}`,
+    '',
+    `- Project: \`${session.projectPath || session.projectName || 'unknown'}\``,
+    `- Started: ${formatTimestamp(session.created_at)}`,
+    `- Exported: ${formatTimestamp(new Date().toISOString())}`,
+    ''
+  ];
+
+  for (const turn of turns) {
+    lines.push('---', '');
+    lines.push(`## ${turn.role === 'user' ? 'You' : 'Q Developer'}${turn.timestamp ? ` · ${formatTimestamp(turn.timestamp)}` : ''}`, '');
+
+    for (const part of turn.parts) {
+      if (part.type === 'text') {
+        lines.push(part.text.trim(), '');
+      } else if (part.type === 'note') {
+        lines.push(`> ${part.text}`, '');
+      } else if (part.type === 'tool') {
+        lines.push(`**Tool:** \`${getToolTitle(part)}\``, '');
+        if (part.details?.purpose) {
+          lines.push(`_${part.details.purpose}_`, '');
+        }
+        const toolCode = getToolCode(part.details);
+        if (toolCode) {
+          const fence = getFence(toolCode.code);
+          lines.push(`${fence}${toolCode.language}`, toolCode.code, fence, '');
+        }
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Inline Markdown: code spans, bold and italics
+function renderInline(text) {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>');
+}
+
+// Just enough Markdown for Q's responses: fenced code, headings, lists and paragraphs
+function renderMarkdownToHtml(markdown) {
+  const html = [];
+  const lines = markdown.split('\n');
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      html.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+-]*)/);
+    if (fence) {
+      flushParagraph();
+      flushList();
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) {
+        code.push(lines[i]);
+      }
+      html.push(renderCodeBlock(code.join('\n'), fence[2]));
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      flushList();
+      const level = Math.min(heading[1].length + 2, 6);
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      continue;
+    }
+
+    const listItem = line.match(/^\s*([-*]|\d+\.)\s+(.*)$/);
+    if (listItem) {
+      flushParagraph();
+      const tag = /\d/.test(listItem[1]) ? 'ol' : 'ul';
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push(listItem[2]);
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+
+    flushList();
+    paragraph.push(line);
+  }
+
+  flushParagraph();
+  flushList();
+  return html.join('\n');
+}
+
+function renderCodeBlock(code, language) {
+  const lines = escapeHtml(code).split('\n');
+  const body = language === 'diff'
+    ? lines.map(line => {
+      if (line.startsWith('+')) return `<span class="add">${line}</span>`;
+      if (line.startsWith('-')) return `<span class="del">${line}</span>`;
+      return line;
+    }).join('\n')
+    : lines.join('\n');
+  return `<pre${language ? ` data-language="${escapeHtml(language)}"` : ''}><code>${body}</code></pre>`;
+}
+
+const HTML_STYLES = `
+  body { margin: 0; background: #f9fafb; color: #111827; font: 14px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+  main { max-width: 860px; margin: 0 auto; padding: 32px 20px; }
+  header h1 { margin: 0 0 4px; font-size: 22px; }
+  header p { margin: 0; color: #6b7280; font-size: 12px; }
+  .turn { margin: 20px 0; padding: 12px 16px; border-radius: 8px; border: 1px solid #e5e7eb; background: #fff; }
+  .turn.user { background: #eff6ff; border-color: #bfdbfe; }
+  .role { font-weight: 600; font-size: 12px; color: #374151; }
+  .time { font-weight: 400; color: #9ca3af; margin-left: 6px; }
+  .tool { margin: 10px 0; border: 1px solid #e5e7eb; border-radius: 6px; overflow: hidden; }
+  .tool-title { padding: 6px 10px; background: #f3f4f6; font: 12px ui-monospace, SFMono-Regular, Menlo, monospace; }
+  .tool-purpose { padding: 6px 10px 0; color: #6b7280; font-size: 12px; }
+  .tool pre { margin: 8px; }
+  .note { color: #6b7280; font-size: 12px; font-style: italic; margin: 8px 0; }
+  pre { background: #111827; color: #f3f4f6; padding: 10px 12px; border-radius: 6px; overflow-x: auto; font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; }
+  p code, li code { background: #f3f4f6; padding: 1px 4px; border-radius: 4px; }
+  .add { color: #86efac; }
+  .del { color: #fca5a5; }
+  .user-text { white-space: pre-wrap; margin: 6px 0 0; }
+`;
+
+function renderHtml(session, turns) {
+  const title = session.title || 'Q Developer session';
+  const body = turns.map(turn => {
+    const parts = turn.parts.map(part => {
+      if (part.type === 'text') {
+        return turn.role === 'user'
+          ? `<div class="user-text">${escapeHtml(part.text)}</div>`
+          : renderMarkdownToHtml(part.text);
+      }
+      if (part.type === 'note') {
+        return `<div class="note">${escapeHtml(part.text)}</div>`;
+      }
+      const toolCode = getToolCode(part.details);
+      return [
+        '<div class="tool">',
+        `<div class="tool-title">🛠️ ${escapeHtml(getToolTitle(part))}</div>`,
+        part.details?.purpose ? `<div class="tool-purpose">${escapeHtml(part.details.purpose)}</div>` : '',
+        toolCode ? renderCodeBlock(toolCode.code, toolCode.language) : '',
+        '</div>'
+      ].join('');
+    }).join('\n');
+
+    return [
+      `<section class="turn ${turn.role === 'user' ? 'user' : 'assistant'}">`,
+      `<div class="role">${turn.role === 'user' ? 'You' : 'Q Developer'}<span class="time">${escapeHtml(formatTimestamp(turn.timestamp))}</span></div>`,
+      parts,
+      '</section>'
+    ].join('\n');
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<main>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(session.projectPath || session.projectName || '')} · Started ${escapeHtml(formatTimestamp(session.created_at))} · Exported ${escapeHtml(formatTimestamp(new Date().toISOString()))}</p>
+</header>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+// Render a session in the requested format; returns null for an unknown format
+function exportSession(session, messages, format) {
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) return null;
+  const formatInfo = EXPORT_FORMATS[format];
+
+  let body;
+  if (format === 'json') {
+    body = JSON.stringify({
+      format: 'q-developer-session',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      session,
+      messages
+    }, null, 2);
+  } else {
+    const turns = buildTurns(messages);
+    body = format === 'md' ? renderMarkdown(session, turns) : renderHtml(session, turns);
+  }
+
+  // Safe, readable download name from the session title
+  const baseName = (session.title || session.id)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'q-session';
+
+  return {
+    body,
+    contentType: formatInfo.contentType,
+    filename: `${baseName}.${formatInfo.extension}`
+  };
+}
+
+export { exportSession, EXPORT_FORMATS };
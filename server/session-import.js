@@ -0,0 +1,373 @@
+import path from 'path';
+import { createSession, addMessageToSession, refreshSessionSummary } from './projects.js';
+import { deriveSessionTitle } from './session-summary.js';
+import { createQOutputParser, cleanLine } from './q-output-parser.js';
+
+// Turns Q conversations recorded outside the Chat panel into stored sessions:
+//
+//   terminal       - raw output saved from the Shell tab or `script`, ANSI codes and all
+//   asciicast      - asciinema recordings (v1 and v2)
+//   q-conversation - Q's own `/save` export, or a JSON export from this app
+
+const IMPORT_FORMATS = ['terminal', 'asciicast', 'q-conversation'];
+
+// Q's interactive input prompt, optionally prefixed by the profile and "!" when all tools are trusted
+const Q_PROMPT_PATTERN = /^(?:\[[\w.@-]+\]\s*)?!?>\s?(.*)$/;
+// A shell command line running Q, e.g. `user@host:~/app$ q chat --no-interactive "fix the tests"`
+const SHELL_Q_PATTERN = /^.*?[$#%]\s+q\s+chat\b(.*)$/;
+const SHELL_PROMPT_PATTERN = /^(?:\[?[\w.-]+@[\w.-]+(?::\S*|\s\S+\])?\s?)?[$#%]\s*$/;
+const QUOTED_PROMPT_PATTERN = /(["'])((?:(?!\1)[^\\]|\\.)*)\1/g;
+const SPINNER_PATTERN = /^\s*[⠀-⣿]\s/;
+const TOOL_HEADER_PATTERN = /Using tool:/;
+const APPROVAL_PATTERN = /Allow this action\?/;
+
+// Keep older turns out of the resume prompt once it gets this long
+const MAX_CONTEXT_LENGTH = 20000;
+
+// Guess the format from the file name and its first bytes
+function detectImportFormat(content, fileName = '') {
+  const extension = path.extname(fileName).toLowerCase();
+  if (extension === '.cast') return 'asciicast';
+
+  const trimmed = content.trimStart();
+  if (!trimmed.startsWith('{')) return 'terminal';
+
+  // asciicast v2 is a JSON header line followed by one event per line
+  const firstLine = trimmed.split('\n')[0];
+  try {
+    const header = JSON.parse(firstLine);
+    if (header.version === 2 && header.width) return 'asciicast';
+  } catch (error) {
+    // Not a single-line header, so the whole file is one JSON document
+  }
+
+  try {
+    const data = JSON.parse(trimmed);
+    if (data.version === 1 && Array.isArray(data.stdout)) return 'asciicast';
+    if (Array.isArray(data.history) || data.format === 'q-developer-session') return 'q-conversation';
+  } catch (error) {
+    // Fall through to treating it as plain terminal output
+  }
+
+  return 'terminal';
+}
+
+// Output chunks of a recording, each with the wall-clock time it was written at
+function readAsciicast(content) {
+  const trimmed = content.trim();
+  const firstLine = trimmed.split('\n')[0];
+  const header = JSON.parse(firstLine);
+
+  // v1 keeps delays between chunks in a single document
+  if (header.version !== 2) {
+    const data = JSON.parse(trimmed);
+    const startedAt = data.timestamp ? data.timestamp * 1000 : null;
+    let elapsed = 0;
+    return data.stdout.map(([delay, text]) => {
+      elapsed += delay;
+      return { time: startedAt !== null ? startedAt + elapsed * 1000 : null, data: text };
+    });
+  }
+
+  const startedAt = header.timestamp ? header.timestamp * 1000 : null;
+  const chunks = [];
+  for (const line of trimmed.split('\n').slice(1)) {
+    if (!line.trim()) continue;
+    try {
+      const [offset, type, text] = JSON.parse(line);
+      if (type === 'o') {
+        chunks.push({ time: startedAt !== null ? startedAt + offset * 1000 : null, data: text });
+      }
+    } catch (error) {
+      // Skip damaged event lines
+    }
+  }
+  return chunks;
+}
+
+// Apply backspaces the way the terminal would have
+function applyBackspaces(line) {
+  let result = line;
+  while (/[^\x08]\x08/.test(result)) {
+    result = result.replace(/[^\x08]\x08/g, '');
+  }
+  return result.replace(/\x08/g, '');
+}
+
+// Split chunks into lines, remembering when each line started
+function toTimedLines(chunks) {
+  const lines = [];
+  let pending = '';
+  let pendingTime = null;
+
+  for (const chunk of chunks) {
+    const parts = chunk.data.split('\n');
+    for (let i = 0; i < parts.length; i++) {
+      if (!pending) pendingTime = chunk.time;
+      pending += parts[i];
+      if (i < parts.length - 1) {
+        lines.push({ raw: applyBackspaces(pending), time: pendingTime });
+        pending = '';
+      }
+    }
+  }
+  if (pending) {
+    lines.push({ raw: applyBackspaces(pending), time: pendingTime });
+  }
+
+  return lines;
+}
+
+// The prompt passed to a non-interactive `q chat` command line, or null when it starts an interactive chat
+function getShellPrompt(args) {
+  const quoted = [...args.matchAll(QUOTED_PROMPT_PATTERN)];
+  if (quoted.length === 0) return null;
+  return quoted[quoted.length - 1][2].replace(/\\(.)/g, '$1');
+}
+
+// Walk a terminal transcript and cut it into user prompts and Q's replies.
+// Q starts both its input prompt and each reply with "> ", so a "> " line only
+// continues the current reply when a tool block came before it.
+function splitTerminalTurns(chunks) {
+  const turns = [];
+  let state = 'idle'; // 'idle', 'prompted' (waiting for Q), 'responding' or 'command' (slash command output)
+  let current = null;
+  let sawTool = false;
+  let awaitingApproval = false;
+
+  const startUserTurn = (text, time) => {
+    const prompt = text.trim();
+    if (!prompt) {
+      state = 'idle';
+      return;
+    }
+    // /save, /usage and friends aren't part of the conversation
+    if (prompt.startsWith('/')) {
+      state = 'command';
+      return;
+    }
+    turns.push({ role: 'user', content: prompt, time });
+    state = 'prompted';
+  };
+
+  const startReply = (raw, time) => {
+    current = { role: 'assistant', lines: [raw], time };
+    turns.push(current);
+    state = 'responding';
+    sawTool = false;
+    awaitingApproval = false;
+  };
+
+  for (const { raw, time } of toTimedLines(chunks)) {
+    const line = cleanLine(raw);
+    if (SPINNER_PATTERN.test(line)) continue;
+
+    const shellCommand = line.match(SHELL_Q_PATTERN);
+    if (shellCommand) {
+      const prompt = getShellPrompt(shellCommand[1]);
+      if (prompt) {
+        startUserTurn(prompt, time);
+      } else {
+        state = 'idle';
+      }
+      continue;
+    }
+
+    if (SHELL_PROMPT_PATTERN.test(line)) {
+      state = 'idle';
+      continue;
+    }
+
+    const promptLine = line.match(Q_PROMPT_PATTERN);
+    if (state === 'responding') {
+      if (promptLine && awaitingApproval) {
+        // The y/n/t typed at an approval prompt
+        awaitingApproval = false;
+        continue;
+      }
+      if (promptLine && !sawTool) {
+        startUserTurn(promptLine[1], time);
+        continue;
+      }
+      // The prompt was answered, so keep the tool block together without it
+      if (APPROVAL_PATTERN.test(line)) {
+        awaitingApproval = true;
+        continue;
+      }
+      if (promptLine) sawTool = false;
+      if (TOOL_HEADER_PATTERN.test(line)) sawTool = true;
+      current.lines.push(raw);
+    } else if (state === 'prompted') {
+      if (line.trim()) startReply(raw, time);
+    } else if (promptLine) {
+      startUserTurn(promptLine[1], time);
+    }
+  }
+
+  return turns;
+}
+
+// Rebuild the same events the Chat panel records for a live reply
+function parseReply(lines) {
+  const parser = createQOutputParser();
+  const events = [...parser.push(lines.join('\n') + '\n'), ...parser.flush()];
+  const content = events
+    .filter(event => event.type === 'text')
+    .map(event => event.text)
+    .join('\n')
+    .trim();
+  return { content, events };
+}
+
+function terminalTurnsToMessages(turns) {
+  const messages = [];
+  for (const turn of turns) {
+    const timestamp = turn.time !== null && turn.time !== undefined ? new Date(turn.time).toISOString() : undefined;
+    if (turn.role === 'user') {
+      messages.push({ role: 'user', content: turn.content, timestamp });
+      continue;
+    }
+
+    const { content, events } = parseReply(turn.lines);
+    if (content || events.length > 0) {
+      messages.push({ role: 'assistant', content, events, timestamp });
+    }
+  }
+  return messages;
+}
+
+// Chat panel events for one of Q's tool calls
+function getToolUseEvents(toolUse) {
+  const name = toolUse.name || toolUse.orig_name;
+  const args = toolUse.args || toolUse.orig_args || {};
+  const events = [{ type: 'tool-use', tool: name, trusted: false }];
+
+  if (name === 'execute_bash' && args.command) {
+    events.push({ type: 'execute-bash', tool: name, command: args.command, purpose: args.summary || null });
+  } else if (name === 'fs_write' && args.path) {
+    events.push({
+      type: 'fs-write',
+      tool: name,
+      path: args.path,
+      operation: args.command || 'write',
+      old_string: args.old_str || '',
+      new_string: args.new_str ?? args.file_text ?? '',
+      purpose: args.summary || null
+    });
+  }
+
+  return events;
+}
+
+// Q's `/save` file keeps history as [user, assistant] pairs (or { user, assistant } in newer
+// versions). Tool results come back as user entries, so one prompt can span several pairs.
+function readQConversation(data) {
+  // Our own JSON export can go straight back in
+  if (data.format === 'q-developer-session') {
+    return (data.messages || []).filter(message => message.role === 'user' || message.role === 'assistant');
+  }
+
+  const messages = [];
+  let reply = null;
+
+  for (const entry of data.history || []) {
+    const [user, assistant] = Array.isArray(entry) ? entry : [entry.user, entry.assistant];
+    const content = user?.content || {};
+    const prompt = content.Prompt?.prompt ?? content.CancelledToolUses?.prompt;
+
+    if (prompt !== undefined) {
+      messages.push({ role: 'user', content: prompt, timestamp: user.timestamp || undefined });
+      reply = null;
+    }
+
+    const response = assistant?.Response || assistant?.ToolUse;
+    if (!response) continue;
+
+    if (!reply) {
+      reply = { role: 'assistant', content: '', events: [], timestamp: user?.timestamp || undefined };
+      messages.push(reply);
+    }
+    if (response.content?.trim()) {
+      reply.events.push({ type: 'text', text: response.content });
+      reply.content = reply.content ? `${reply.content}\n${response.content}` : response.content;
+    }
+    for (const toolUse of response.tool_uses || []) {
+      reply.events.push(...getToolUseEvents(toolUse));
+    }
+  }
+
+  return messages;
+}
+
+// Parse an uploaded file into session messages
+function parseImport(content, format) {
+  if (format === 'q-conversation') {
+    return readQConversation(JSON.parse(content));
+  }
+  const chunks = format === 'asciicast' ? readAsciicast(content) : [{ time: null, data: content }];
+  return terminalTurnsToMessages(splitTerminalTurns(chunks));
+}
+
+// Create a session for a project from an imported file; returns null if no conversation was found
+async function importSession(projectPath, content, { fileName = '', format = null, title = null } = {}) {
+  const importFormat = format || detectImportFormat(content, fileName);
+  const messages = parseImport(content, importFormat);
+  if (!messages.some(message => message.role === 'user')) {
+    return null;
+  }
+
+  const firstPrompt = messages.find(message => message.role === 'user').content;
+  const startedAt = messages.find(message => message.timestamp)?.timestamp;
+
+  const session = await createSession(projectPath, title || deriveSessionTitle(firstPrompt), {
+    ...(startedAt && { created_at: startedAt }),
+    importedFrom: {
+      format: importFormat,
+      fileName: fileName || null,
+      importedAt: new Date().toISOString()
+    },
+    // Q has never seen this conversation, so the next prompt carries it along
+    contextPending: true
+  });
+
+  for (const message of messages) {
+    const { id, timestamp, ...rest } = message;
+    await addMessageToSession(session.id, { ...rest, ...(timestamp && { timestamp }), imported: true });
+  }
+
+  return { session: await refreshSessionSummary(session.id), messageCount: messages.length, format: importFormat };
+}
+
+// Prompt preamble that hands an imported or forked conversation to a fresh Q process
+function buildImportedContext(messages) {
+  const parts = [];
+  let length = 0;
+
+  // Keep the most recent turns when the transcript is long
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+    if (!message.content || (message.role !== 'user' && message.role !== 'assistant')) continue;
+
+    const part = `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content.trim()}`;
+    if (length + part.length > MAX_CONTEXT_LENGTH && parts.length > 0) break;
+    parts.unshift(part);
+    length += part.length;
+  }
+
+  if (parts.length === 0) return '';
+
+  return [
+    'The following is an earlier conversation about this project, recorded before this session started. Continue from where it left off.',
+    '',
+    '[Earlier conversation]',
+    parts.join('\n\n'),
+    '[End of earlier conversation]'
+  ].join('\n');
+}
+
+export {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  importSession,
+  buildImportedContext
+};
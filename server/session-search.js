@@ -0,0 +1,49 @@
+import { searchDb } from './database/db.js';
+
+// Full-text search over stored sessions. The FTS5 tables are kept current by
+// triggers on the sessions and messages tables (see database/init.sql)
+
+// Turn free text into an FTS5 query: every word must appear, the last one as a prefix
+function buildMatchQuery(query) {
+  const terms = query.match(/[\p{L}\p{N}_]+/gu) || [];
+  if (terms.length === 0) return null;
+
+  return terms
+    .map((term, index) => `"${term}"${index === terms.length - 1 ? '*' : ''}`)
+    .join(' ');
+}
+
+// Search session titles and messages; returns one result per session, best match first
+function searchSessions(query, { limit = 20 } = {}) {
+  const matchQuery = buildMatchQuery(query);
+  if (!matchQuery) return [];
+
+  const rows = searchDb.search(matchQuery, limit * 10);
+  const results = new Map();
+
+  for (const row of rows) {
+    const existing = results.get(row.session_id);
+    if (existing) {
+      existing.matchCount++;
+      continue;
+    }
+    if (results.size >= limit) continue;
+
+    results.set(row.session_id, {
+      sessionId: row.session_id,
+      projectName: row.project_name,
+      title: row.title,
+      updated_at: row.updated_at,
+      role: row.role,
+      messageId: row.message_id,
+      snippet: row.snippet,
+      matchCount: 1
+    });
+  }
+
+  return [...results.values()];
+}
+
+export {
+  searchSessions
+};
@@ -0,0 +1,129 @@
+import path from 'path';
+
+// Local, deterministic titles and summaries for stored sessions. Everything is
+// derived from the prompts and the tool events Q printed, so it costs no model calls.
+
+const MAX_TITLE_LENGTH = 60;
+const MAX_OUTCOME_LENGTH = 120;
+const MAX_LISTED_ITEMS = 20;
+
+// Openers that say nothing about what the prompt is for
+const FILLER_PATTERN = /^(?:(?:hey|hi|hello)\s+q\b[,:!]?\s*|please\s+|(?:can|could|would|will)\s+you\s+(?:please\s+)?|i\s+(?:want|need|would\s+like)\s+(?:you\s+)?to\s+|help\s+me\s+(?:to\s+)?)/i;
+
+// Drop markdown decoration so titles and outcomes read as plain text
+function stripMarkdown(text) {
+  return text
+    .replace(/^\s*(?:#+|>|[-*+]|\d+[.)])\s+/, '')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, '$1$2')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Shorten at a word boundary where there is one close enough
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 3);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.-]+$/, '')}...`;
+}
+
+// Title a session from its first prompt: the first line of prose, without filler or markdown
+function deriveSessionTitle(prompt) {
+  let inCodeBlock = false;
+  let firstLine = '';
+  for (const line of (prompt || '').split('\n')) {
+    if (line.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+    if (!inCodeBlock && line.trim()) {
+      firstLine = stripMarkdown(line);
+      break;
+    }
+  }
+  if (!firstLine) return null;
+
+  // Filler can be stacked ("Hey Q, can you please ...")
+  let title = firstLine;
+  let previous;
+  do {
+    previous = title;
+    title = title.replace(FILLER_PATTERN, '');
+  } while (title !== previous);
+  title = title.replace(/[\s.:;,!]+$/, '');
+  if (!title) return truncate(firstLine, MAX_TITLE_LENGTH);
+
+  return truncate(title.charAt(0).toUpperCase() + title.slice(1), MAX_TITLE_LENGTH);
+}
+
+function uniqueValues(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+// "a.js, b.js +3" style list of the first few items
+function describeList(items, count, format = item => item) {
+  const shown = items.slice(0, count).map(format).join(', ');
+  return items.length > count ? `${shown} +${items.length - count}` : shown;
+}
+
+// How the last exchange ended: its status and the last line Q wrote
+function getOutcome(messages) {
+  const lastReply = [...messages].reverse().find(message => message.role === 'assistant');
+  if (!lastReply) {
+    return { status: 'pending', outcome: null };
+  }
+
+  if (lastReply.aborted) {
+    return { status: 'stopped', outcome: 'Stopped before finishing' };
+  }
+  if (lastReply.error || (lastReply.exitCode !== undefined && lastReply.exitCode !== null && lastReply.exitCode !== 0)) {
+    const reason = stripMarkdown((lastReply.error || '').split('\n')[0] || '');
+    return { status: 'failed', outcome: truncate(reason ? `Failed: ${reason}` : 'Failed', MAX_OUTCOME_LENGTH) };
+  }
+
+  // Fences are dropped before stripping, which would turn ``` into `
+  const lines = (lastReply.content || '').split('\n').filter(line => !line.trim().startsWith('```')).map(stripMarkdown).filter(Boolean);
+  const lastLine = lines[lines.length - 1];
+  return { status: 'completed', outcome: lastLine ? truncate(lastLine, MAX_OUTCOME_LENGTH) : null };
+}
+
+// Files written, commands run and how the session ended, taken from the recorded tool events
+function summarizeSession(messages) {
+  const events = messages.flatMap(message => (message.role === 'assistant' && Array.isArray(message.events) ? message.events : []));
+
+  const files = uniqueValues(events
+    .filter(event => event.type === 'fs-write')
+    .map(event => event.path));
+  const commands = uniqueValues(events
+    .filter(event => event.type === 'execute-bash')
+    .map(event => (event.command || '').trim().split('\n')[0]));
+  const { status, outcome } = getOutcome(messages);
+
+  const parts = [];
+  if (files.length > 0) {
+    parts.push(`Edited ${describeList(files, 2, file => path.basename(file))}`);
+  }
+  if (commands.length > 0) {
+    parts.push(`Ran ${describeList(commands, 1, command => truncate(command, 40))}`);
+  }
+  if (outcome) {
+    parts.push(outcome);
+  }
+
+  return {
+    text: parts.join(' · '),
+    files: files.slice(0, MAX_LISTED_ITEMS),
+    fileCount: files.length,
+    commands: commands.slice(0, MAX_LISTED_ITEMS),
+    commandCount: commands.length,
+    status,
+    outcome
+  };
+}
+
+export {
+  deriveSessionTitle,
+  summarizeSession
+};
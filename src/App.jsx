@@ -28,7 +28,8 @@ function AppContent() {
   
   const [projects, setProjects] = useState([]);
   const [selectedProject, setSelectedProject] = useState(null);
-  const [activeTab, setActiveTab] = useState('shell'); // 'shell', 'files', or 'git'
+  const [selectedSession, setSelectedSession] = useState(null);
+  const [activeTab, setActiveTab] = useState('shell'); // 'shell', 'chat', 'files', or 'git'
   const [isMobile, setIsMobile] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [isLoadingProjects, setIsLoadingProjects] = useState(false);
@@ -97,7 +98,9 @@ function AppContent() {
             newProject.name !== prevProject.name ||
             newProject.displayName !== prevProject.displayName ||
             newProject.fullPath !== prevProject.fullPath ||
-            JSON.stringify(newProject.sessionMeta) !== JSON.stringify(prevProject.sessionMeta)
+            JSON.stringify(newProject.metadata) !== JSON.stringify(prevProject.metadata) ||
+            JSON.stringify(newProject.sessionMeta) !== JSON.stringify(prevProject.sessionMeta) ||
+            JSON.stringify(newProject.sessions) !== JSON.stringify(prevProject.sessions)
           );
         }) || data.length !== prevProjects.length;
         
@@ -116,6 +119,9 @@ function AppContent() {
   window.refreshProjects = fetchProjects;
 
   const handleProjectSelect = (project) => {
+    if (project.name !== selectedProject?.name) {
+      setSelectedSession(null);
+    }
     setSelectedProject(project);
     navigate('/');
     if (isMobile) {
@@ -123,6 +129,34 @@ function AppContent() {
     }
   };
 
+  // Selecting a past session resumes it in the Shell and Chat tabs; selecting it again starts fresh
+  const handleSessionSelect = (project, session) => {
+    if (project.name !== selectedProject?.name) {
+      setSelectedProject(project);
+    }
+    setSelectedSession(prev => (prev?.id === session?.id ? null : session));
+    navigate('/');
+    if (isMobile) {
+      setSidebarOpen(false);
+    }
+  };
+
+  // Open a freshly forked session once the sidebar knows about it
+  const handleSessionFork = async (session) => {
+    await handleSidebarRefresh();
+    setSelectedSession(session);
+  };
+
+  // Open a project from the new project wizard in the Shell tab
+  const handleProjectCreated = async (project) => {
+    await handleSidebarRefresh();
+    // Adding a folder that only holds projects lists those, with none to open
+    if (project) {
+      handleProjectSelect(project);
+      setActiveTab('shell');
+    }
+  };
+
   const handleSidebarRefresh = async () => {
     // Refresh projects
     try {
@@ -140,7 +174,9 @@ function AppContent() {
             newProject.name !== prevProject.name ||
             newProject.displayName !== prevProject.displayName ||
             newProject.fullPath !== prevProject.fullPath ||
-            JSON.stringify(newProject.sessionMeta) !== JSON.stringify(prevProject.sessionMeta)
+            JSON.stringify(newProject.metadata) !== JSON.stringify(prevProject.metadata) ||
+            JSON.stringify(newProject.sessionMeta) !== JSON.stringify(prevProject.sessionMeta) ||
+            JSON.stringify(newProject.sessions) !== JSON.stringify(prevProject.sessions)
           );
         }) || freshProjects.length !== prevProjects.length;
         
@@ -166,6 +202,7 @@ function AppContent() {
     // If the deleted project was currently selected, clear it
     if (selectedProject?.name === projectName) {
       setSelectedProject(null);
+      setSelectedSession(null);
       navigate('/');
     }
     
@@ -270,11 +307,14 @@ function AppContent() {
             <Sidebar
               projects={projects}
               selectedProject={selectedProject}
+              selectedSession={selectedSession}
               onProjectSelect={handleProjectSelect}
+              onSessionSelect={handleSessionSelect}
               onProjectDelete={handleProjectDelete}
               isLoading={isLoadingProjects}
               onRefresh={handleSidebarRefresh}
               onShowSettings={() => setShowToolsSettings(true)}
+              onProjectCreated={handleProjectCreated}
               updateAvailable={updateAvailable}
               latestVersion={latestVersion}
               currentVersion={currentVersion}
@@ -311,11 +351,14 @@ function AppContent() {
             <Sidebar
               projects={projects}
               selectedProject={selectedProject}
+              selectedSession={selectedSession}
               onProjectSelect={handleProjectSelect}
+              onSessionSelect={handleSessionSelect}
               onProjectDelete={handleProjectDelete}
               isLoading={isLoadingProjects}
               onRefresh={handleSidebarRefresh}
               onShowSettings={() => setShowToolsSettings(true)}
+              onProjectCreated={handleProjectCreated}
               updateAvailable={updateAvailable}
               latestVersion={latestVersion}
               currentVersion={currentVersion}
@@ -329,6 +372,9 @@ function AppContent() {
       <div className="flex-1 flex flex-col min-w-0">
         <MainContent
           selectedProject={selectedProject}
+          selectedSession={selectedSession}
+          onNewSession={() => setSelectedSession(null)}
+          onSessionFork={handleSessionFork}
           activeTab={activeTab}
           setActiveTab={setActiveTab}
           ws={ws}
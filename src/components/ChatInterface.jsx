@@ -0,0 +1,769 @@
+/*
+ * ChatInterface.jsx - Structured Chat Panel
+ *
+ * Sends prompts to Q Developer CLI over the /chat WebSocket and renders
+ * the streamed output as a readable, copyable conversation
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import ReactMarkdown from 'react-markdown';
+import { useDropzone } from 'react-dropzone';
+import { Send, Copy, Check, MessageSquare, MessageSquarePlus, ImagePlus, X, Wrench, FilePen, Terminal, ShieldQuestion, GitBranch } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { getWebSocketUrl } from '../utils/websocket';
+import { api } from '../utils/api';
+import { loadToolsSettings } from '../utils/toolsSettings';
+import ClaudeStatus from './ClaudeStatus';
+import PromptPicker from './PromptPicker';
+
+const MAX_IMAGES = 5; // Matches the upload-images route's limit
+
+// Strip ANSI escape sequences that may slip through despite NO_COLOR
+const stripAnsi = (text) => text.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '');
+
+function MessageBubble({ message, onBranch }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(message.content);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1500);
+  };
+
+  const isUser = message.type === 'user';
+
+  return (
+    <div className={cn('group flex', isUser ? 'justify-end' : 'justify-start')}>
+      <div
+        className={cn(
+          'relative max-w-[85%] rounded-lg px-4 py-2 text-sm',
+          isUser && 'bg-blue-600 text-white',
+          message.type === 'assistant' && 'bg-gray-100 dark:bg-gray-800 text-gray-900 dark:text-gray-100',
+          message.type === 'error' && 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 border border-red-200 dark:border-red-800',
+          message.type === 'system' && 'bg-transparent text-gray-500 dark:text-gray-400 text-xs italic'
+        )}
+      >
+        {message.images?.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-2">
+            {message.images.map((image, i) => (
+              <img key={i} src={image.data} alt={image.name} className="h-20 w-20 object-cover rounded" />
+            ))}
+          </div>
+        )}
+        {!message.images?.length && message.attachments?.length > 0 && (
+          <div className="text-xs opacity-80 mb-1">📎 {message.attachments.join(', ')}</div>
+        )}
+
+        {message.type === 'assistant' ? (
+          <div className="prose prose-sm dark:prose-invert max-w-none break-words">
+            <ReactMarkdown>{message.content}</ReactMarkdown>
+          </div>
+        ) : (
+          <pre className="whitespace-pre-wrap break-words font-sans">{message.content}</pre>
+        )}
+
+        {message.streaming && (
+          <span className="inline-block w-2 h-4 ml-1 align-middle bg-current animate-pulse" />
+        )}
+
+        {message.type !== 'system' && !message.streaming && (
+          <button
+            onClick={handleCopy}
+            className="absolute -top-2 -right-2 p-1 rounded-md bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 text-gray-500 dark:text-gray-300 opacity-0 group-hover:opacity-100 transition-opacity"
+            title="Copy message"
+          >
+            {copied ? <Check className="w-3 h-3" /> : <Copy className="w-3 h-3" />}
+          </button>
+        )}
+
+        {onBranch && (
+          <button
+            onClick={() => onBranch(message)}
+            className="absolute -top-2 right-5 p-1 rounded-md bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 text-gray-500 dark:text-gray-300 opacity-0 group-hover:opacity-100 transition-opacity"
+            title="Branch from here with a different prompt"
+          >
+            <GitBranch className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Card for a tool invocation parsed from Q's output
+function ToolEventCard({ message, projectPath, onFileOpen }) {
+  const { tool, details } = message;
+
+  if (message.type === 'approval') {
+    return (
+      <div className="flex items-center gap-2 rounded-lg border border-yellow-200 dark:border-yellow-800 bg-yellow-50 dark:bg-yellow-900/20 px-3 py-2 text-xs text-yellow-800 dark:text-yellow-300">
+        <ShieldQuestion className="w-4 h-4 flex-shrink-0" />
+        <span>
+          Q asked for permission{tool ? ` to use ${tool}` : ''}
+        </span>
+      </div>
+    );
+  }
+
+  const Icon = details?.type === 'fs-write' ? FilePen : details?.type === 'execute-bash' ? Terminal : Wrench;
+
+  // Q may print paths relative to the project directory
+  const resolvePath = (filePath) => (filePath.startsWith('/') ? filePath : `${projectPath}/${filePath}`);
+
+  return (
+    <div className="rounded-lg border border-border bg-card text-sm overflow-hidden">
+      <div className="flex items-center justify-between gap-2 px-3 py-2 bg-muted/50">
+        <div className="flex items-center gap-2 min-w-0">
+          <Icon className="w-4 h-4 flex-shrink-0 text-blue-600 dark:text-blue-400" />
+          <span className="font-mono text-xs text-foreground">{tool}</span>
+          {details?.type === 'fs-write' && (
+            <span className="text-xs text-muted-foreground truncate">{details.path}</span>
+          )}
+        </div>
+        {details?.type === 'fs-write' && onFileOpen && (
+          <button
+            onClick={() => onFileOpen(resolvePath(details.path), {
+              old_string: details.old_string,
+              new_string: details.new_string
+            })}
+            className="text-xs text-blue-600 dark:text-blue-400 hover:underline flex-shrink-0"
+          >
+            Open in editor
+          </button>
+        )}
+      </div>
+
+      {details?.purpose && (
+        <div className="px-3 pt-2 text-xs text-muted-foreground">{details.purpose}</div>
+      )}
+
+      {details?.type === 'execute-bash' && (
+        <pre className="m-3 p-2 rounded bg-gray-900 text-gray-100 text-xs overflow-x-auto">$ {details.command}</pre>
+      )}
+
+      {details?.type === 'fs-write' && (details.old_string || details.new_string) && (
+        <pre className="m-3 rounded bg-gray-50 dark:bg-gray-900 text-xs overflow-x-auto">
+          {details.old_string && details.old_string.split('\n').map((line, i) => (
+            <div key={`old-${i}`} className="px-2 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300">- {line}</div>
+          ))}
+          {details.new_string && details.new_string.split('\n').map((line, i) => (
+            <div key={`new-${i}`} className="px-2 bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300">+ {line}</div>
+          ))}
+        </pre>
+      )}
+    </div>
+  );
+}
+
+// Append streamed text to the trailing bubble of the same type, or start a new one
+function appendStreamChunk(messages, type, chunk, timestamp = new Date().toISOString()) {
+  const last = messages[messages.length - 1];
+  if (last && last.type === type && last.streaming) {
+    return [...messages.slice(0, -1), { ...last, content: last.content + chunk }];
+  }
+  return [...messages, {
+    id: `${type}-${Date.now()}-${messages.length}`,
+    type,
+    content: chunk,
+    streaming: true,
+    timestamp
+  }];
+}
+
+// Stop streaming into the current bubble so the next text starts a new one
+const endStreaming = (messages) => messages.map(m => (m.streaming ? { ...m, streaming: false } : m));
+
+// Apply one parsed Q event (live or from a stored transcript) to the message list
+function applyQEvent(messages, event, timestamp = new Date().toISOString()) {
+  switch (event.type) {
+    case 'text':
+      return appendStreamChunk(messages, 'assistant', `${event.text}\n`, timestamp);
+
+    case 'tool-use':
+      return [...endStreaming(messages), {
+        id: `tool-${Date.now()}-${messages.length}`,
+        type: 'tool',
+        tool: event.tool,
+        details: null,
+        timestamp
+      }];
+
+    case 'fs-write':
+    case 'execute-bash': {
+      // Attach the details to the card opened by the matching tool-use event
+      const index = messages.map(m => m.type === 'tool' && m.tool === event.tool && !m.details).lastIndexOf(true);
+      if (index === -1) {
+        return [...endStreaming(messages), {
+          id: `tool-${Date.now()}-${messages.length}`,
+          type: 'tool',
+          tool: event.tool,
+          details: event,
+          timestamp
+        }];
+      }
+      const updated = [...messages];
+      updated[index] = { ...updated[index], details: event };
+      return updated;
+    }
+
+    case 'approval-prompt':
+      return [...endStreaming(messages), {
+        id: `approval-${Date.now()}-${messages.length}`,
+        type: 'approval',
+        tool: event.tool,
+        timestamp
+      }];
+
+    default:
+      return messages;
+  }
+}
+
+// Note a stopped request or a non-zero exit at the end of a response
+function appendExitNotice(messages, exitCode, timestamp, aborted = false) {
+  if (!aborted && (exitCode === 0 || exitCode === undefined)) return messages;
+  return [...messages, {
+    id: `system-${Date.now()}-${messages.length}`,
+    type: 'system',
+    content: aborted ? 'Stopped' : `Q exited with code ${exitCode}`,
+    timestamp
+  }];
+}
+
+// Rebuild chat panel messages from a stored session transcript
+function transcriptToChatMessages(transcript) {
+  let messages = [];
+  let previousId = null; // Stored message a branch before the current prompt would end at
+  for (const entry of transcript) {
+    if (entry.role === 'user') {
+      messages = [...endStreaming(messages), {
+        id: `user-${Date.now()}-${messages.length}`,
+        type: 'user',
+        content: entry.content,
+        attachments: entry.attachments,
+        timestamp: entry.timestamp,
+        forkFromMessageId: previousId
+      }];
+    } else if (entry.role === 'assistant') {
+      if (entry.events?.length > 0) {
+        messages = entry.events.reduce((acc, event) => applyQEvent(acc, event, entry.timestamp), messages);
+      } else if (entry.content) {
+        messages = appendStreamChunk(messages, 'assistant', entry.content, entry.timestamp);
+      }
+      messages = appendExitNotice(endStreaming(messages), entry.exitCode, entry.timestamp, entry.aborted);
+    }
+    previousId = entry.id || previousId;
+  }
+  return endStreaming(messages);
+}
+
+function ChatInterface({ selectedProject, selectedSession, isActive, onFileOpen, onNewSession, onSessionFork, activeFile }) {
+  const [chatMessages, setChatMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [isConnected, setIsConnected] = useState(false);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  const [currentSessionId, setCurrentSessionId] = useState(null); // Stored session follow-up prompts are appended to
+  const [runningViewKey, setRunningViewKey] = useState(null); // View whose prompt Q is currently answering
+  const [qStatus, setQStatus] = useState(null); // Progress reported by the server for the running prompt
+  const [attachedImages, setAttachedImages] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+  const [permissionMode, setPermissionMode] = useState(() => localStorage.getItem('chat-permission-mode') || 'default');
+  const ws = useRef(null);
+  const messagesEndRef = useRef(null);
+  const inputRef = useRef(null);
+
+  // Each project/session pair keeps its own conversation while you switch between them
+  const viewKey = selectedProject ? `${selectedProject.name}:${selectedSession?.id || 'new'}` : null;
+  const viewKeyRef = useRef(viewKey);
+  const runningViewKeyRef = useRef(null);
+  const runningSessionIdRef = useRef(null); // Session the running Q process is registered under, for abort
+  const viewStates = useRef(new Map());
+  const latestViewState = useRef({ chatMessages, currentSessionId });
+  latestViewState.current = { chatMessages, currentSessionId };
+
+  const isLoading = runningViewKey !== null;
+
+  // Update the view a running prompt belongs to, even if another view is on screen
+  const updateRunningView = (update) => {
+    const key = runningViewKeyRef.current;
+    if (!key || key === viewKeyRef.current) {
+      update.setMessages && setChatMessages(update.setMessages);
+      update.sessionId !== undefined && setCurrentSessionId(update.sessionId);
+      return;
+    }
+    const state = viewStates.current.get(key);
+    if (!state) return;
+    viewStates.current.set(key, {
+      chatMessages: update.setMessages ? update.setMessages(state.chatMessages) : state.chatMessages,
+      currentSessionId: update.sessionId !== undefined ? update.sessionId : state.currentSessionId
+    });
+  };
+
+  const handlePermissionModeChange = (mode) => {
+    setPermissionMode(mode);
+    localStorage.setItem('chat-permission-mode', mode);
+  };
+
+  const handleServerMessage = (data) => {
+    switch (data.type) {
+      case 'session-created':
+        runningSessionIdRef.current = data.sessionId;
+        updateRunningView({ sessionId: data.sessionId });
+        break;
+
+      case 'q-queued':
+        // Another Q run is working in this project or all slots are taken
+        runningSessionIdRef.current = data.sessionId;
+        updateRunningView({ sessionId: data.sessionId });
+        setQStatus({ text: `Queued (#${data.position}), waiting for other Q runs to finish` });
+        break;
+
+      case 'q-status':
+        setQStatus(data.status);
+        break;
+
+      case 'q-notice':
+        // The server had to change how this prompt reaches Q, e.g. a session that can't be resumed
+        updateRunningView({
+          setMessages: prev => [...endStreaming(prev), {
+            id: `system-${Date.now()}-${prev.length}`,
+            type: 'system',
+            content: data.message,
+            timestamp: new Date().toISOString()
+          }]
+        });
+        break;
+
+      case 'q-event':
+        updateRunningView({ setMessages: prev => applyQEvent(prev, data.event) });
+        break;
+
+      case 'q-error':
+        updateRunningView({ setMessages: prev => appendStreamChunk(prev, 'error', stripAnsi(data.data || data.error || '')) });
+        break;
+
+      case 'q-complete':
+        updateRunningView({ setMessages: prev => appendExitNotice(endStreaming(prev), data.exitCode, data.timestamp, data.aborted) });
+        runningViewKeyRef.current = null;
+        runningSessionIdRef.current = null;
+        setRunningViewKey(null);
+        break;
+
+      default:
+        break;
+    }
+  };
+
+  // Open a chat socket for the selected project
+  useEffect(() => {
+    if (!selectedProject) return;
+
+    const socket = new WebSocket(getWebSocketUrl('/chat'));
+
+    socket.onopen = () => {
+      setIsConnected(true);
+    };
+
+    socket.onmessage = (event) => {
+      try {
+        handleServerMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Error parsing chat message:', error);
+      }
+    };
+
+    socket.onclose = () => {
+      setIsConnected(false);
+      runningViewKeyRef.current = null;
+      setRunningViewKey(null);
+    };
+
+    socket.onerror = (error) => {
+      console.error('Chat WebSocket error:', error);
+    };
+
+    ws.current = socket;
+
+    return () => {
+      socket.close();
+      ws.current = null;
+    };
+  }, [selectedProject?.name]);
+
+  // Switch conversations: stash the one we're leaving, restore or load the one we're entering
+  useEffect(() => {
+    const previousKey = viewKeyRef.current;
+    if (previousKey && previousKey !== viewKey) {
+      viewStates.current.set(previousKey, latestViewState.current);
+    }
+    viewKeyRef.current = viewKey;
+    if (!viewKey) return;
+
+    const saved = viewStates.current.get(viewKey);
+    if (saved) {
+      setChatMessages(saved.chatMessages);
+      setCurrentSessionId(saved.currentSessionId);
+      return;
+    }
+
+    setChatMessages([]);
+    setCurrentSessionId(selectedSession?.id || null);
+    if (!selectedSession) return;
+
+    // Show the stored transcript above whatever the resumed conversation produces next
+    setIsLoadingHistory(true);
+    api.sessionMessages(selectedProject.name, selectedSession.id)
+      .then(response => response.json())
+      .then(data => {
+        if (viewKeyRef.current !== viewKey) return;
+        const history = transcriptToChatMessages(data.messages || []);
+        setChatMessages(prev => [...history, {
+          id: `system-resumed-${Date.now()}`,
+          type: 'system',
+          content: `Resumed "${selectedSession.title}" — new prompts continue this conversation`,
+          timestamp: new Date().toISOString()
+        }, ...prev]);
+      })
+      .catch(error => {
+        console.error('Error loading session transcript:', error);
+      })
+      .finally(() => {
+        if (viewKeyRef.current === viewKey) {
+          setIsLoadingHistory(false);
+        }
+      });
+  }, [viewKey]);
+
+  // Upload dropped, pasted or picked images; they go out with the next prompt
+  const attachImages = async (files) => {
+    const imageFiles = files.filter(file => file.type.startsWith('image/')).slice(0, MAX_IMAGES - attachedImages.length);
+    if (imageFiles.length === 0 || !selectedProject) return;
+
+    const formData = new FormData();
+    imageFiles.forEach(file => formData.append('images', file));
+
+    setIsUploading(true);
+    setUploadError(null);
+    try {
+      const response = await api.uploadImages(selectedProject.name, formData);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Upload failed');
+      }
+      setAttachedImages(prev => [...prev, ...data.images].slice(0, MAX_IMAGES));
+    } catch (error) {
+      console.error('Error uploading images:', error);
+      setUploadError(error.message);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const { getRootProps, getInputProps, isDragActive, open: openFilePicker } = useDropzone({
+    onDrop: attachImages,
+    accept: { 'image/*': [] },
+    noClick: true,
+    noKeyboard: true,
+    disabled: !selectedProject || attachedImages.length >= MAX_IMAGES
+  });
+
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData?.items || [])
+      .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+      .map(item => item.getAsFile())
+      .filter(Boolean);
+    if (files.length > 0) {
+      e.preventDefault();
+      attachImages(files);
+    }
+  };
+
+  const removeImage = (index) => {
+    setAttachedImages(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Stop the running request; the server answers with q-complete { aborted: true }
+  const handleAbort = () => {
+    if (!runningSessionIdRef.current || !ws.current || ws.current.readyState !== WebSocket.OPEN) return;
+    ws.current.send(JSON.stringify({
+      type: 'abort-session',
+      sessionId: runningSessionIdRef.current
+    }));
+  };
+
+  const isRunningHere = isLoading && runningViewKey === viewKey;
+
+  // Esc stops the running request
+  useEffect(() => {
+    if (!isActive || !isRunningHere) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        handleAbort();
+      }
+    };
+
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isActive, isRunningHere]);
+
+  // Keep the latest message in view
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [chatMessages]);
+
+  // Focus the input when the tab becomes active
+  useEffect(() => {
+    if (isActive) {
+      inputRef.current?.focus();
+    }
+  }, [isActive]);
+
+  const handleSubmit = (e) => {
+    e?.preventDefault();
+    const command = input.trim();
+    if ((!command && attachedImages.length === 0) || isLoading || isUploading ||
+        !ws.current || ws.current.readyState !== WebSocket.OPEN) return;
+
+    const images = attachedImages.map(({ name, data }) => ({ name, data }));
+
+    setChatMessages(prev => [...prev, {
+      id: `user-${Date.now()}`,
+      type: 'user',
+      content: command,
+      images,
+      timestamp: new Date().toISOString()
+    }]);
+    setInput('');
+    setAttachedImages([]);
+    setUploadError(null);
+    setQStatus(null);
+    runningViewKeyRef.current = viewKey;
+    setRunningViewKey(viewKey);
+
+    ws.current.send(JSON.stringify({
+      type: 'q-command',
+      command,
+      options: {
+        projectPath: selectedProject.fullPath,
+        cwd: selectedProject.fullPath,
+        sessionId: currentSessionId,
+        permissionMode,
+        // Read at send time so changes in Settings apply to the next prompt
+        toolsSettings: loadToolsSettings(),
+        images
+      }
+    }));
+  };
+
+  // Start a fresh conversation; the next prompt creates a new stored session
+  const handleNewChat = () => {
+    if (isLoading) return;
+    viewStates.current.delete(`${selectedProject.name}:new`);
+    if (selectedSession) {
+      onNewSession?.();
+    } else {
+      setChatMessages([]);
+      setCurrentSessionId(null);
+    }
+    inputRef.current?.focus();
+  };
+
+  // Branch the stored session just before a prompt so it can be retried differently
+  const handleBranch = async (message) => {
+    if (isLoading || !currentSessionId) return;
+    try {
+      const response = await api.forkSession(selectedProject.name, currentSessionId, message.forkFromMessageId);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Fork failed');
+      }
+      setInput(message.content);
+      onSessionFork?.(data.session);
+      inputRef.current?.focus();
+    } catch (error) {
+      console.error('Error forking session:', error);
+      setChatMessages(prev => [...prev, {
+        id: `error-${Date.now()}`,
+        type: 'error',
+        content: `Could not branch the conversation: ${error.message}`,
+        timestamp: new Date().toISOString()
+      }]);
+    }
+  };
+
+  // Saved prompts can use the open file, the selected text and the unsent input
+  const getPromptContext = () => {
+    const textarea = inputRef.current;
+    const inputSelection = textarea ? input.slice(textarea.selectionStart, textarea.selectionEnd) : '';
+    return {
+      file: activeFile,
+      selection: inputSelection || window.getSelection()?.toString() || '',
+      draft: input.trim()
+    };
+  };
+
+  const handlePromptInsert = (content) => {
+    setInput(prev => (prev.trim() ? `${prev.trimEnd()}\n\n${content}` : content));
+    inputRef.current?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSubmit();
+    }
+  };
+
+  if (!selectedProject) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <div className="text-center text-gray-500 dark:text-gray-400">
+          <div className="w-16 h-16 mx-auto mb-4 bg-gray-100 dark:bg-gray-800 rounded-full flex items-center justify-center">
+            <MessageSquare className="w-8 h-8 text-gray-400" />
+          </div>
+          <h3 className="text-lg font-semibold mb-2">Select a Project</h3>
+          <p>Choose a project to start a conversation with Q Developer</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div {...getRootProps({ className: 'h-full flex flex-col relative' })}>
+      <input {...getInputProps()} />
+
+      {/* Drop overlay */}
+      {isDragActive && (
+        <div className="absolute inset-0 z-10 flex items-center justify-center bg-blue-500/10 border-2 border-dashed border-blue-500 rounded-lg pointer-events-none">
+          <div className="flex items-center gap-2 text-sm font-medium text-blue-600 dark:text-blue-400">
+            <ImagePlus className="w-5 h-5" />
+            Drop images to attach them to your message
+          </div>
+        </div>
+      )}
+
+      {/* Messages */}
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        {isLoadingHistory && chatMessages.length === 0 ? (
+          <div className="h-full flex items-center justify-center text-sm text-gray-500 dark:text-gray-400">
+            Loading conversation...
+          </div>
+        ) : chatMessages.length === 0 ? (
+          <div className="h-full flex items-center justify-center text-center text-gray-500 dark:text-gray-400">
+            <div>
+              <MessageSquare className="w-8 h-8 mx-auto mb-2 text-gray-400" />
+              <p className="text-sm">Ask Q Developer about {selectedProject.displayName || selectedProject.alias}</p>
+            </div>
+          </div>
+        ) : (
+          chatMessages.map(message => (
+            message.type === 'tool' || message.type === 'approval' ? (
+              <ToolEventCard
+                key={message.id}
+                message={message}
+                projectPath={selectedProject.fullPath}
+                onFileOpen={onFileOpen}
+              />
+            ) : (
+              <MessageBubble
+                key={message.id}
+                message={message}
+                onBranch={message.forkFromMessageId && onSessionFork && !isLoading ? handleBranch : null}
+              />
+            )
+          ))
+        )}
+        <div ref={messagesEndRef} />
+      </div>
+
+      {/* Status */}
+      <div className="flex-shrink-0 px-4">
+        <ClaudeStatus status={qStatus} isLoading={isRunningHere} onAbort={handleAbort} />
+      </div>
+
+      {/* Input */}
+      <form onSubmit={handleSubmit} className="flex-shrink-0 border-t border-border p-3 sm:p-4">
+        {(attachedImages.length > 0 || isUploading || uploadError) && (
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            {attachedImages.map((image, index) => (
+              <div key={index} className="relative group/image">
+                <img src={image.data} alt={image.name} className="h-14 w-14 object-cover rounded border border-border" />
+                <button
+                  type="button"
+                  onClick={() => removeImage(index)}
+                  className="absolute -top-1.5 -right-1.5 p-0.5 rounded-full bg-gray-900 text-white opacity-0 group-hover/image:opacity-100 transition-opacity"
+                  title={`Remove ${image.name}`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </div>
+            ))}
+            {isUploading && <span className="text-xs text-muted-foreground">Uploading...</span>}
+            {uploadError && <span className="text-xs text-red-600 dark:text-red-400">{uploadError}</span>}
+          </div>
+        )}
+        <div className="flex items-end gap-2">
+          <textarea
+            ref={inputRef}
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onPaste={handlePaste}
+            placeholder={isConnected ? 'Message Q Developer... (Shift+Enter for a new line)' : 'Connecting...'}
+            disabled={!isConnected}
+            rows={2}
+            className="flex-1 resize-none rounded-lg border border-border bg-background text-foreground px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-ring disabled:opacity-50"
+          />
+          <select
+            value={permissionMode}
+            onChange={(e) => handlePermissionModeChange(e.target.value)}
+            className="h-10 text-xs rounded-lg border border-border bg-background text-muted-foreground px-2"
+            title="Q can't ask for approval in chat; pick which tools it may use"
+          >
+            <option value="default">Default tools</option>
+            <option value="bypassPermissions">Trust all tools</option>
+          </select>
+          <PromptPicker
+            projectName={selectedProject.name}
+            projectPath={selectedProject.fullPath}
+            getContext={getPromptContext}
+            onInsert={handlePromptInsert}
+            disabled={!isConnected}
+            buttonClassName="p-2.5 rounded-lg border border-border text-muted-foreground hover:text-foreground hover:bg-accent disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          />
+          <button
+            type="button"
+            onClick={openFilePicker}
+            disabled={isUploading || attachedImages.length >= MAX_IMAGES}
+            className="p-2.5 rounded-lg border border-border text-muted-foreground hover:text-foreground hover:bg-accent disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            title="Attach images"
+          >
+            <ImagePlus className="w-4 h-4" />
+          </button>
+          <button
+            type="button"
+            onClick={handleNewChat}
+            disabled={isLoading || (chatMessages.length === 0 && !currentSessionId && !selectedSession)}
+            className="p-2.5 rounded-lg border border-border text-muted-foreground hover:text-foreground hover:bg-accent disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            title="New chat"
+          >
+            <MessageSquarePlus className="w-4 h-4" />
+          </button>
+          <button
+            type="submit"
+            disabled={(!input.trim() && attachedImages.length === 0) || isLoading || isUploading || !isConnected}
+            className="p-2.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            title="Send"
+          >
+            <Send className="w-4 h-4" />
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default ChatInterface;
@@ -1,25 +1,27 @@
 import React, { useState, useEffect } from 'react';
 import { cn } from '../lib/utils';
 
+// Format a byte count for display
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
 function ClaudeStatus({ status, onAbort, isLoading }) {
   const [elapsedTime, setElapsedTime] = useState(0);
   const [animationPhase, setAnimationPhase] = useState(0);
-  const [fakeTokens, setFakeTokens] = useState(0);
   
-  // Update elapsed time every second
+  // Count elapsed time locally until the server reports its own
   useEffect(() => {
     if (!isLoading) {
       setElapsedTime(0);
-      setFakeTokens(0);
       return;
     }
     
     const startTime = Date.now();
     const timer = setInterval(() => {
-      const elapsed = Math.floor((Date.now() - startTime) / 1000);
-      setElapsedTime(elapsed);
-      // Simulate token count increasing over time (roughly 30-50 tokens per second)
-      setFakeTokens(Math.floor(elapsed * (30 + Math.random() * 20)));
+      setElapsedTime(Math.floor((Date.now() - startTime) / 1000));
     }, 1000);
     
     return () => clearInterval(timer);
@@ -38,14 +40,28 @@ function ClaudeStatus({ status, onAbort, isLoading }) {
   
   if (!isLoading) return null;
   
+  // Parse status data reported by the server
+  const elapsed = status?.elapsedMs != null ? Math.floor(status.elapsedMs / 1000) : elapsedTime;
+  const tokens = status?.usage?.tokens;
+  const credits = status?.usage?.credits;
+  const canInterrupt = status?.can_interrupt !== false;
+  
   // Clever action words that cycle
   const actionWords = ['Thinking', 'Processing', 'Analyzing', 'Working', 'Computing', 'Reasoning'];
-  const actionIndex = Math.floor(elapsedTime / 3) % actionWords.length;
+  const actionIndex = Math.floor(elapsed / 3) % actionWords.length;
+  const statusText = status?.currentTool ? `Running ${status.currentTool}` : status?.text || actionWords[actionIndex];
   
-  // Parse status data
-  const statusText = status?.text || actionWords[actionIndex];
-  const tokens = status?.tokens || fakeTokens;
-  const canInterrupt = status?.can_interrupt !== false;
+  // Only numbers Q actually produced
+  const stats = [];
+  if (status?.bytes > 0) {
+    stats.push(`${formatBytes(status.bytes)} · ${status.lines.toLocaleString()} lines`);
+  }
+  if (tokens != null) {
+    stats.push(`⚒ ${tokens.toLocaleString()} tokens`);
+  }
+  if (credits != null) {
+    stats.push(`${credits} credits`);
+  }
   
   // Animation characters
   const spinners = ['✻', '✹', '✸', '✶'];
@@ -68,20 +84,19 @@ function ClaudeStatus({ status, onAbort, isLoading }) {
             <div className="flex-1">
               <div className="flex items-center gap-2">
                 <span className="font-medium text-sm">{statusText}...</span>
-                <span className="text-gray-400 text-sm">({elapsedTime}s)</span>
-                {tokens > 0 && (
-                  <>
-                    <span className="text-gray-400">·</span>
-                    <span className="text-gray-300 text-sm hidden sm:inline">⚒ {tokens.toLocaleString()} tokens</span>
-                    <span className="text-gray-300 text-sm sm:hidden">⚒ {tokens.toLocaleString()}</span>
-                  </>
-                )}
+                <span className="text-gray-400 text-sm">({elapsed}s)</span>
+                {stats.map(stat => (
+                  <React.Fragment key={stat}>
+                    <span className="text-gray-400 hidden sm:inline">·</span>
+                    <span className="text-gray-300 text-sm hidden sm:inline">{stat}</span>
+                  </React.Fragment>
+                ))}
                 <span className="text-gray-400 hidden sm:inline">·</span>
                 <span className="text-gray-300 text-sm hidden sm:inline">esc to interrupt</span>
               </div>
               {/* Second line for mobile */}
               <div className="text-xs text-gray-400 sm:hidden mt-1">
-                esc to interrupt
+                {[...stats, 'esc to interrupt'].join(' · ')}
               </div>
             </div>
           </div>
@@ -42,44 +42,57 @@ function CodeEditor({ file, onClose, projectPath }) {
     provide: f => EditorView.decorations.from(f)
   });
 
-  const createDiffDecorations = (content, diffInfo) => {
-    if (!diffInfo || !showDiff) return Decoration.none;
-    
-    const builder = new RangeSetBuilder();
-    const lines = content.split('\n');
-    const oldLines = diffInfo.old_string.split('\n');
-    
-    // Find the line where the old content starts
-    let startLineIndex = -1;
-    for (let i = 0; i <= lines.length - oldLines.length; i++) {
+  // Find the line index where a block of lines starts in the content
+  const findBlockStart = (lines, blockLines) => {
+    for (let i = 0; i <= lines.length - blockLines.length; i++) {
       let matches = true;
-      for (let j = 0; j < oldLines.length; j++) {
-        if (lines[i + j] !== oldLines[j]) {
+      for (let j = 0; j < blockLines.length; j++) {
+        if (lines[i + j] !== blockLines[j]) {
           matches = false;
           break;
         }
       }
       if (matches) {
-        startLineIndex = i;
-        break;
+        return i;
       }
     }
+    return -1;
+  };
+
+  const createDiffDecorations = (content, diffInfo) => {
+    if (!diffInfo || !showDiff) return Decoration.none;
+    
+    const builder = new RangeSetBuilder();
+    const lines = content.split('\n');
+    const oldLines = (diffInfo.old_string || '').split('\n');
+    const newLines = (diffInfo.new_string || '').split('\n');
+    
+    // Highlight the old content if it is still in the file (edit not applied yet),
+    // otherwise highlight the new content the edit wrote
+    let blockLines = oldLines;
+    let blockClass = isDarkMode ? 'diff-removed-dark' : 'diff-removed-light';
+    let startLineIndex = diffInfo.old_string ? findBlockStart(lines, oldLines) : -1;
+    
+    if (startLineIndex < 0 && diffInfo.new_string) {
+      blockLines = newLines;
+      blockClass = isDarkMode ? 'diff-added-dark' : 'diff-added-light';
+      startLineIndex = findBlockStart(lines, newLines);
+    }
 
     if (startLineIndex >= 0) {
       let pos = 0;
-      // Calculate position to start of old content
+      // Calculate position to start of the highlighted block
       for (let i = 0; i < startLineIndex; i++) {
         pos += lines[i].length + 1; // +1 for newline
       }
       
-      // Highlight old lines (to be removed)
-      for (let i = 0; i < oldLines.length; i++) {
+      for (let i = 0; i < blockLines.length; i++) {
         const lineStart = pos;
-        const lineEnd = pos + oldLines[i].length;
+        const lineEnd = pos + blockLines[i].length;
         builder.add(lineStart, lineEnd, Decoration.line({
-          class: isDarkMode ? 'diff-removed-dark' : 'diff-removed-light'
+          class: blockClass
         }));
-        pos += oldLines[i].length + 1;
+        pos += blockLines[i].length + 1;
       }
     }
     
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { Save, RotateCcw } from 'lucide-react';
+import { api } from '../utils/api';
+
+const LIST_FIELDS = [
+  {
+    key: 'roots',
+    label: 'Scan roots',
+    help: 'Folders whose subfolders are checked for projects; absolute paths or ~/...',
+    placeholder: '~/projects'
+  },
+  {
+    key: 'indicators',
+    label: 'Project indicators',
+    help: 'A folder is a project when it contains one of these files or folders',
+    placeholder: 'package.json'
+  },
+  {
+    key: 'include',
+    label: 'Include globs',
+    help: 'When set, only matching folders become projects. Globs without a / match the folder name, others its path below the root',
+    placeholder: 'work/*'
+  },
+  {
+    key: 'exclude',
+    label: 'Exclude globs',
+    help: 'Matching folders are skipped along with everything inside them',
+    placeholder: 'node_modules'
+  }
+];
+
+// Lists are edited one entry per line
+const toForm = (settings) => ({
+  ...Object.fromEntries(LIST_FIELDS.map(({ key }) => [key, settings[key].join('\n')])),
+  depth: String(settings.depth)
+});
+
+const fromForm = (form) => ({
+  ...Object.fromEntries(LIST_FIELDS.map(({ key }) => [key, form[key].split('\n').map(line => line.trim()).filter(Boolean)])),
+  depth: Number(form.depth)
+});
+
+function DiscoverySettings() {
+  const [form, setForm] = useState(null);
+  const [defaults, setDefaults] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await api.settings.discovery();
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Loading discovery settings failed with status ${response.status}`);
+        }
+        setForm(toForm(data.settings));
+        setDefaults(data.defaults);
+      } catch (error) {
+        setMessage({ type: 'error', text: error.message });
+      }
+    };
+    fetchSettings();
+  }, []);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const response = await api.settings.updateDiscovery(fromForm(form));
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Saving discovery settings failed with status ${response.status}`);
+      }
+      setForm(toForm(data.settings));
+      setMessage({ type: 'success', text: 'Saved. The project list will refresh shortly.' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!form) {
+    return message
+      ? <div className="text-sm text-red-600 dark:text-red-400">{message.text}</div>
+      : <div className="text-center py-8 text-muted-foreground">Loading discovery settings...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {LIST_FIELDS.map(({ key, label, help, placeholder }) => (
+          <div key={key}>
+            <label className="block text-sm font-medium mb-1">{label}</label>
+            <textarea
+              value={form[key]}
+              onChange={(e) => setForm(prev => ({ ...prev, [key]: e.target.value }))}
+              rows={6}
+              className="w-full px-3 py-2 border border-border rounded-lg bg-background text-foreground font-mono text-sm"
+              placeholder={placeholder}
+            />
+            <p className="text-xs text-muted-foreground mt-1">{help}</p>
+          </div>
+        ))}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium mb-1">Scan depth</label>
+        <input
+          type="number"
+          min={1}
+          max={5}
+          value={form.depth}
+          onChange={(e) => setForm(prev => ({ ...prev, depth: e.target.value }))}
+          className="w-24 px-3 py-2 border border-border rounded-lg bg-background"
+        />
+        <p className="text-xs text-muted-foreground mt-1">
+          How many folder levels below each root are searched; 1 checks only the root's immediate subfolders
+        </p>
+      </div>
+
+      {message && (
+        <div className={`text-sm ${message.type === 'error' ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="flex items-center justify-end space-x-2">
+        <button
+          onClick={() => setForm(toForm(defaults))}
+          disabled={!defaults}
+          className="flex items-center space-x-2 px-4 py-2 border border-border hover:bg-muted rounded-lg"
+        >
+          <RotateCcw className="w-4 h-4" />
+          <span>Restore defaults</span>
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className="flex items-center space-x-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          <span>{isSaving ? 'Saving...' : 'Save'}</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DiscoverySettings;
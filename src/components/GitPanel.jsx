@@ -105,7 +105,9 @@ function GitPanel({ selectedProject, isMobile }) {
       const data = await response.json();
       
       if (!data.error && data.branches) {
-        setBranches(data.branches);
+        // The project's default branch, if it has one, goes first
+        const defaultBranch = selectedProject.metadata?.defaultBranch;
+        setBranches([...data.branches].sort((a, b) => (b === defaultBranch) - (a === defaultBranch)));
       }
     } catch (error) {
       console.error('Error fetching branches:', error);
@@ -773,6 +775,9 @@ function GitPanel({ selectedProject, isMobile }) {
                     <div className="flex items-center space-x-2">
                       {branch === currentBranch && <Check className="w-3 h-3 text-green-600 dark:text-green-400" />}
                       <span className={branch === currentBranch ? 'font-medium' : ''}>{branch}</span>
+                      {branch === selectedProject.metadata?.defaultBranch && (
+                        <span className="text-xs text-gray-500 dark:text-gray-400">default</span>
+                      )}
                     </div>
                   </button>
                 ))}
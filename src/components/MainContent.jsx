@@ -2,18 +2,25 @@
  * MainContent.jsx - Main Content Area
  * 
  * Main content area component for Q Developer WebUI
- * Handles shell, file explorer, and git panel tabs
+ * Handles shell, chat, file explorer, and git panel tabs
  */
 
 import React, { useState, useEffect } from 'react';
 import FileTree from './FileTree';
 import CodeEditor from './CodeEditor';
 import Shell from './Shell';
+import ChatInterface from './ChatInterface';
 import GitPanel from './GitPanel';
 import ErrorBoundary from './ErrorBoundary';
+import ProcessMonitor from './ProcessMonitor';
+import SchedulesPanel from './SchedulesPanel';
+import ProjectIcon from './ProjectIcon';
 
 function MainContent({ 
   selectedProject, 
+  selectedSession,
+  onNewSession,
+  onSessionFork,
   activeTab, 
   setActiveTab, 
   ws, 
@@ -26,6 +33,8 @@ function MainContent({
   onShowSettings
 }) {
   const [editingFile, setEditingFile] = useState(null);
+  const [showProcesses, setShowProcesses] = useState(false);
+  const [showSchedules, setShowSchedules] = useState(false);
 
   const handleFileOpen = (filePath, diffInfo = null) => {
     // Create a file object that CodeEditor expects
@@ -63,10 +72,11 @@ function MainContent({
             
             {/* Project Info */}
             {selectedProject ? (
-              <div className="min-w-0">
-                <div>
+              <div className="min-w-0 flex items-center gap-2">
+                <ProjectIcon project={selectedProject} isOpen className="h-5 w-5 flex-shrink-0" />
+                <div className="min-w-0" title={selectedProject.metadata?.description || undefined}>
                   <h2 className="text-base sm:text-lg font-semibold text-gray-900 dark:text-white truncate">
-                    {selectedProject.displayName || selectedProject.name}
+                    {selectedProject.displayName || selectedProject.alias}
                   </h2>
                   <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
                     {selectedProject.fullPath}
@@ -85,6 +95,29 @@ function MainContent({
             )}
           </div>
 
+          {/* Schedules Button */}
+          <button
+            onClick={() => setShowSchedules(true)}
+            className="p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+            title="Scheduled prompts"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <circle cx="12" cy="12" r="9" strokeWidth={2} />
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 7v5l3 2" />
+            </svg>
+          </button>
+
+          {/* Q Processes Button */}
+          <button
+            onClick={() => setShowProcesses(true)}
+            className="p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+            title="Running Q processes"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M22 12h-4l-3 9L9 3l-3 9H2" />
+            </svg>
+          </button>
+
           {/* Settings Button */}
           <button
             onClick={onShowSettings}
@@ -117,6 +150,21 @@ function MainContent({
                   <span className="hidden sm:inline">Shell</span>
                 </div>
               </button>
+              <button
+                onClick={() => setActiveTab('chat')}
+                className={`relative px-2 sm:px-3 py-1.5 text-xs sm:text-sm font-medium rounded-md transition-all duration-200 ${
+                  activeTab === 'chat'
+                    ? 'bg-white dark:bg-gray-700 text-gray-900 dark:text-white shadow-sm'
+                    : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white hover:bg-gray-200 dark:hover:bg-gray-700'
+                }`}
+              >
+                <div className="flex items-center gap-1.5">
+                  <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
+                  </svg>
+                  <span className="hidden sm:inline">Chat</span>
+                </div>
+              </button>
               <button
                 onClick={() => setActiveTab('files')}
                 className={`relative px-2 sm:px-3 py-1.5 text-xs sm:text-sm font-medium rounded-md transition-all duration-200 ${
@@ -171,13 +219,33 @@ function MainContent({
         <div className={`h-full overflow-hidden ${activeTab === 'shell' ? 'block' : 'hidden'}`}>
           <Shell 
             selectedProject={selectedProject} 
+            selectedSession={selectedSession}
             isActive={activeTab === 'shell'}
+            activeFile={editingFile?.path}
+          />
+        </div>
+        <div className={`h-full overflow-hidden ${activeTab === 'chat' ? 'block' : 'hidden'}`}>
+          <ChatInterface
+            selectedProject={selectedProject}
+            selectedSession={selectedSession}
+            onNewSession={onNewSession}
+            onSessionFork={onSessionFork}
+            isActive={activeTab === 'chat'}
+            onFileOpen={handleFileOpen}
+            activeFile={editingFile?.path}
           />
         </div>
         <div className={`h-full overflow-hidden ${activeTab === 'git' ? 'block' : 'hidden'}`}>
           <GitPanel selectedProject={selectedProject} isMobile={isMobile} />
         </div>
       </div>
+
+      <ProcessMonitor isOpen={showProcesses} onClose={() => setShowProcesses(false)} />
+      <SchedulesPanel
+        isOpen={showSchedules}
+        onClose={() => setShowSchedules(false)}
+        selectedProject={selectedProject}
+      />
     </div>
   );
 }
@@ -1,5 +1,5 @@
 import React from 'react';
-import { Folder, Terminal, GitBranch } from 'lucide-react';
+import { Folder, Terminal, GitBranch, MessageSquare } from 'lucide-react';
 
 function MobileNav({ activeTab, setActiveTab, isInputFocused }) {
   // Detect dark mode
@@ -10,6 +10,11 @@ function MobileNav({ activeTab, setActiveTab, isInputFocused }) {
       icon: Terminal,
       onClick: () => setActiveTab('shell')
     },
+    {
+      id: 'chat',
+      icon: MessageSquare,
+      onClick: () => setActiveTab('chat')
+    },
     {
       id: 'files',
       icon: Folder,
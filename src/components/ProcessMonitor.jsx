@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { X, Square, RefreshCw } from 'lucide-react';
+import { api } from '../utils/api';
+
+const REFRESH_INTERVAL_MS = 2000;
+
+// "2m 05s" since a timestamp
+const formatDuration = (since, now) => {
+  const seconds = Math.max(0, Math.floor((now - new Date(since).getTime()) / 1000));
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+};
+
+function ProcessMonitor({ isOpen, onClose }) {
+  const [processes, setProcesses] = useState(null);
+  const [error, setError] = useState(null);
+  const [stopping, setStopping] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const fetchProcesses = async () => {
+    try {
+      const response = await api.processes();
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Loading processes failed with status ${response.status}`);
+      }
+      setProcesses(data);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+    setNow(Date.now());
+  };
+
+  // Poll while open
+  useEffect(() => {
+    if (!isOpen) return;
+
+    fetchProcesses();
+    const timer = setInterval(fetchProcesses, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isOpen]);
+
+  const handleStop = async (run) => {
+    const label = run.pid ? `PID ${run.pid}` : `queued run #${run.position}`;
+    if (!confirm(`Stop ${label} in ${run.projectDisplayName}?`)) return;
+
+    setStopping(run.id);
+    try {
+      const response = await api.killProcess(run.id);
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || `Stopping process failed with status ${response.status}`);
+      }
+      await fetchProcesses();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setStopping(null);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const renderStopButton = (run) => (
+    <button
+      onClick={() => handleStop(run)}
+      disabled={stopping === run.id}
+      className="p-1.5 rounded text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50"
+      title={run.pid ? 'Kill process' : 'Remove from queue'}
+    >
+      {stopping === run.id ? <RefreshCw className="w-3.5 h-3.5 animate-spin" /> : <Square className="w-3.5 h-3.5" />}
+    </button>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-card rounded-lg shadow-xl border border-border w-full max-w-3xl max-h-[90vh] overflow-hidden">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-border">
+          <div>
+            <h2 className="text-xl font-semibold text-foreground">Q Processes</h2>
+            {processes && (
+              <p className="text-sm text-muted-foreground">
+                {processes.running.length} of {processes.maxConcurrent} running · {processes.queued.length} queued · one at a time per project
+              </p>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-muted rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto max-h-[calc(90vh-120px)] space-y-6">
+          {error && (
+            <div className="text-sm text-red-600 dark:text-red-400">{error}</div>
+          )}
+
+          {!processes ? (
+            <div className="text-center py-8 text-muted-foreground">Loading processes...</div>
+          ) : (
+            <>
+              <section>
+                <h3 className="text-sm font-medium text-foreground mb-2">Running</h3>
+                {processes.running.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No Q processes are running.</p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-muted-foreground border-b border-border">
+                        <th className="py-2 pr-3 font-medium">PID</th>
+                        <th className="py-2 pr-3 font-medium">Project</th>
+                        <th className="py-2 pr-3 font-medium">From</th>
+                        <th className="py-2 pr-3 font-medium">Started</th>
+                        <th className="py-2 w-8" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {processes.running.map(run => (
+                        <tr key={run.id} className="border-b border-border last:border-0">
+                          <td className="py-2 pr-3 font-mono">{run.pid ?? '…'}</td>
+                          <td className="py-2 pr-3" title={run.projectPath}>{run.projectDisplayName}</td>
+                          <td className="py-2 pr-3 text-muted-foreground">{run.source}</td>
+                          <td className="py-2 pr-3 text-muted-foreground" title={new Date(run.startedAt).toLocaleString()}>
+                            {new Date(run.startedAt).toLocaleTimeString()} ({formatDuration(run.startedAt, now)})
+                          </td>
+                          <td className="py-2">{renderStopButton(run)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </section>
+
+              <section>
+                <h3 className="text-sm font-medium text-foreground mb-2">Queued</h3>
+                {processes.queued.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">Nothing is waiting.</p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-muted-foreground border-b border-border">
+                        <th className="py-2 pr-3 font-medium">#</th>
+                        <th className="py-2 pr-3 font-medium">Project</th>
+                        <th className="py-2 pr-3 font-medium">From</th>
+                        <th className="py-2 pr-3 font-medium">Waiting</th>
+                        <th className="py-2 w-8" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {processes.queued.map(run => (
+                        <tr key={run.id} className="border-b border-border last:border-0">
+                          <td className="py-2 pr-3">{run.position}</td>
+                          <td className="py-2 pr-3" title={run.projectPath}>{run.projectDisplayName}</td>
+                          <td className="py-2 pr-3 text-muted-foreground">{run.source}</td>
+                          <td className="py-2 pr-3 text-muted-foreground">{formatDuration(run.queuedAt, now)}</td>
+                          <td className="py-2">{renderStopButton(run)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </section>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ProcessMonitor;
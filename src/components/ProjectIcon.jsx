@@ -0,0 +1,40 @@
+import React from 'react';
+import { Folder, FolderOpen, Code, Globe, Server, Database, Smartphone, Book, FlaskConical, Rocket, Wrench } from 'lucide-react';
+import { cn } from '../lib/utils';
+
+// The icons and colors a project can be given in its settings; the keys match what the server accepts
+export const PROJECT_ICONS = {
+  folder: Folder,
+  code: Code,
+  globe: Globe,
+  server: Server,
+  database: Database,
+  smartphone: Smartphone,
+  book: Book,
+  flask: FlaskConical,
+  rocket: Rocket,
+  wrench: Wrench
+};
+
+// Class names are spelled out so Tailwind keeps them
+export const PROJECT_COLORS = {
+  gray: { text: 'text-gray-500', swatch: 'bg-gray-500' },
+  red: { text: 'text-red-500', swatch: 'bg-red-500' },
+  orange: { text: 'text-orange-500', swatch: 'bg-orange-500' },
+  amber: { text: 'text-amber-500', swatch: 'bg-amber-500' },
+  green: { text: 'text-green-500', swatch: 'bg-green-500' },
+  teal: { text: 'text-teal-500', swatch: 'bg-teal-500' },
+  blue: { text: 'text-blue-500', swatch: 'bg-blue-500' },
+  indigo: { text: 'text-indigo-500', swatch: 'bg-indigo-500' },
+  purple: { text: 'text-purple-500', swatch: 'bg-purple-500' },
+  pink: { text: 'text-pink-500', swatch: 'bg-pink-500' }
+};
+
+// A project's icon in its color; projects without an icon get a folder that opens when selected
+function ProjectIcon({ project, isOpen = false, className = 'h-4 w-4' }) {
+  const { icon, color } = project?.metadata || {};
+  const Icon = PROJECT_ICONS[icon] || (isOpen ? FolderOpen : Folder);
+  return <Icon className={cn(className, PROJECT_COLORS[color]?.text)} />;
+}
+
+export default ProjectIcon;
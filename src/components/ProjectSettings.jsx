@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { X, Save } from 'lucide-react';
+import { api } from '../utils/api';
+import { cn } from '../lib/utils';
+import { PROJECT_ICONS, PROJECT_COLORS } from './ProjectIcon';
+
+const TEXT_FIELDS = ['displayName', 'description', 'defaultBranch', 'qProfile'];
+
+// Empty inputs are sent as '' so the server clears the field
+const toForm = (metadata = {}) => ({
+  ...Object.fromEntries(TEXT_FIELDS.map(field => [field, metadata[field] || ''])),
+  icon: metadata.icon || null,
+  color: metadata.color || null
+});
+
+function ProjectSettings({ project, onClose, onSaved }) {
+  const [form, setForm] = useState(() => toForm(project?.metadata));
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setForm(toForm(project?.metadata));
+    setError(null);
+  }, [project?.name]);
+
+  if (!project) return null;
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await api.updateProject(project.name, form);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Saving project settings failed with status ${response.status}`);
+      }
+      await onSaved?.(data.project);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const updateForm = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const inputClassName = 'w-full px-3 py-2 text-sm bg-background border border-border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const pickerClassName = (selected) => cn(
+    'flex items-center justify-center w-8 h-8 rounded-md border transition-colors',
+    selected ? 'border-blue-500 bg-blue-500/10' : 'border-border hover:bg-muted'
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleSave} className="bg-card rounded-lg shadow-xl border border-border w-full max-w-lg max-h-[90vh] overflow-hidden">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-border">
+          <div className="min-w-0">
+            <h2 className="text-xl font-semibold text-foreground">Project Settings</h2>
+            <p className="text-sm text-muted-foreground truncate">{project.fullPath}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 hover:bg-muted rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto max-h-[calc(90vh-180px)] space-y-4">
+          <label className="block text-sm">
+            <span className="text-muted-foreground">Display name</span>
+            <input
+              value={form.displayName}
+              onChange={updateForm('displayName')}
+              placeholder="Read from package.json, README.md or the folder name"
+              maxLength={100}
+              className={inputClassName}
+            />
+          </label>
+
+          <label className="block text-sm">
+            <span className="text-muted-foreground">Description</span>
+            <textarea value={form.description} onChange={updateForm('description')} rows={3} maxLength={500} className={inputClassName} />
+          </label>
+
+          <div className="text-sm">
+            <span className="text-muted-foreground">Icon</span>
+            <div className="flex flex-wrap gap-1 mt-1">
+              {Object.entries(PROJECT_ICONS).map(([name, Icon]) => (
+                <button
+                  key={name}
+                  type="button"
+                  title={name}
+                  onClick={() => setForm(prev => ({ ...prev, icon: prev.icon === name ? null : name }))}
+                  className={pickerClassName(form.icon === name)}
+                >
+                  <Icon className={cn('w-4 h-4', PROJECT_COLORS[form.color]?.text)} />
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="text-sm">
+            <span className="text-muted-foreground">Color</span>
+            <div className="flex flex-wrap gap-1 mt-1">
+              <button
+                type="button"
+                title="No color"
+                onClick={() => setForm(prev => ({ ...prev, color: null }))}
+                className={pickerClassName(!form.color)}
+              >
+                <X className="w-3 h-3 text-muted-foreground" />
+              </button>
+              {Object.entries(PROJECT_COLORS).map(([name, { swatch }]) => (
+                <button
+                  key={name}
+                  type="button"
+                  title={name}
+                  onClick={() => setForm(prev => ({ ...prev, color: name }))}
+                  className={pickerClassName(form.color === name)}
+                >
+                  <span className={cn('w-4 h-4 rounded-full', swatch)} />
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <label className="block text-sm">
+              <span className="text-muted-foreground">Default branch</span>
+              <input value={form.defaultBranch} onChange={updateForm('defaultBranch')} placeholder="main" className={inputClassName} />
+            </label>
+            <label className="block text-sm">
+              <span className="text-muted-foreground">Q profile</span>
+              <input value={form.qProfile} onChange={updateForm('qProfile')} placeholder="Q's default" className={inputClassName} />
+            </label>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Chats, scheduled prompts and the Shell tab start Q with this profile
+          </p>
+
+          {error && (
+            <div className="text-sm text-red-600 dark:text-red-400">{error}</div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-end gap-2 px-6 py-4 border-t border-border">
+          <button type="button" onClick={onClose} className="px-3 py-1.5 text-sm rounded-md hover:bg-muted">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded-md disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" />
+            {isSaving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default ProjectSettings;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, FolderPlus, FolderOpen, GitBranch, Copy, RefreshCw } from 'lucide-react';
+import { api } from '../utils/api';
+import { cn } from '../lib/utils';
+
+const MODES = [
+  { id: 'existing', label: 'Existing folder', icon: FolderOpen, help: 'Add a folder that is already on this machine' },
+  { id: 'empty', label: 'Empty', icon: FolderPlus, help: 'Create an empty folder with a new git repository' },
+  { id: 'template', label: 'From template', icon: Copy, help: 'Copy a template registered in Settings → Project Templates' },
+  { id: 'clone', label: 'Clone', icon: GitBranch, help: 'Clone a git repository from a local path or file:// URL' }
+];
+
+// Read the create endpoint's Server-Sent Events, calling onEvent(type, data) for each one
+async function readEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    for (const event of events) {
+      const type = event.match(/^event: (.*)$/m)?.[1];
+      const data = event.match(/^data: (.*)$/m)?.[1];
+      if (type && data) {
+        onEvent(type, JSON.parse(data));
+      }
+    }
+  }
+}
+
+function ProjectWizard({ onClose, onCreated }) {
+  const [mode, setMode] = useState('existing');
+  const [form, setForm] = useState({ path: '', template: '', source: '' });
+  const [templates, setTemplates] = useState([]);
+  const [isCreating, setIsCreating] = useState(false);
+  const [progress, setProgress] = useState([]);
+  const [error, setError] = useState(null);
+  const progressEndRef = useRef(null);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await api.settings.templates();
+        const data = await response.json();
+        if (response.ok) {
+          setTemplates(data.templates);
+          setForm(prev => ({ ...prev, template: prev.template || data.templates[0]?.name || '' }));
+        }
+      } catch (err) {
+        console.error('Error loading project templates:', err);
+      }
+    };
+    fetchTemplates();
+  }, []);
+
+  useEffect(() => {
+    progressEndRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [progress]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    setProgress([]);
+    setError(null);
+    try {
+      const response = await api.createProject({
+        mode,
+        path: form.path.trim(),
+        ...(mode === 'template' && { template: form.template }),
+        ...(mode === 'clone' && { source: form.source.trim() })
+      });
+      if (!response.ok || mode === 'existing') {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Creating the project failed with status ${response.status}`);
+        }
+        await onCreated(data.project);
+        return;
+      }
+
+      let created = null;
+      let failure = null;
+      await readEvents(response, (type, data) => {
+        if (type === 'progress') {
+          setProgress(prev => [...prev, data.message]);
+        } else if (type === 'done') {
+          created = data.project;
+        } else if (type === 'error') {
+          failure = data.error;
+        }
+      });
+      if (!created) {
+        throw new Error(failure || 'Creating the project stopped unexpectedly');
+      }
+      await onCreated(created);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const updateForm = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const inputClassName = 'w-full px-3 py-2 text-sm bg-background border border-border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const currentMode = MODES.find(({ id }) => id === mode);
+  const canCreate = form.path.trim() &&
+    (mode !== 'template' || form.template) &&
+    (mode !== 'clone' || form.source.trim());
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleCreate} className="bg-card rounded-lg shadow-xl border border-border w-full max-w-xl max-h-[90vh] overflow-hidden">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-border">
+          <div>
+            <h2 className="text-xl font-semibold text-foreground">New Project</h2>
+            <p className="text-sm text-muted-foreground">{currentMode.help}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isCreating}
+            className="p-2 hover:bg-muted rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto max-h-[calc(90vh-180px)] space-y-4">
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-1 bg-muted rounded-lg p-1">
+            {MODES.map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                type="button"
+                onClick={() => setMode(id)}
+                disabled={isCreating}
+                className={cn(
+                  'flex items-center justify-center gap-1 px-2 py-1.5 text-sm rounded-md transition-colors',
+                  mode === id ? 'bg-background text-foreground shadow-sm' : 'text-muted-foreground hover:text-foreground'
+                )}
+              >
+                <Icon className="w-4 h-4" />
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {mode === 'template' && (
+            <label className="block text-sm">
+              <span className="text-muted-foreground">Template</span>
+              {templates.length > 0 ? (
+                <select value={form.template} onChange={updateForm('template')} className={inputClassName}>
+                  {templates.map(template => (
+                    <option key={template.name} value={template.name}>{template.name} ({template.path})</option>
+                  ))}
+                </select>
+              ) : (
+                <p className="mt-1 text-muted-foreground">No templates yet; add folders in Settings → Project Templates.</p>
+              )}
+            </label>
+          )}
+
+          {mode === 'clone' && (
+            <label className="block text-sm">
+              <span className="text-muted-foreground">Repository</span>
+              <input
+                value={form.source}
+                onChange={updateForm('source')}
+                placeholder="~/repos/app.git or file:///srv/git/app.git"
+                className={`${inputClassName} font-mono`}
+              />
+            </label>
+          )}
+
+          <label className="block text-sm">
+            <span className="text-muted-foreground">
+              {mode === 'existing' ? 'Folder' : 'New folder (must not exist yet, or be empty)'}
+            </span>
+            <input
+              value={form.path}
+              onChange={updateForm('path')}
+              placeholder="~/projects/my-app"
+              className={`${inputClassName} font-mono`}
+              autoFocus
+            />
+          </label>
+
+          {progress.length > 0 && (
+            <div className="max-h-48 overflow-y-auto p-3 bg-muted rounded-md font-mono text-xs text-muted-foreground">
+              {progress.map((line, index) => (
+                <div key={index}>{line}</div>
+              ))}
+              <div ref={progressEndRef} />
+            </div>
+          )}
+
+          {error && (
+            <div className="text-sm text-red-600 dark:text-red-400">{error}</div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-end gap-2 px-6 py-4 border-t border-border">
+          <button type="button" onClick={onClose} disabled={isCreating} className="px-3 py-1.5 text-sm rounded-md hover:bg-muted">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!canCreate || isCreating}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded-md disabled:opacity-50"
+          >
+            {isCreating ? <RefreshCw className="w-4 h-4 animate-spin" /> : <FolderPlus className="w-4 h-4" />}
+            {isCreating ? 'Creating...' : mode === 'existing' ? 'Add' : 'Create'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default ProjectWizard;
@@ -0,0 +1,373 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { BookMarked, Plus, Pencil, Trash2, X, AlertTriangle } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { api } from '../utils/api';
+
+const VARIABLE_HINT = 'Variables: {{file}} {{selection}} {{branch}} {{diff}}';
+
+/*
+ * Saved prompt library. getContext() is read when the picker opens and returns
+ * { file, selection, draft } - the open file, the selected text and the unsent input
+ */
+function PromptPicker({ projectName, projectPath, getContext, onInsert, disabled = false, buttonClassName, align = 'right', direction = 'up' }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [prompts, setPrompts] = useState([]);
+  const [filter, setFilter] = useState('');
+  const [error, setError] = useState(null);
+  const [context, setContext] = useState({});
+  const [pending, setPending] = useState(null); // { prompt, file } while asking for {{file}}
+  const [preview, setPreview] = useState(null); // { content, unresolved } when some variables stayed empty
+  const [form, setForm] = useState(null); // { id?, name, content, projectOnly } while creating or editing
+  const [isBusy, setIsBusy] = useState(false);
+  const panelRef = useRef(null);
+
+  const loadPrompts = async () => {
+    try {
+      const response = await api.prompts.list(projectName);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Loading prompts failed with status ${response.status}`);
+      }
+      setPrompts(data.prompts);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClick = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const handleToggle = () => {
+    if (isOpen) {
+      setIsOpen(false);
+      return;
+    }
+    setContext(getContext?.() || {});
+    setFilter('');
+    setError(null);
+    setPending(null);
+    setPreview(null);
+    setForm(null);
+    setIsOpen(true);
+    loadPrompts();
+  };
+
+  const insert = (content) => {
+    onInsert(content);
+    setIsOpen(false);
+  };
+
+  const expand = async (prompt, file) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      const response = await api.prompts.expand(prompt.id, {
+        project: projectName,
+        file,
+        selection: context.selection
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Expanding prompt failed with status ${response.status}`);
+      }
+      if (data.unresolved.length > 0) {
+        setPending(null);
+        setPreview({ content: data.content, unresolved: data.unresolved });
+      } else {
+        insert(data.content);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSelect = (prompt) => {
+    if (/\{\{\s*file\s*\}\}/.test(prompt.content)) {
+      // Offer the open file, shown relative to the project like the server expects
+      const file = context.file || '';
+      setPending({
+        prompt,
+        file: projectPath && file.startsWith(`${projectPath}/`) ? file.slice(projectPath.length + 1) : file
+      });
+    } else {
+      expand(prompt);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      const body = {
+        name: form.name,
+        content: form.content,
+        project: form.projectOnly ? projectName : null
+      };
+      const response = form.id ? await api.prompts.update(form.id, body) : await api.prompts.create(body);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Saving prompt failed with status ${response.status}`);
+      }
+      setForm(null);
+      await loadPrompts();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async (prompt, e) => {
+    e.stopPropagation();
+    if (!confirm(`Delete the prompt "${prompt.name}"?`)) return;
+
+    try {
+      const response = await api.prompts.delete(prompt.id);
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || `Deleting prompt failed with status ${response.status}`);
+      }
+      setPrompts(prev => prev.filter(item => item.id !== prompt.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const query = filter.trim().toLowerCase();
+  const visiblePrompts = query
+    ? prompts.filter(prompt => prompt.name.toLowerCase().includes(query) || prompt.content.toLowerCase().includes(query))
+    : prompts;
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button
+        type="button"
+        onClick={handleToggle}
+        disabled={disabled}
+        className={buttonClassName}
+        title="Saved prompts"
+      >
+        <BookMarked className="w-4 h-4" />
+      </button>
+
+      {isOpen && (
+        <div className={cn(
+          "absolute z-30 w-80 max-w-[calc(100vw-2rem)] rounded-lg border border-border bg-popover text-popover-foreground shadow-lg",
+          direction === 'up' ? 'bottom-full mb-2' : 'top-full mt-2',
+          align === 'right' ? 'right-0' : 'left-0'
+        )}
+          onKeyDown={(e) => {
+            // The picker sits inside the chat form; Enter in its fields must not send the message
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT') e.preventDefault();
+            if (e.key === 'Escape') setIsOpen(false);
+          }}
+        >
+          <div className="flex items-center justify-between px-3 py-2 border-b border-border">
+            <span className="text-sm font-medium">Saved prompts</span>
+            <div className="flex items-center gap-1">
+              {!form && (
+                <button
+                  type="button"
+                  onClick={() => setForm({ name: '', content: context.draft || '', projectOnly: false })}
+                  className="p-1 rounded text-muted-foreground hover:text-foreground hover:bg-muted"
+                  title={context.draft ? 'Save the current input as a prompt' : 'New prompt'}
+                >
+                  <Plus className="w-3.5 h-3.5" />
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => setIsOpen(false)}
+                className="p-1 rounded text-muted-foreground hover:text-foreground hover:bg-muted"
+                title="Close"
+              >
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          </div>
+
+          {error && (
+            <div className="px-3 py-2 text-xs text-red-600 dark:text-red-400">{error}</div>
+          )}
+
+          {form ? (
+            <div className="p-3 space-y-2">
+              <input
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Name"
+                maxLength={100}
+                className="w-full rounded border border-border bg-background text-foreground px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-ring"
+                autoFocus
+              />
+              <textarea
+                value={form.content}
+                onChange={(e) => setForm(prev => ({ ...prev, content: e.target.value }))}
+                placeholder="Review {{diff}} for security issues..."
+                rows={5}
+                className="w-full resize-y rounded border border-border bg-background text-foreground px-2 py-1 text-xs font-mono focus:outline-none focus:ring-1 focus:ring-ring"
+              />
+              <div className="text-[11px] text-muted-foreground">{VARIABLE_HINT}</div>
+              <label className="flex items-center gap-2 text-xs text-muted-foreground">
+                <input
+                  type="checkbox"
+                  checked={form.projectOnly}
+                  onChange={(e) => setForm(prev => ({ ...prev, projectOnly: e.target.checked }))}
+                />
+                Only for this project
+              </label>
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={() => setForm(null)}
+                  className="px-2 py-1 text-xs rounded text-muted-foreground hover:bg-muted"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={isBusy || !form.name.trim() || !form.content.trim()}
+                  className="px-2 py-1 text-xs rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+                >
+                  Save
+                </button>
+              </div>
+            </div>
+          ) : pending ? (
+            <div className="p-3 space-y-2">
+              <div className="text-xs text-muted-foreground">
+                File for <span className="font-medium text-foreground">{pending.prompt.name}</span>, relative to the project
+              </div>
+              <input
+                value={pending.file}
+                onChange={(e) => setPending(prev => ({ ...prev, file: e.target.value }))}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    expand(pending.prompt, pending.file);
+                  }
+                }}
+                placeholder="src/index.js"
+                className="w-full rounded border border-border bg-background text-foreground px-2 py-1 text-sm font-mono focus:outline-none focus:ring-1 focus:ring-ring"
+                autoFocus
+              />
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={() => setPending(null)}
+                  className="px-2 py-1 text-xs rounded text-muted-foreground hover:bg-muted"
+                >
+                  Back
+                </button>
+                <button
+                  type="button"
+                  onClick={() => expand(pending.prompt, pending.file)}
+                  disabled={isBusy}
+                  className="px-2 py-1 text-xs rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+                >
+                  Insert
+                </button>
+              </div>
+            </div>
+          ) : preview ? (
+            <div className="p-3 space-y-2">
+              <div className="flex items-start gap-1.5 text-xs text-yellow-700 dark:text-yellow-400">
+                <AlertTriangle className="w-3.5 h-3.5 flex-shrink-0 mt-0.5" />
+                <span>Left empty: {preview.unresolved.map(variable => `{{${variable}}}`).join(', ')}</span>
+              </div>
+              <pre className="max-h-40 overflow-auto rounded bg-muted p-2 text-[11px] whitespace-pre-wrap">{preview.content}</pre>
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={() => setPreview(null)}
+                  className="px-2 py-1 text-xs rounded text-muted-foreground hover:bg-muted"
+                >
+                  Back
+                </button>
+                <button
+                  type="button"
+                  onClick={() => insert(preview.content)}
+                  className="px-2 py-1 text-xs rounded bg-blue-600 hover:bg-blue-700 text-white"
+                >
+                  Insert anyway
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              {prompts.length > 5 && (
+                <div className="px-3 pt-2">
+                  <input
+                    value={filter}
+                    onChange={(e) => setFilter(e.target.value)}
+                    placeholder="Filter prompts..."
+                    className="w-full rounded border border-border bg-background text-foreground px-2 py-1 text-xs focus:outline-none focus:ring-1 focus:ring-ring"
+                    autoFocus
+                  />
+                </div>
+              )}
+              <div className="max-h-64 overflow-y-auto py-1">
+                {visiblePrompts.length === 0 ? (
+                  <div className="px-3 py-4 text-center text-xs text-muted-foreground">
+                    {prompts.length === 0 ? 'No saved prompts yet. Use + to add one.' : 'No prompts match'}
+                  </div>
+                ) : visiblePrompts.map(prompt => (
+                  <div
+                    key={prompt.id}
+                    onClick={() => !isBusy && handleSelect(prompt)}
+                    className="group/prompt flex items-start gap-2 px-3 py-1.5 cursor-pointer hover:bg-muted"
+                    title={prompt.content}
+                  >
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-1.5">
+                        <span className="text-xs font-medium truncate">{prompt.name}</span>
+                        {prompt.projectName && (
+                          <span className="px-1 rounded bg-muted text-[10px] text-muted-foreground">project</span>
+                        )}
+                      </div>
+                      <div className="text-[11px] text-muted-foreground truncate">{prompt.content}</div>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setForm({ id: prompt.id, name: prompt.name, content: prompt.content, projectOnly: Boolean(prompt.projectName) });
+                      }}
+                      className="p-0.5 rounded text-muted-foreground hover:text-foreground opacity-0 group-hover/prompt:opacity-100"
+                      title="Edit"
+                    >
+                      <Pencil className="w-3 h-3" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={(e) => handleDelete(prompt, e)}
+                      className="p-0.5 rounded text-muted-foreground hover:text-red-600 opacity-0 group-hover/prompt:opacity-100"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PromptPicker;
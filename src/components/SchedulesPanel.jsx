@@ -0,0 +1,344 @@
+import React, { useState, useEffect } from 'react';
+import { X, Plus, Play, Pencil, Trash2, RefreshCw } from 'lucide-react';
+import { api } from '../utils/api';
+import ProjectIcon from './ProjectIcon';
+
+const REFRESH_INTERVAL_MS = 10000;
+
+const CRON_PRESETS = [
+  { label: 'Every hour', cron: '0 * * * *' },
+  { label: 'Every day at 9:00', cron: '0 9 * * *' },
+  { label: 'Weekdays at 9:00', cron: '0 9 * * 1-5' },
+  { label: 'Mondays at 9:00', cron: '0 9 * * 1' },
+  { label: 'First of the month', cron: '0 9 1 * *' }
+];
+
+const STATUS_STYLES = {
+  completed: 'text-green-600 dark:text-green-400',
+  running: 'text-blue-600 dark:text-blue-400',
+  queued: 'text-blue-600 dark:text-blue-400',
+  skipped: 'text-yellow-600 dark:text-yellow-400',
+  failed: 'text-red-600 dark:text-red-400',
+  timeout: 'text-red-600 dark:text-red-400',
+  aborted: 'text-muted-foreground'
+};
+
+const emptyForm = (projectName = '') => ({
+  id: null,
+  name: '',
+  project: projectName,
+  prompt: '',
+  cron: CRON_PRESETS[2].cron,
+  allowedTools: '',
+  timeout: '',
+  enabled: true
+});
+
+const formatTime = (value) => value ? new Date(value).toLocaleString() : '—';
+
+function SchedulesPanel({ isOpen, onClose, selectedProject }) {
+  const [schedules, setSchedules] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const fetchSchedules = async () => {
+    try {
+      const response = await api.schedules.list();
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Loading schedules failed with status ${response.status}`);
+      }
+      setSchedules(data.schedules);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Refresh while open so the last result and next run stay current
+  useEffect(() => {
+    if (!isOpen) return;
+
+    fetchSchedules();
+    api.projects()
+      .then(response => response.ok ? response.json() : [])
+      .then(setProjects)
+      .catch(() => setProjects([]));
+    const timer = setInterval(fetchSchedules, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isOpen]);
+
+  // Run a request against one schedule and reload the list
+  const withSchedule = async (id, request) => {
+    setBusy(id);
+    setError(null);
+    try {
+      const response = await request();
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Request failed with status ${response.status}`);
+      }
+      await fetchSchedules();
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleToggle = (schedule) =>
+    withSchedule(schedule.id, () => api.schedules.update(schedule.id, { enabled: !schedule.enabled }));
+
+  const handleRun = (schedule) =>
+    withSchedule(schedule.id, () => api.schedules.run(schedule.id));
+
+  const handleDelete = (schedule) => {
+    if (!confirm(`Delete the schedule "${schedule.name}"?`)) return;
+    withSchedule(schedule.id, () => api.schedules.delete(schedule.id));
+  };
+
+  const handleEdit = (schedule) => {
+    setForm({
+      id: schedule.id,
+      name: schedule.name,
+      project: schedule.projectName,
+      prompt: schedule.prompt,
+      cron: schedule.cron,
+      allowedTools: schedule.allowedTools.join(', '),
+      timeout: schedule.timeout ? String(schedule.timeout) : '',
+      enabled: schedule.enabled
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const body = {
+      name: form.name,
+      project: form.project,
+      prompt: form.prompt,
+      cron: form.cron,
+      allowedTools: form.allowedTools.split(',').map(tool => tool.trim()).filter(Boolean),
+      timeout: form.timeout ? Number(form.timeout) : null,
+      enabled: form.enabled
+    };
+    const saved = await withSchedule(form.id || 'new', () => form.id
+      ? api.schedules.update(form.id, body)
+      : api.schedules.create(body));
+    if (saved) {
+      setForm(null);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const projectLabel = (projectName) => {
+    const project = projects.find(p => p.name === projectName);
+    return project ? project.displayName || project.alias : 'Unknown project';
+  };
+
+  const updateForm = (field) => (e) =>
+    setForm(prev => ({ ...prev, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+  const inputClassName = 'w-full px-3 py-2 text-sm bg-background border border-border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-card rounded-lg shadow-xl border border-border w-full max-w-4xl max-h-[90vh] overflow-hidden">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-border">
+          <div>
+            <h2 className="text-xl font-semibold text-foreground">Scheduled Prompts</h2>
+            <p className="text-sm text-muted-foreground">
+              Run a prompt on a cron schedule; each run is saved as a session
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            {!form && (
+              <button
+                onClick={() => setForm(emptyForm(selectedProject?.name))}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded-md"
+              >
+                <Plus className="w-4 h-4" />
+                New schedule
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-muted rounded-lg transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto max-h-[calc(90vh-120px)] space-y-6">
+          {error && (
+            <div className="text-sm text-red-600 dark:text-red-400">{error}</div>
+          )}
+
+          {form && (
+            <form onSubmit={handleSave} className="space-y-3 p-4 border border-border rounded-lg">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <label className="block text-sm">
+                  <span className="text-muted-foreground">Name</span>
+                  <input value={form.name} onChange={updateForm('name')} className={inputClassName} maxLength={100} required />
+                </label>
+                <label className="block text-sm">
+                  <span className="text-muted-foreground">Project</span>
+                  <select value={form.project} onChange={updateForm('project')} className={inputClassName} required>
+                    <option value="" disabled>Choose a project</option>
+                    {projects.map(project => (
+                      <option key={project.name} value={project.name}>{project.displayName || project.alias}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <label className="block text-sm">
+                <span className="text-muted-foreground">Prompt</span>
+                <textarea value={form.prompt} onChange={updateForm('prompt')} rows={4} className={inputClassName} required />
+              </label>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <label className="block text-sm">
+                  <span className="text-muted-foreground">Cron expression (minute hour day month weekday)</span>
+                  <input value={form.cron} onChange={updateForm('cron')} className={`${inputClassName} font-mono`} required />
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {CRON_PRESETS.map(preset => (
+                      <button
+                        key={preset.cron}
+                        type="button"
+                        onClick={() => setForm(prev => ({ ...prev, cron: preset.cron }))}
+                        className={`px-2 py-0.5 text-xs rounded border ${form.cron === preset.cron ? 'border-blue-500 text-blue-600 dark:text-blue-400' : 'border-border text-muted-foreground hover:text-foreground'}`}
+                      >
+                        {preset.label}
+                      </button>
+                    ))}
+                  </div>
+                </label>
+                <div className="grid grid-cols-2 gap-3">
+                  <label className="block text-sm">
+                    <span className="text-muted-foreground">Allowed tools</span>
+                    <input value={form.allowedTools} onChange={updateForm('allowedTools')} placeholder="fs_read, execute_bash" className={inputClassName} />
+                  </label>
+                  <label className="block text-sm">
+                    <span className="text-muted-foreground">Timeout (s)</span>
+                    <input type="number" min={1} max={3600} value={form.timeout} onChange={updateForm('timeout')} placeholder="600" className={inputClassName} />
+                  </label>
+                </div>
+              </div>
+
+              <div className="flex items-center justify-between">
+                <label className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" checked={form.enabled} onChange={updateForm('enabled')} />
+                  Enabled
+                </label>
+                <div className="flex gap-2">
+                  <button type="button" onClick={() => setForm(null)} className="px-3 py-1.5 text-sm rounded-md hover:bg-muted">
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={busy === (form.id || 'new')}
+                    className="px-3 py-1.5 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded-md disabled:opacity-50"
+                  >
+                    {form.id ? 'Save' : 'Create'}
+                  </button>
+                </div>
+              </div>
+            </form>
+          )}
+
+          {!schedules ? (
+            <div className="text-center py-8 text-muted-foreground">Loading schedules...</div>
+          ) : schedules.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No scheduled prompts yet.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-muted-foreground border-b border-border">
+                  <th className="py-2 pr-3 font-medium">On</th>
+                  <th className="py-2 pr-3 font-medium">Name</th>
+                  <th className="py-2 pr-3 font-medium">Schedule</th>
+                  <th className="py-2 pr-3 font-medium">Next run</th>
+                  <th className="py-2 pr-3 font-medium">Last result</th>
+                  <th className="py-2 w-24" />
+                </tr>
+              </thead>
+              <tbody>
+                {schedules.map(schedule => (
+                  <tr key={schedule.id} className="border-b border-border last:border-0 align-top">
+                    <td className="py-2 pr-3">
+                      <input
+                        type="checkbox"
+                        checked={schedule.enabled}
+                        disabled={busy === schedule.id}
+                        onChange={() => handleToggle(schedule)}
+                        title={schedule.enabled ? 'Disable' : 'Enable'}
+                      />
+                    </td>
+                    <td className="py-2 pr-3">
+                      <div className="text-foreground" title={schedule.prompt}>{schedule.name}</div>
+                      <div className="flex items-center gap-1 text-xs text-muted-foreground">
+                        <ProjectIcon project={projects.find(p => p.name === schedule.projectName)} className="h-3 w-3 flex-shrink-0" />
+                        {projectLabel(schedule.projectName)}
+                      </div>
+                    </td>
+                    <td className="py-2 pr-3 font-mono text-xs">{schedule.cron}</td>
+                    <td className="py-2 pr-3 text-muted-foreground">
+                      {schedule.enabled ? formatTime(schedule.nextRunAt) : 'Disabled'}
+                    </td>
+                    <td className="py-2 pr-3">
+                      {schedule.lastRun ? (
+                        <>
+                          <span className={STATUS_STYLES[schedule.lastRun.status] || 'text-muted-foreground'}>
+                            {schedule.lastRun.status}
+                          </span>
+                          <span className="text-xs text-muted-foreground"> · {formatTime(schedule.lastRun.at)}</span>
+                          {schedule.lastRun.error && (
+                            <div className="text-xs text-red-600 dark:text-red-400 truncate max-w-xs" title={schedule.lastRun.error}>
+                              {schedule.lastRun.error}
+                            </div>
+                          )}
+                        </>
+                      ) : (
+                        <span className="text-muted-foreground">Never run</span>
+                      )}
+                    </td>
+                    <td className="py-2">
+                      <div className="flex items-center gap-1">
+                        <button
+                          onClick={() => handleRun(schedule)}
+                          disabled={busy === schedule.id}
+                          className="p-1.5 rounded hover:bg-muted disabled:opacity-50"
+                          title="Run now"
+                        >
+                          {busy === schedule.id ? <RefreshCw className="w-3.5 h-3.5 animate-spin" /> : <Play className="w-3.5 h-3.5" />}
+                        </button>
+                        <button onClick={() => handleEdit(schedule)} className="p-1.5 rounded hover:bg-muted" title="Edit">
+                          <Pencil className="w-3.5 h-3.5" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(schedule)}
+                          className="p-1.5 rounded text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                          title="Delete"
+                        >
+                          <Trash2 className="w-3.5 h-3.5" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SchedulesPanel;
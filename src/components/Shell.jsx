@@ -4,6 +4,8 @@ import { FitAddon } from 'xterm-addon-fit';
 import { ClipboardAddon } from '@xterm/addon-clipboard';
 import { WebglAddon } from '@xterm/addon-webgl';
 import 'xterm/css/xterm.css';
+import ToolApprovalModal from './ToolApprovalModal';
+import PromptPicker from './PromptPicker';
 
 // CSS to remove xterm focus outline
 const xtermStyles = `
@@ -29,7 +31,7 @@ if (typeof document !== 'undefined') {
 // Global store for shell sessions to persist across tab switches
 const shellSessions = new Map();
 
-function Shell({ selectedProject, selectedSession, isActive }) {
+function Shell({ selectedProject, selectedSession, isActive, activeFile }) {
   const terminalRef = useRef(null);
   const terminal = useRef(null);
   const fitAddon = useRef(null);
@@ -39,6 +41,20 @@ function Shell({ selectedProject, selectedSession, isActive }) {
   const [isRestarting, setIsRestarting] = useState(false);
   const [lastSessionId, setLastSessionId] = useState(null);
   const [isConnecting, setIsConnecting] = useState(false);
+  const [approvalRequest, setApprovalRequest] = useState(null);
+
+  // Answer Q's tool approval prompt from the modal
+  const handleApprovalResponse = (decision) => {
+    if (approvalRequest && ws.current && ws.current.readyState === WebSocket.OPEN) {
+      ws.current.send(JSON.stringify({
+        type: 'tool-approval-response',
+        requestId: approvalRequest.requestId,
+        decision
+      }));
+    }
+    setApprovalRequest(null);
+    terminal.current?.focus();
+  };
 
   // Connect to shell function
   const connectToShell = () => {
@@ -473,6 +489,10 @@ function Shell({ selectedProject, selectedSession, isActive }) {
           } else if (data.type === 'url_open') {
             // Handle explicit URL opening requests from server
             window.open(data.url, '_blank');
+          } else if (data.type === 'tool-approval-request') {
+            setApprovalRequest(data);
+          } else if (data.type === 'tool-approval-resolved') {
+            setApprovalRequest(prev => (prev?.requestId === data.requestId ? null : prev));
           }
         } catch (error) {
         }
@@ -481,6 +501,7 @@ function Shell({ selectedProject, selectedSession, isActive }) {
       ws.current.onclose = (event) => {
         setIsConnected(false);
         setIsConnecting(false);
+        setApprovalRequest(null);
         
         // Clear terminal content when connection closes
         if (terminal.current) {
@@ -501,6 +522,24 @@ function Shell({ selectedProject, selectedSession, isActive }) {
     }
   };
 
+  // Saved prompts can use the open file and the text selected in the terminal
+  const getPromptContext = () => ({
+    file: activeFile,
+    selection: terminal.current?.getSelection() || ''
+  });
+
+  // Paste the prompt into whatever is running (usually q chat) without submitting it.
+  // Bracketed paste keeps multi-line prompts from being sent line by line
+  const handlePromptInsert = (content) => {
+    if (ws.current && ws.current.readyState === WebSocket.OPEN) {
+      ws.current.send(JSON.stringify({
+        type: 'input',
+        data: `\x1b[200~${content}\x1b[201~`
+      }));
+    }
+    terminal.current?.focus();
+  };
+
 
   if (!selectedProject) {
     return (
@@ -527,7 +566,7 @@ function Shell({ selectedProject, selectedSession, isActive }) {
             <div className={`w-2 h-2 rounded-full ${isConnected ? 'bg-green-500' : 'bg-red-500'}`} />
             {selectedSession && (
               <span className="text-xs text-blue-300">
-                ({selectedSession.summary.slice(0, 30)}...)
+                ({selectedSession.title.length > 30 ? `${selectedSession.title.slice(0, 30)}...` : selectedSession.title})
               </span>
             )}
             {!selectedSession && (
@@ -541,6 +580,16 @@ function Shell({ selectedProject, selectedSession, isActive }) {
             )}
           </div>
           <div className="flex items-center space-x-3">
+            {isConnected && (
+              <PromptPicker
+                projectName={selectedProject.name}
+                projectPath={selectedProject.fullPath}
+                getContext={getPromptContext}
+                onInsert={handlePromptInsert}
+                direction="down"
+                buttonClassName="text-gray-400 hover:text-white flex items-center"
+              />
+            )}
             {isConnected && (
               <button
                 onClick={disconnectFromShell}
@@ -596,7 +645,7 @@ function Shell({ selectedProject, selectedSession, isActive }) {
               </button>
               <p className="text-gray-400 text-sm mt-3 px-2">
                 {selectedSession ? 
-                  `Resume session: ${selectedSession.summary.slice(0, 50)}...` : 
+                  `Resume session: ${selectedSession.title.length > 50 ? `${selectedSession.title.slice(0, 50)}...` : selectedSession.title}` : 
                   'Start a new Q Developer session'
                 }
               </p>
@@ -604,6 +653,9 @@ function Shell({ selectedProject, selectedSession, isActive }) {
           </div>
         )}
         
+        {/* Only while the Shell tab is shown, so its shortcuts don't catch keys meant for other tabs */}
+        {isActive && <ToolApprovalModal request={approvalRequest} onRespond={handleApprovalResponse} />}
+        
         {/* Connecting state */}
         {isConnecting && (
           <div className="absolute inset-0 flex items-center justify-center bg-gray-900 bg-opacity-90 p-4">
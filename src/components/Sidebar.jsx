@@ -1,22 +1,46 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { ScrollArea } from './ui/scroll-area';
 import { Button } from './ui/button';
 import { Badge } from './ui/badge';
 import { Input } from './ui/input';
 
-import { FolderOpen, Folder, Plus, ChevronDown, ChevronRight, Edit3, Check, X, Trash2, Settings, FolderPlus, RefreshCw, Sparkles, Edit2, Star, Search } from 'lucide-react';
+import { Plus, ChevronDown, ChevronRight, Edit3, Check, X, Trash2, Settings, FolderPlus, RefreshCw, Sparkles, Edit2, Star, Search, MessageSquare, Download, Upload, GitBranch, Pin, PinOff, Archive, ArchiveRestore, Tag, Settings2 } from 'lucide-react';
 import { cn } from '../lib/utils';
 import QDeveloperLogo from './QDeveloperLogo';
+import ProjectIcon from './ProjectIcon';
+import ProjectSettings from './ProjectSettings';
+import ProjectWizard from './ProjectWizard';
 import { api } from '../utils/api';
 
+// Render a search snippet, highlighting the hits the server marked with \u0002 ... \u0003
+function SearchSnippet({ snippet }) {
+  const parts = snippet.split(/(\u0002[^\u0003]*\u0003)/);
+  return (
+    <>
+      {parts.map((part, i) => (
+        part.startsWith('\u0002') ? (
+          <mark key={i} className="bg-yellow-200 dark:bg-yellow-800/60 text-foreground rounded-sm px-0.5">
+            {part.slice(1, -1)}
+          </mark>
+        ) : (
+          <React.Fragment key={i}>{part}</React.Fragment>
+        )
+      ))}
+    </>
+  );
+}
+
 function Sidebar({ 
   projects, 
   selectedProject, 
+  selectedSession,
   onProjectSelect, 
+  onSessionSelect,
   onProjectDelete,
   isLoading,
   onRefresh,
   onShowSettings,
+  onProjectCreated,
   updateAvailable,
   latestVersion,
   currentVersion,
@@ -25,11 +49,22 @@ function Sidebar({
   const [editingProject, setEditingProject] = useState(null);
   const [showNewProject, setShowNewProject] = useState(false);
   const [editingName, setEditingName] = useState('');
-  const [newProjectPath, setNewProjectPath] = useState('');
-  const [creatingProject, setCreatingProject] = useState(false);
+  const [settingsProject, setSettingsProject] = useState(null);
   const [projectSortOrder, setProjectSortOrder] = useState('name');
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [searchFilter, setSearchFilter] = useState('');
+  const [sessionResults, setSessionResults] = useState([]);
+  const [isSearchingSessions, setIsSearchingSessions] = useState(false);
+  const [exportMenuSession, setExportMenuSession] = useState(null); // Session whose download menu is open
+  const [importingProject, setImportingProject] = useState(null); // Project a conversation file is being imported into
+  const [loadedSessions, setLoadedSessions] = useState({}); // Pages fetched with "Load more", per project
+  const [loadingMoreSessions, setLoadingMoreSessions] = useState(null);
+  const [sessionTagFilter, setSessionTagFilter] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [filteredSessions, setFilteredSessions] = useState(null); // First pages for the selected project while a filter is on
+  const [editingSession, setEditingSession] = useState(null); // { id, title, tags } while renaming or tagging
+  const importInputRef = useRef(null);
+  const importTargetRef = useRef(null);
 
   // Starred projects state - persisted in localStorage
   const [starredProjects, setStarredProjects] = useState(() => {
@@ -63,6 +98,482 @@ function Sidebar({
     }
   }, [starredProjects]);
 
+  // Stars used to be saved by folder name; move them over to the project ids
+  useEffect(() => {
+    const folderName = (project) => project.fullPath.split('/').filter(Boolean).pop();
+    const moved = projects.filter(project => !starredProjects.has(project.name) && starredProjects.has(folderName(project)));
+    if (moved.length === 0) return;
+
+    setStarredProjects(prev => {
+      const next = new Set(prev);
+      moved.forEach(project => {
+        next.delete(folderName(project));
+        next.add(project.name);
+      });
+      return next;
+    });
+  }, [projects]);
+
+  // Session filters apply to the selected project only
+  useEffect(() => {
+    setSessionTagFilter(null);
+    setShowArchived(false);
+    setEditingSession(null);
+  }, [selectedProject?.name]);
+
+  const isSessionFilterActive = Boolean(sessionTagFilter) || showArchived;
+
+  // Fetch the filtered list from the server; refetch when projects refresh so edits show up
+  useEffect(() => {
+    if (!selectedProject || !isSessionFilterActive) {
+      setFilteredSessions(null);
+      return;
+    }
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const response = await api.sessions(selectedProject.name, {
+          limit: 10,
+          tag: sessionTagFilter || undefined,
+          archived: showArchived
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Loading sessions failed with status ${response.status}`);
+        }
+        if (!cancelled) {
+          setFilteredSessions({
+            sessions: data.sessions,
+            hasMore: data.hasMore,
+            nextCursor: data.nextCursor,
+            total: data.total
+          });
+        }
+      } catch (error) {
+        console.error('Error loading sessions:', error);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedProject?.name, sessionTagFilter, showArchived, projects]);
+
+  // Search conversations as well as projects once the query is long enough
+  useEffect(() => {
+    const query = searchFilter.trim();
+    if (query.length < 2) {
+      setSessionResults([]);
+      setIsSearchingSessions(false);
+      return;
+    }
+
+    let cancelled = false;
+    setIsSearchingSessions(true);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.searchSessions(query);
+        const data = await response.json();
+        if (!cancelled) {
+          setSessionResults(response.ok ? data.results : []);
+        }
+      } catch (error) {
+        console.error('Error searching sessions:', error);
+      } finally {
+        if (!cancelled) {
+          setIsSearchingSessions(false);
+        }
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchFilter]);
+
+  const handleSearchResultSelect = (result) => {
+    const project = projects.find(p => p.name === result.projectName);
+    if (!project) return;
+    const session = getProjectSessions(project).find(s => s.id === result.sessionId) ||
+      { id: result.sessionId, title: result.title, updated_at: result.updated_at };
+    onSessionSelect(project, session);
+  };
+
+  // Download a session transcript through the authenticated export route
+  const handleSessionExport = async (projectName, sessionId, format, e) => {
+    e.stopPropagation();
+    setExportMenuSession(null);
+    
+    try {
+      const response = await api.exportSession(projectName, sessionId, format);
+      if (!response.ok) {
+        throw new Error(`Export failed with status ${response.status}`);
+      }
+      
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `${sessionId}.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting session:', error);
+    }
+  };
+
+  // Pick a terminal log, asciicast or Q conversation export to import into a project
+  const handleImportClick = (project, e) => {
+    e.stopPropagation();
+    importTargetRef.current = project;
+    importInputRef.current?.click();
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    const project = importTargetRef.current;
+    e.target.value = '';
+    if (!file || !project) return;
+
+    setImportingProject(project.name);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await api.importSession(project.name, formData);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Import failed with status ${response.status}`);
+      }
+
+      await onRefresh();
+      onSessionSelect(project, data.session);
+    } catch (error) {
+      console.error('Error importing session:', error);
+      alert(`Error importing conversation: ${error.message}`);
+    } finally {
+      setImportingProject(null);
+    }
+  };
+
+  // Sessions shown for a project: the first page sent with the project, then any pages loaded since
+  const getProjectSessions = (project) => {
+    if (isSessionFilterActive && selectedProject?.name === project.name) {
+      return filteredSessions?.sessions || [];
+    }
+    const firstPage = project.sessions || [];
+    const ids = new Set(firstPage.map(session => session.id));
+    const more = (loadedSessions[project.name]?.sessions || []).filter(session => !ids.has(session.id));
+    return [...firstPage, ...more];
+  };
+
+  const hasMoreSessions = (project) => {
+    if (isSessionFilterActive && selectedProject?.name === project.name) {
+      return Boolean(filteredSessions?.hasMore);
+    }
+    const loaded = loadedSessions[project.name];
+    return loaded ? loaded.hasMore : Boolean(project.sessionMeta?.hasMore);
+  };
+
+  const getRemainingSessionCount = (project) => {
+    const total = isSessionFilterActive && selectedProject?.name === project.name
+      ? filteredSessions?.total
+      : project.sessionMeta?.total;
+    return Math.max((total || 0) - getProjectSessions(project).length, 0);
+  };
+
+  const handleLoadMoreSessions = async (project) => {
+    const filtered = isSessionFilterActive && selectedProject?.name === project.name;
+    const loaded = loadedSessions[project.name];
+    const cursor = filtered
+      ? filteredSessions?.nextCursor
+      : (loaded ? loaded.nextCursor : project.sessionMeta?.nextCursor);
+    if (!cursor) return;
+
+    setLoadingMoreSessions(project.name);
+    try {
+      const response = await api.sessions(project.name, filtered
+        ? { limit: 10, cursor, tag: sessionTagFilter || undefined, archived: showArchived }
+        : { limit: 10, cursor });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Loading sessions failed with status ${response.status}`);
+      }
+      if (filtered) {
+        setFilteredSessions(prev => ({
+          ...prev,
+          sessions: [...(prev?.sessions || []), ...data.sessions],
+          hasMore: data.hasMore,
+          nextCursor: data.nextCursor
+        }));
+        return;
+      }
+      setLoadedSessions(prev => ({
+        ...prev,
+        [project.name]: {
+          sessions: [...(prev[project.name]?.sessions || []), ...data.sessions],
+          hasMore: data.hasMore,
+          nextCursor: data.nextCursor
+        }
+      }));
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+    } finally {
+      setLoadingMoreSessions(null);
+    }
+  };
+
+  // Keep already-loaded pages in step with an edit, dropping sessions the current view no longer shows
+  const applySessionUpdate = (sessions, updated) => sessions
+    .map(session => (session.id === updated.id ? { ...session, ...updated } : session))
+    .filter(session => session.id !== updated.id || (
+      (showArchived || !updated.archived) &&
+      (!sessionTagFilter || (updated.tags || []).includes(sessionTagFilter))
+    ));
+
+  const handleSessionUpdate = async (project, session, updates) => {
+    try {
+      const response = await api.updateSession(project.name, session.id, updates);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Updating session failed with status ${response.status}`);
+      }
+      setLoadedSessions(prev => (prev[project.name] ? {
+        ...prev,
+        [project.name]: {
+          ...prev[project.name],
+          sessions: applySessionUpdate(prev[project.name].sessions, data.session)
+        }
+      } : prev));
+      setFilteredSessions(prev => (prev ? { ...prev, sessions: applySessionUpdate(prev.sessions, data.session) } : prev));
+      await onRefresh();
+      return true;
+    } catch (error) {
+      console.error('Error updating session:', error);
+      alert(`Error updating session: ${error.message}`);
+      return false;
+    }
+  };
+
+  const handleSessionEditStart = (session, e) => {
+    e.stopPropagation();
+    setExportMenuSession(null);
+    setEditingSession({
+      id: session.id,
+      title: session.title || '',
+      tags: (session.tags || []).join(', ')
+    });
+  };
+
+  const handleSessionEditSave = async (project, session) => {
+    if (!editingSession) return;
+    const title = editingSession.title.trim();
+    const tags = editingSession.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    const updates = { tags };
+    if (title && title !== session.title) {
+      updates.title = title;
+    }
+    if (await handleSessionUpdate(project, session, updates)) {
+      setEditingSession(null);
+    }
+  };
+
+  // Nest forked sessions under the session they branched from
+  const getSessionTree = (sessions) => {
+    const ids = new Set(sessions.map(session => session.id));
+    const children = new Map();
+    const roots = [];
+    for (const session of sessions) {
+      if (session.parentSessionId && ids.has(session.parentSessionId)) {
+        if (!children.has(session.parentSessionId)) {
+          children.set(session.parentSessionId, []);
+        }
+        children.get(session.parentSessionId).push(session);
+      } else {
+        roots.push(session);
+      }
+    }
+    return { roots, children };
+  };
+
+  const renderSession = (project, session, children) => (
+    <div key={session.id}>
+      <div
+        className={cn(
+          "group/session relative flex items-center gap-2 px-2 py-1.5 rounded-md cursor-pointer transition-colors",
+          selectedSession?.id === session.id
+            ? "bg-primary/10 text-primary"
+            : "hover:bg-muted text-foreground"
+        )}
+        onClick={() => editingSession?.id !== session.id && onSessionSelect(project, session)}
+        onTouchStart={handleTouchClick(() => editingSession?.id !== session.id && onSessionSelect(project, session))}
+        title={session.title}
+      >
+        {session.pinned ? (
+          <Pin className="h-3 w-3 flex-shrink-0 text-primary" />
+        ) : session.parentSessionId ? (
+          <GitBranch className="h-3 w-3 flex-shrink-0 text-muted-foreground" />
+        ) : (
+          <MessageSquare className="h-3 w-3 flex-shrink-0 text-muted-foreground" />
+        )}
+        {editingSession?.id === session.id ? (
+          <div className="flex-1 min-w-0 space-y-1" onClick={(e) => e.stopPropagation()}>
+            <Input
+              value={editingSession.title}
+              onChange={(e) => setEditingSession(prev => ({ ...prev, title: e.target.value }))}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleSessionEditSave(project, session);
+                if (e.key === 'Escape') setEditingSession(null);
+              }}
+              placeholder="Title"
+              maxLength={200}
+              className="h-6 text-xs"
+              autoFocus
+            />
+            <Input
+              value={editingSession.tags}
+              onChange={(e) => setEditingSession(prev => ({ ...prev, tags: e.target.value }))}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleSessionEditSave(project, session);
+                if (e.key === 'Escape') setEditingSession(null);
+              }}
+              placeholder="Tags, comma separated"
+              className="h-6 text-xs"
+            />
+            <div className="flex items-center gap-1">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => handleSessionEditSave(project, session)}
+                className="h-5 w-5 p-0 text-green-600 hover:text-green-700"
+                title="Save"
+              >
+                <Check className="h-3 w-3" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setEditingSession(null)}
+                className="h-5 w-5 p-0 text-muted-foreground"
+                title="Cancel"
+              >
+                <X className="h-3 w-3" />
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex-1 min-w-0">
+            <div className={cn("text-xs font-medium truncate", session.archived && "text-muted-foreground")}>
+              {session.title}
+            </div>
+            {session.summary?.text && (
+              <div className="text-xs text-muted-foreground truncate" title={session.summary.text}>
+                {session.summary.text}
+              </div>
+            )}
+            <div className="text-xs text-muted-foreground">
+              {formatRelativeTime(session.updated_at || session.created_at)}
+              {session.archived && ' · archived'}
+            </div>
+            {session.tags?.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-0.5">
+                {session.tags.map(tag => (
+                  <span key={tag} className="px-1 rounded bg-muted text-[10px] leading-4 text-muted-foreground">
+                    {tag}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+        {session.messageCount > 0 && editingSession?.id !== session.id && (
+          <Badge variant="secondary" className="text-xs px-1.5 py-0 group-hover/session:hidden">
+            {session.messageCount}
+          </Badge>
+        )}
+        {editingSession?.id !== session.id && (
+          <div className="hidden group-hover/session:flex items-center">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleSessionUpdate(project, session, { pinned: !session.pinned });
+              }}
+              className="h-5 w-5 p-0"
+              title={session.pinned ? 'Unpin' : 'Pin to top'}
+            >
+              {session.pinned ? <PinOff className="h-3 w-3" /> : <Pin className="h-3 w-3" />}
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={(e) => handleSessionEditStart(session, e)}
+              className="h-5 w-5 p-0"
+              title="Rename and tag"
+            >
+              <Edit3 className="h-3 w-3" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleSessionUpdate(project, session, { archived: !session.archived });
+              }}
+              className="h-5 w-5 p-0"
+              title={session.archived ? 'Unarchive' : 'Archive'}
+            >
+              {session.archived ? <ArchiveRestore className="h-3 w-3" /> : <Archive className="h-3 w-3" />}
+            </Button>
+          </div>
+        )}
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={(e) => {
+            e.stopPropagation();
+            setExportMenuSession(prev => (prev === session.id ? null : session.id));
+          }}
+          className={cn(
+            "h-5 w-5 p-0 transition-opacity",
+            exportMenuSession === session.id ? "opacity-100" : "opacity-0 group-hover/session:opacity-100",
+            editingSession?.id === session.id && "hidden"
+          )}
+          title="Download transcript"
+        >
+          <Download className="h-3 w-3" />
+        </Button>
+        {exportMenuSession === session.id && (
+          <div className="absolute right-1 top-full z-20 mt-1 w-36 rounded-md border border-border bg-popover shadow-md py-1">
+            {[
+              { format: 'md', label: 'Markdown' },
+              { format: 'html', label: 'HTML page' },
+              { format: 'json', label: 'JSON' }
+            ].map(({ format, label }) => (
+              <button
+                key={format}
+                onClick={(e) => handleSessionExport(project.name, session.id, format, e)}
+                className="w-full text-left px-3 py-1.5 text-xs text-foreground hover:bg-muted"
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Forks of this session */}
+      {children.get(session.id)?.length > 0 && (
+        <div className="ml-3 mt-0.5 space-y-0.5 border-l border-border pl-2">
+          {children.get(session.id).map(child => renderSession(project, child, children))}
+        </div>
+      )}
+    </div>
+  );
+
   const handleRefresh = async () => {
     setIsRefreshing(true);
     try {
@@ -75,7 +586,7 @@ function Sidebar({
   const handleProjectEdit = (project, e) => {
     e.stopPropagation();
     setEditingProject(project.name);
-    setEditingName(project.displayName || project.name);
+    setEditingName(project.displayName || project.alias);
   };
 
   const handleProjectEditSave = async (projectName) => {
@@ -100,39 +611,38 @@ function Sidebar({
     setEditingName('');
   };
 
-  const handleProjectDelete = async (projectName, e) => {
+  const handleProjectDelete = async (project, e) => {
     e.stopPropagation();
     
-    if (!confirm(`Are you sure you want to delete the project "${projectName}"? This action cannot be undone.`)) {
+    if (!confirm(`Are you sure you want to delete the project "${project.displayName || project.alias}"? This action cannot be undone.`)) {
       return;
     }
     
     try {
-      const response = await api.deleteProject(projectName);
+      const response = await api.deleteProject(project.name);
       if (response.ok) {
-        onProjectDelete(projectName);
+        onProjectDelete(project.name);
       }
     } catch (error) {
       console.error('Error deleting project:', error);
     }
   };
 
-  const handleNewProject = async () => {
-    if (!newProjectPath.trim()) return;
+  const handleProjectCreated = async (project) => {
+    setShowNewProject(false);
+    await onProjectCreated(project);
+  };
+
+  // Format date as relative time
+  const formatRelativeTime = (date) => {
+    if (!date) return '';
+    const diffInSeconds = Math.floor((new Date() - new Date(date)) / 1000);
     
-    setCreatingProject(true);
-    try {
-      const response = await api.createProject({ path: newProjectPath.trim() });
-      if (response.ok) {
-        setShowNewProject(false);
-        setNewProjectPath('');
-        await onRefresh();
-      }
-    } catch (error) {
-      console.error('Error creating project:', error);
-    } finally {
-      setCreatingProject(false);
-    }
+    if (diffInSeconds < 60) return 'just now';
+    if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)} min ago`;
+    if (diffInSeconds < 86400) return `${Math.floor(diffInSeconds / 3600)} hours ago`;
+    if (diffInSeconds < 2592000) return `${Math.floor(diffInSeconds / 86400)} days ago`;
+    return new Date(date).toLocaleDateString();
   };
 
   const toggleProjectStar = (projectName, e) => {
@@ -156,7 +666,7 @@ function Sidebar({
     if (searchFilter.trim()) {
       const searchTerm = searchFilter.toLowerCase();
       filtered = projects.filter(project => 
-        (project.displayName || project.name).toLowerCase().includes(searchTerm) ||
+        (project.displayName || project.alias).toLowerCase().includes(searchTerm) ||
         project.fullPath.toLowerCase().includes(searchTerm)
       );
     }
@@ -173,7 +683,7 @@ function Sidebar({
       // Then sort by selected order
       switch (projectSortOrder) {
         case 'name':
-          return (a.displayName || a.name).localeCompare(b.displayName || b.name);
+          return (a.displayName || a.alias).localeCompare(b.displayName || b.alias);
         case 'path':
           return a.fullPath.localeCompare(b.fullPath);
         case 'recent':
@@ -187,6 +697,13 @@ function Sidebar({
 
   return (
     <div className="flex flex-col h-full bg-card">
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".log,.txt,.cast,.json,.typescript"
+        onChange={handleImportFile}
+        className="hidden"
+      />
       {/* Header */}
       <div className="flex-shrink-0 p-4 border-b border-border">
         <div className="flex items-center justify-between mb-4">
@@ -229,7 +746,7 @@ function Sidebar({
         <div className="relative mb-3">
           <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
           <Input
-            placeholder="Search projects..."
+            placeholder="Search projects and conversations..."
             value={searchFilter}
             onChange={(e) => setSearchFilter(e.target.value)}
             className="pl-9 h-9"
@@ -269,47 +786,49 @@ function Sidebar({
       {/* Projects List */}
       <ScrollArea className="flex-1" data-scroll-container>
         <div className="p-2">
-          {/* New Project Form */}
-          {showNewProject && (
-            <div className="mb-3 p-3 border border-border rounded-lg bg-muted/50">
-              <div className="space-y-2">
-                <Input
-                  placeholder="Enter project path..."
-                  value={newProjectPath}
-                  onChange={(e) => setNewProjectPath(e.target.value)}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter') handleNewProject();
-                    if (e.key === 'Escape') {
-                      setShowNewProject(false);
-                      setNewProjectPath('');
-                    }
-                  }}
-                  className="h-8"
-                  autoFocus
-                />
-                <div className="flex gap-2">
-                  <Button
-                    size="sm"
-                    onClick={handleNewProject}
-                    disabled={!newProjectPath.trim() || creatingProject}
-                    className="h-7"
-                  >
-                    <Check className="h-3 w-3 mr-1" />
-                    {creatingProject ? 'Creating...' : 'Create'}
-                  </Button>
-                  <Button
-                    variant="ghost"
-                    size="sm"
-                    onClick={() => {
-                      setShowNewProject(false);
-                      setNewProjectPath('');
-                    }}
-                    className="h-7"
-                  >
-                    <X className="h-3 w-3 mr-1" />
-                    Cancel
-                  </Button>
-                </div>
+          {/* Conversation search results */}
+          {searchFilter.trim().length >= 2 && (isSearchingSessions || sessionResults.length > 0) && (
+            <div className="mb-3">
+              <div className="flex items-center gap-2 px-2 py-1">
+                <span className="text-xs font-medium text-muted-foreground">Conversations</span>
+                {isSearchingSessions ? (
+                  <RefreshCw className="h-3 w-3 animate-spin text-muted-foreground" />
+                ) : (
+                  <Badge variant="secondary" className="text-xs">{sessionResults.length}</Badge>
+                )}
+              </div>
+              <div className="space-y-0.5">
+                {sessionResults.map((result) => {
+                  const project = projects.find(p => p.name === result.projectName);
+                  return (
+                    <div
+                      key={result.sessionId}
+                      className={cn(
+                        "px-2 py-1.5 rounded-md cursor-pointer transition-colors",
+                        selectedSession?.id === result.sessionId
+                          ? "bg-primary/10 text-primary"
+                          : "hover:bg-muted text-foreground"
+                      )}
+                      onClick={() => handleSearchResultSelect(result)}
+                      onTouchStart={handleTouchClick(() => handleSearchResultSelect(result))}
+                    >
+                      <div className="flex items-center gap-2">
+                        <MessageSquare className="h-3 w-3 flex-shrink-0 text-muted-foreground" />
+                        <span className="text-xs font-medium truncate flex-1">{result.title || 'Untitled session'}</span>
+                        {result.matchCount > 1 && (
+                          <span className="text-xs text-muted-foreground flex-shrink-0">{result.matchCount} hits</span>
+                        )}
+                      </div>
+                      <div className="text-xs text-muted-foreground line-clamp-2 mt-0.5 ml-5">
+                        <SearchSnippet snippet={result.snippet} />
+                      </div>
+                      <div className="text-xs text-muted-foreground/70 ml-5 truncate">
+                        {project ? (project.displayName || project.alias) : 'Unknown project'}
+                        {result.updated_at && ` · ${formatRelativeTime(result.updated_at)}`}
+                      </div>
+                    </div>
+                  );
+                })}
               </div>
             </div>
           )}
@@ -370,11 +889,7 @@ function Sidebar({
 
                     {/* Project Icon */}
                     <div className="flex-shrink-0">
-                      {selectedProject?.name === project.name ? (
-                        <FolderOpen className="h-4 w-4" />
-                      ) : (
-                        <Folder className="h-4 w-4" />
-                      )}
+                      <ProjectIcon project={project} isOpen={selectedProject?.name === project.name} />
                     </div>
 
                     {/* Project Info */}
@@ -392,19 +907,36 @@ function Sidebar({
                           autoFocus
                         />
                       ) : (
-                        <div>
+                        <div title={project.metadata?.description ? `${project.fullPath}\n\n${project.metadata.description}` : project.fullPath}>
                           <div className="text-sm font-medium truncate">
-                            {project.displayName || project.name}
+                            {project.displayName || project.alias}
                           </div>
                           <div className="text-xs text-muted-foreground truncate">
-                            {project.fullPath}
+                            {project.metadata?.description || project.fullPath}
                           </div>
                         </div>
                       )}
                     </div>
 
                     {/* Project Actions */}
-                    <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                    <div className={cn(
+                      "flex items-center gap-1 transition-opacity",
+                      importingProject === project.name ? "opacity-100" : "opacity-0 group-hover:opacity-100"
+                    )}>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={(e) => handleImportClick(project, e)}
+                        disabled={importingProject === project.name}
+                        className="h-6 w-6 p-0"
+                        title="Import conversation (terminal log, asciicast or Q export)"
+                      >
+                        {importingProject === project.name ? (
+                          <RefreshCw className="h-3 w-3 animate-spin" />
+                        ) : (
+                          <Upload className="h-3 w-3" />
+                        )}
+                      </Button>
                       <Button
                         variant="ghost"
                         size="sm"
@@ -417,20 +949,115 @@ function Sidebar({
                       <Button
                         variant="ghost"
                         size="sm"
-                        onClick={(e) => handleProjectDelete(project.name, e)}
-                        onTouchStart={handleTouchClick((e) => handleProjectDelete(project.name, e))}
+                        onClick={(e) => { e.stopPropagation(); setSettingsProject(project); }}
+                        onTouchStart={handleTouchClick(() => setSettingsProject(project))}
+                        className="h-6 w-6 p-0"
+                        title="Project settings"
+                      >
+                        <Settings2 className="h-3 w-3" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={(e) => handleProjectDelete(project, e)}
+                        onTouchStart={handleTouchClick((e) => handleProjectDelete(project, e))}
                         className="h-6 w-6 p-0 text-destructive hover:text-destructive"
                       >
                         <Trash2 className="h-3 w-3" />
                       </Button>
                     </div>
                   </div>
+
+                  {/* Sessions */}
+                  {selectedProject?.name === project.name && (
+                    project.sessions?.length > 0 ||
+                    project.sessionMeta?.tags?.length > 0 ||
+                    project.sessionMeta?.archivedCount > 0
+                  ) && (() => {
+                    const { roots, children } = getSessionTree(getProjectSessions(project));
+                    const tags = project.sessionMeta?.tags || [];
+                    const archivedCount = project.sessionMeta?.archivedCount || 0;
+                    return (
+                      <div className="ml-6 mt-1 mb-2 space-y-0.5 border-l border-border pl-2">
+                        {(tags.length > 0 || archivedCount > 0) && (
+                          <div className="flex flex-wrap items-center gap-1 px-2 pb-1">
+                            {tags.map(tag => (
+                              <button
+                                key={tag}
+                                onClick={() => setSessionTagFilter(prev => (prev === tag ? null : tag))}
+                                className={cn(
+                                  "flex items-center gap-0.5 px-1.5 rounded-full border text-[10px] leading-4 transition-colors",
+                                  sessionTagFilter === tag
+                                    ? "border-primary bg-primary/10 text-primary"
+                                    : "border-border text-muted-foreground hover:text-foreground"
+                                )}
+                                title={sessionTagFilter === tag ? 'Show all sessions' : `Only sessions tagged "${tag}"`}
+                              >
+                                <Tag className="h-2.5 w-2.5" />
+                                {tag}
+                              </button>
+                            ))}
+                            {archivedCount > 0 && (
+                              <button
+                                onClick={() => setShowArchived(prev => !prev)}
+                                className={cn(
+                                  "flex items-center gap-0.5 px-1.5 rounded-full border text-[10px] leading-4 transition-colors",
+                                  showArchived
+                                    ? "border-primary bg-primary/10 text-primary"
+                                    : "border-border text-muted-foreground hover:text-foreground"
+                                )}
+                                title={showArchived ? 'Hide archived sessions' : 'Show archived sessions'}
+                              >
+                                <Archive className="h-2.5 w-2.5" />
+                                Archived ({archivedCount})
+                              </button>
+                            )}
+                          </div>
+                        )}
+                        {roots.length === 0 && (
+                          <div className="px-2 py-1 text-xs text-muted-foreground">
+                            {isSessionFilterActive && !filteredSessions ? 'Loading sessions...' : 'No sessions match'}
+                          </div>
+                        )}
+                        {roots.map(session => renderSession(project, session, children))}
+                        {hasMoreSessions(project) && (
+                          <button
+                            onClick={() => handleLoadMoreSessions(project)}
+                            disabled={loadingMoreSessions === project.name}
+                            className="w-full flex items-center justify-center gap-1 px-2 py-1 text-xs text-muted-foreground hover:text-foreground hover:bg-muted rounded-md transition-colors"
+                          >
+                            {loadingMoreSessions === project.name ? (
+                              <RefreshCw className="h-3 w-3 animate-spin" />
+                            ) : (
+                              <ChevronDown className="h-3 w-3" />
+                            )}
+                            Load more ({getRemainingSessionCount(project)} remaining)
+                          </button>
+                        )}
+                      </div>
+                    );
+                  })()}
                 </div>
               ))}
             </div>
           )}
         </div>
       </ScrollArea>
+
+      {showNewProject && (
+        <ProjectWizard
+          onClose={() => setShowNewProject(false)}
+          onCreated={handleProjectCreated}
+        />
+      )}
+
+      {settingsProject && (
+        <ProjectSettings
+          project={settingsProject}
+          onClose={() => setSettingsProject(null)}
+          onSaved={onRefresh}
+        />
+      )}
     </div>
   );
 }
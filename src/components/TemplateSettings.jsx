@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { Save, Plus, Trash2 } from 'lucide-react';
+import { api } from '../utils/api';
+
+function TemplateSettings() {
+  const [templates, setTemplates] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await api.settings.templates();
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Loading project templates failed with status ${response.status}`);
+        }
+        setTemplates(data.templates);
+      } catch (error) {
+        setMessage({ type: 'error', text: error.message });
+      }
+    };
+    fetchTemplates();
+  }, []);
+
+  const updateTemplate = (index, field, value) =>
+    setTemplates(prev => prev.map((template, i) => (i === index ? { ...template, [field]: value } : template)));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const response = await api.settings.updateTemplates(templates);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Saving project templates failed with status ${response.status}`);
+      }
+      setTemplates(data.templates);
+      setMessage({ type: 'success', text: 'Saved.' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!templates) {
+    return message
+      ? <div className="text-sm text-red-600 dark:text-red-400">{message.text}</div>
+      : <div className="text-center py-8 text-muted-foreground">Loading project templates...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-muted-foreground">
+        New projects can start as a copy of one of these folders. Everything is copied except <code>.git</code> and <code>node_modules</code>, and the copy gets a git repository of its own.
+      </p>
+
+      <div className="space-y-2">
+        {templates.length === 0 && (
+          <p className="text-sm text-muted-foreground">No templates yet.</p>
+        )}
+        {templates.map((template, index) => (
+          <div key={index} className="flex items-center gap-2">
+            <input
+              value={template.name}
+              onChange={(e) => updateTemplate(index, 'name', e.target.value)}
+              placeholder="Name"
+              maxLength={100}
+              className="w-48 px-3 py-2 border border-border rounded-lg bg-background text-sm"
+            />
+            <input
+              value={template.path}
+              onChange={(e) => updateTemplate(index, 'path', e.target.value)}
+              placeholder="~/templates/react-app"
+              className="flex-1 px-3 py-2 border border-border rounded-lg bg-background font-mono text-sm"
+            />
+            <button
+              onClick={() => setTemplates(prev => prev.filter((_, i) => i !== index))}
+              className="p-2 text-red-600 hover:bg-muted rounded-lg"
+              title="Remove template"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={() => setTemplates(prev => [...prev, { name: '', path: '' }])}
+          className="flex items-center space-x-2 px-3 py-1.5 text-sm border border-border hover:bg-muted rounded-lg"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add template</span>
+        </button>
+      </div>
+
+      {message && (
+        <div className={`text-sm ${message.type === 'error' ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="flex items-center justify-end">
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className="flex items-center space-x-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          <span>{isSaving ? 'Saving...' : 'Save'}</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TemplateSettings;
@@ -0,0 +1,90 @@
+import React, { useEffect } from 'react';
+import { ShieldQuestion, Check, X, ShieldCheck } from 'lucide-react';
+
+// Keys typed into a form field are text, not an answer. The terminal's own input is the
+// exception: the modal stands in for the prompt shown there
+function isEditableTarget(target) {
+  if (!(target instanceof HTMLElement) || target.classList.contains('xterm-helper-textarea')) {
+    return false;
+  }
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+// Answers Q's [y/n/t] prompt in the Shell tab. The chat panel has no approvals to answer: it runs
+// `q chat --no-interactive`, where Q refuses untrusted tools instead of asking
+function ToolApprovalModal({ request, onRespond }) {
+  // Keyboard shortcuts matching Q's own [y/n/t] prompt
+  useEffect(() => {
+    if (!request) return;
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isEditableTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (['y', 'n', 't'].includes(key)) {
+        e.preventDefault();
+        e.stopPropagation();
+        onRespond(key);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [request, onRespond]);
+
+  if (!request) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      {/* Backdrop */}
+      <div className="fixed inset-0 bg-black/50 backdrop-blur-sm" />
+
+      {/* Modal */}
+      <div className="relative bg-white dark:bg-gray-800 rounded-lg shadow-xl border border-gray-200 dark:border-gray-700 w-full max-w-md mx-4 p-6 space-y-4">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-yellow-100 dark:bg-yellow-900/30 rounded-lg flex items-center justify-center">
+            <ShieldQuestion className="w-5 h-5 text-yellow-600 dark:text-yellow-400" />
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Allow this action?</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Q wants to use <span className="font-mono">{request.tool || 'a tool'}</span>
+            </p>
+          </div>
+        </div>
+
+        {request.prompt && (
+          <div className="bg-gray-100 dark:bg-gray-900 rounded-lg p-3 text-xs text-gray-700 dark:text-gray-300 font-mono">
+            {request.prompt}
+          </div>
+        )}
+
+        <div className="flex flex-col sm:flex-row gap-2 pt-2">
+          <button
+            onClick={() => onRespond('n')}
+            className="flex-1 flex items-center justify-center gap-1.5 px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-md transition-colors"
+          >
+            <X className="w-4 h-4" />
+            No
+          </button>
+          <button
+            onClick={() => onRespond('t')}
+            className="flex-1 flex items-center justify-center gap-1.5 px-4 py-2 text-sm font-medium text-blue-700 dark:text-blue-300 bg-blue-50 dark:bg-blue-900/20 hover:bg-blue-100 dark:hover:bg-blue-900/40 border border-blue-200 dark:border-blue-700 rounded-md transition-colors"
+            title="Trust this tool for the rest of the session"
+          >
+            <ShieldCheck className="w-4 h-4" />
+            Trust for session
+          </button>
+          <button
+            onClick={() => onRespond('y')}
+            className="flex-1 flex items-center justify-center gap-1.5 px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+          >
+            <Check className="w-4 h-4" />
+            Yes
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ToolApprovalModal;
@@ -1,5 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { X, Plus, Edit3, Trash2, Save, Copy } from 'lucide-react';
+import DiscoverySettings from './DiscoverySettings';
+import TemplateSettings from './TemplateSettings';
+import TrustedToolsSettings from './TrustedToolsSettings';
+
+const SECTIONS = [
+  { id: 'mcp', label: 'MCP Servers' },
+  { id: 'tools', label: 'Trusted Tools' },
+  { id: 'discovery', label: 'Project Discovery' },
+  { id: 'templates', label: 'Project Templates' }
+];
 
 function ToolsSettings({ isOpen, onClose }) {
   const [mcpServers, setMcpServers] = useState({});
@@ -9,6 +19,7 @@ function ToolsSettings({ isOpen, onClose }) {
   const [newServerConfig, setNewServerConfig] = useState('');
   const [rawJsonMode, setRawJsonMode] = useState(false);
   const [rawJson, setRawJson] = useState('');
+  const [section, setSection] = useState('mcp');
 
   useEffect(() => {
     if (isOpen) {
@@ -172,14 +183,31 @@ function ToolsSettings({ isOpen, onClose }) {
       <div className="bg-card rounded-lg shadow-xl border border-border w-full max-w-4xl max-h-[90vh] overflow-hidden">
         {/* Header */}
         <div className="flex items-center justify-between p-6 border-b border-border">
-          <h2 className="text-xl font-semibold text-foreground">MCP Server Configuration</h2>
+          <div className="flex items-center space-x-4">
+            <h2 className="text-xl font-semibold text-foreground">Settings</h2>
+            <div className="flex space-x-1 bg-muted rounded-lg p-1">
+              {SECTIONS.map(({ id, label }) => (
+                <button
+                  key={id}
+                  onClick={() => setSection(id)}
+                  className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                    section === id ? 'bg-background text-foreground shadow-sm' : 'text-muted-foreground hover:text-foreground'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
           <div className="flex items-center space-x-2">
-            <button
-              onClick={() => setRawJsonMode(!rawJsonMode)}
-              className="px-3 py-1 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded"
-            >
-              {rawJsonMode ? 'Visual Mode' : 'Raw JSON'}
-            </button>
+            {section === 'mcp' && (
+              <button
+                onClick={() => setRawJsonMode(!rawJsonMode)}
+                className="px-3 py-1 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded"
+              >
+                {rawJsonMode ? 'Visual Mode' : 'Raw JSON'}
+              </button>
+            )}
             <button
               onClick={onClose}
               className="p-2 hover:bg-muted rounded-lg transition-colors"
@@ -190,7 +218,13 @@ function ToolsSettings({ isOpen, onClose }) {
         </div>
 
         <div className="p-6 overflow-y-auto max-h-[calc(90vh-120px)]">
-          {isLoading ? (
+          {section === 'discovery' ? (
+            <DiscoverySettings />
+          ) : section === 'tools' ? (
+            <TrustedToolsSettings />
+          ) : section === 'templates' ? (
+            <TemplateSettings />
+          ) : isLoading ? (
             <div className="text-center py-8">
               <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
               <p className="mt-2 text-muted-foreground">Loading MCP configuration...</p>
@@ -360,10 +394,21 @@ function ToolsSettings({ isOpen, onClose }) {
 
         {/* Footer */}
         <div className="border-t border-border p-4 bg-muted/30">
-          <p className="text-sm text-muted-foreground">
-            Model Context Protocol servers provide additional tools and data sources to Amazon Q Developer.
-            Configuration is stored in <code>~/.aws/amazonq/mcp.json</code>
-          </p>
+          {section === 'discovery' ? (
+            <p className="text-sm text-muted-foreground">
+              Decides which folders show up as projects in the sidebar.
+              Settings are stored in <code>~/.q-developer/project-config.json</code>
+            </p>
+          ) : section === 'tools' ? (
+            <p className="text-sm text-muted-foreground">
+              Applies to chat prompts sent from this browser. Scheduled and API runs list their own trusted tools.
+            </p>
+          ) : (
+            <p className="text-sm text-muted-foreground">
+              Model Context Protocol servers provide additional tools and data sources to Amazon Q Developer.
+              Configuration is stored in <code>~/.aws/amazonq/mcp.json</code>
+            </p>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { Save } from 'lucide-react';
+import { loadToolsSettings, saveToolsSettings } from '../utils/toolsSettings';
+
+function TrustedToolsSettings() {
+  const [allowedTools, setAllowedTools] = useState(() => loadToolsSettings().allowedTools.join(', '));
+  const [message, setMessage] = useState(null);
+
+  const handleSave = () => {
+    const tools = [...new Set(allowedTools.split(',').map(tool => tool.trim()).filter(Boolean))];
+    saveToolsSettings({ allowedTools: tools });
+    setAllowedTools(tools.join(', '));
+    setMessage('Saved.');
+  };
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-muted-foreground">
+        Chat prompts run without stopping for approval, so Q only uses the tools it trusts by default and the ones listed here (<code>--trust-tools</code>).
+        Every other tool is refused, unless the tool menu next to the chat input is set to Trust all tools.
+      </p>
+
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-foreground">Trusted tools</label>
+        <input
+          value={allowedTools}
+          onChange={(e) => {
+            setAllowedTools(e.target.value);
+            setMessage(null);
+          }}
+          placeholder="fs_write, execute_bash"
+          className="w-full px-3 py-2 border border-border rounded-lg bg-background font-mono text-sm"
+        />
+        <p className="text-xs text-muted-foreground">Separate tool names with commas. MCP tools are named like <code>@server/tool</code>.</p>
+      </div>
+
+      {message && (
+        <div className="text-sm text-green-600 dark:text-green-400">{message}</div>
+      )}
+
+      <div className="flex items-center justify-end">
+        <button
+          onClick={handleSave}
+          className="flex items-center space-x-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg"
+        >
+          <Save className="w-4 h-4" />
+          <span>Save</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TrustedToolsSettings;
@@ -2,9 +2,12 @@
 export const authenticatedFetch = (url, options = {}) => {
   const token = localStorage.getItem('auth-token');
   
-  const defaultHeaders = {
-    'Content-Type': 'application/json',
-  };
+  const defaultHeaders = {};
+  
+  // Let the browser set the multipart boundary for FormData uploads
+  if (!(options.body instanceof FormData)) {
+    defaultHeaders['Content-Type'] = 'application/json';
+  }
   
   if (token) {
     defaultHeaders['Authorization'] = `Bearer ${token}`;
@@ -41,27 +44,133 @@ export const api = {
   // Protected endpoints
   config: () => authenticatedFetch('/api/config'),
   projects: () => authenticatedFetch('/api/projects'),
-  sessions: (projectName, limit = 5, offset = 0) => 
-    authenticatedFetch(`/api/projects/${projectName}/sessions?limit=${limit}&offset=${offset}`),
+  sessions: (projectName, { limit = 5, offset = 0, cursor = null, sort = 'updated', tag = null, archived = false } = {}) => {
+    const params = new URLSearchParams({
+      limit,
+      sort,
+      ...(cursor ? { cursor } : { offset }),
+      ...(tag && { tag }),
+      ...(archived && { archived: 'true' })
+    });
+    return authenticatedFetch(`/api/projects/${projectName}/sessions?${params}`);
+  },
   sessionMessages: (projectName, sessionId) =>
     authenticatedFetch(`/api/projects/${projectName}/sessions/${sessionId}/messages`),
+  getProject: (projectName) => authenticatedFetch(`/api/projects/${projectName}`),
+  updateProject: (projectName, updates) =>
+    authenticatedFetch(`/api/projects/${projectName}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    }),
   renameProject: (projectName, displayName) =>
     authenticatedFetch(`/api/projects/${projectName}/rename`, {
       method: 'PUT',
       body: JSON.stringify({ displayName }),
     }),
+  updateSession: (projectName, sessionId, updates) =>
+    authenticatedFetch(`/api/projects/${projectName}/sessions/${sessionId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    }),
   deleteSession: (projectName, sessionId) =>
     authenticatedFetch(`/api/projects/${projectName}/sessions/${sessionId}`, {
       method: 'DELETE',
     }),
+  forkSession: (projectName, sessionId, messageId) =>
+    authenticatedFetch(`/api/projects/${projectName}/sessions/${sessionId}/fork`, {
+      method: 'POST',
+      body: JSON.stringify({ messageId }),
+    }),
+  exportSession: (projectName, sessionId, format) =>
+    authenticatedFetch(`/api/projects/${projectName}/sessions/${sessionId}/export?format=${format}`),
+  importSession: (projectName, formData) =>
+    authenticatedFetch(`/api/projects/${projectName}/sessions/import`, {
+      method: 'POST',
+      body: formData,
+    }),
+  searchSessions: (query, limit = 20) =>
+    authenticatedFetch(`/api/search/sessions?q=${encodeURIComponent(query)}&limit=${limit}`),
+  abortSession: (sessionId) =>
+    authenticatedFetch(`/api/sessions/${sessionId}/abort`, {
+      method: 'POST',
+    }),
+  prompts: {
+    list: (projectName = null) =>
+      authenticatedFetch(`/api/prompts${projectName ? `?project=${encodeURIComponent(projectName)}` : ''}`),
+    create: (prompt) =>
+      authenticatedFetch('/api/prompts', {
+        method: 'POST',
+        body: JSON.stringify(prompt),
+      }),
+    update: (id, prompt) =>
+      authenticatedFetch(`/api/prompts/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(prompt),
+      }),
+    delete: (id) =>
+      authenticatedFetch(`/api/prompts/${id}`, {
+        method: 'DELETE',
+      }),
+    expand: (id, { project, file, selection }) =>
+      authenticatedFetch(`/api/prompts/${id}/expand`, {
+        method: 'POST',
+        body: JSON.stringify({ project, file, selection }),
+      }),
+  },
+  schedules: {
+    list: () => authenticatedFetch('/api/schedules'),
+    create: (schedule) =>
+      authenticatedFetch('/api/schedules', {
+        method: 'POST',
+        body: JSON.stringify(schedule),
+      }),
+    update: (id, schedule) =>
+      authenticatedFetch(`/api/schedules/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(schedule),
+      }),
+    delete: (id) =>
+      authenticatedFetch(`/api/schedules/${id}`, {
+        method: 'DELETE',
+      }),
+    run: (id) =>
+      authenticatedFetch(`/api/schedules/${id}/run`, {
+        method: 'POST',
+      }),
+  },
+  settings: {
+    discovery: () => authenticatedFetch('/api/settings/discovery'),
+    updateDiscovery: (settings) =>
+      authenticatedFetch('/api/settings/discovery', {
+        method: 'PUT',
+        body: JSON.stringify(settings),
+      }),
+    templates: () => authenticatedFetch('/api/settings/templates'),
+    updateTemplates: (templates) =>
+      authenticatedFetch('/api/settings/templates', {
+        method: 'PUT',
+        body: JSON.stringify({ templates }),
+      }),
+  },
+  processes: () => authenticatedFetch('/api/processes'),
+  killProcess: (id) =>
+    authenticatedFetch(`/api/processes/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    }),
   deleteProject: (projectName) =>
     authenticatedFetch(`/api/projects/${projectName}`, {
       method: 'DELETE',
     }),
-  createProject: (path) =>
+  // options: { path, mode, template, source }; modes other than "existing" answer with a progress stream
+  createProject: (options) =>
     authenticatedFetch('/api/projects/create', {
       method: 'POST',
-      body: JSON.stringify({ path }),
+      body: JSON.stringify(options),
+    }),
+  uploadImages: (projectName, formData) =>
+    authenticatedFetch(`/api/projects/${projectName}/upload-images`, {
+      method: 'POST',
+      body: formData,
     }),
   readFile: (projectName, filePath) =>
     authenticatedFetch(`/api/projects/${projectName}/file?filePath=${encodeURIComponent(filePath)}`),
@@ -0,0 +1,21 @@
+// Tools chat prompts let Q use without asking, saved in this browser under Settings → Trusted Tools.
+// Shaped like the toolsSettings option spawnQ takes
+const STORAGE_KEY = 'q-tools-settings';
+
+export function loadToolsSettings() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    // Nothing usable saved; fall back to Q's defaults
+  }
+  return {
+    allowedTools: Array.isArray(saved?.allowedTools) ? saved.allowedTools : [],
+    disallowedTools: [],
+    skipPermissions: false
+  };
+}
+
+export function saveToolsSettings({ allowedTools }) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ allowedTools }));
+}
@@ -111,3 +111,21 @@ export function useWebSocket() {
     isConnected
   };
 }
+
+
+// Build the URL for one of the server's WebSocket paths (e.g. '/chat')
+export function getWebSocketUrl(path) {
+  const token = localStorage.getItem('auth-token');
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  
+  // For development: Vite runs on 3000, API server on 3001
+  const host = window.location.port === '3000'
+    ? `${window.location.hostname}:3001`
+    : window.location.host;
+  
+  let wsUrl = `${protocol}//${host}${path}`;
+  if (token) {
+    wsUrl += `?token=${encodeURIComponent(token)}`;
+  }
+  return wsUrl;
+}
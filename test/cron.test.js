@@ -0,0 +1,168 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { parseCron, getNextCronRun } from '../server/cron.js';
+
+const sorted = (values) => [...values].sort((a, b) => a - b);
+
+// Cron works in local time, so dates are built from local fields. 2026-01-02 is a Friday
+const at = (day, hours = 0, minutes = 0, seconds = 0) => new Date(2026, 0, day, hours, minutes, seconds);
+
+describe('parseCron', () => {
+  test('expands lists, ranges and steps', () => {
+    const schedule = parseCron('1-5/2,30 */6 1,15 * *');
+    assert.deepEqual(sorted(schedule.minutes), [1, 3, 5, 30]);
+    assert.deepEqual(sorted(schedule.hours), [0, 6, 12, 18]);
+    assert.deepEqual(sorted(schedule.daysOfMonth), [1, 15]);
+    assert.equal(schedule.months.size, 12);
+  });
+
+  test('counts a single value with a step from that value up', () => {
+    assert.deepEqual(sorted(parseCron('45/5 * * * *').minutes), [45, 50, 55]);
+  });
+
+  test('reads month and weekday names and Sunday as 7', () => {
+    const schedule = parseCron('0 0 * JAN-mar sun,fri-sat');
+    assert.deepEqual(sorted(schedule.months), [1, 2, 3]);
+    assert.deepEqual(sorted(schedule.daysOfWeek), [0, 5, 6]);
+    assert.deepEqual(sorted(parseCron('0 0 * * 7').daysOfWeek), [0]);
+  });
+
+  test('expands macros, in any case', () => {
+    assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+    assert.deepEqual(parseCron(' @HOURLY '), parseCron('0 * * * *'));
+    assert.deepEqual(parseCron('@weekly'), parseCron('0 0 * * 0'));
+  });
+
+  test('rejects invalid expressions with a readable message', () => {
+    const invalid = {
+      '': /required/,
+      '* * * *': /5 fields/,
+      '60 * * * *': /minute 60 is out of range/,
+      '* * 0 * *': /day of month 0 is out of range/,
+      '5-1 * * * *': /Invalid range/,
+      '*/0 * * * *': /Invalid step/,
+      '1/2/3 * * * *': /Invalid minute/,
+      '* * * foo *': /Invalid month/,
+      '@often': /5 fields/
+    };
+    for (const [expression, message] of Object.entries(invalid)) {
+      assert.throws(() => parseCron(expression), message, JSON.stringify(expression));
+    }
+  });
+
+  test('treats only its own macros as macros', () => {
+    for (const expression of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+      assert.throws(() => parseCron(expression), /5 fields/, expression);
+    }
+  });
+});
+
+describe('getNextCronRun', () => {
+  test('returns the next matching minute after the given time', () => {
+    assert.deepEqual(getNextCronRun('*/15 * * * *', at(2, 10, 30)), at(2, 10, 45));
+    assert.deepEqual(getNextCronRun('*/15 * * * *', at(2, 10, 44, 59)), at(2, 10, 45));
+    assert.deepEqual(getNextCronRun('*/15 * * * *', at(2, 10, 45, 30)), at(2, 11, 0));
+  });
+
+  test('moves on to the next day, month and year', () => {
+    assert.deepEqual(getNextCronRun('30 9 * * *', at(2, 10)), at(3, 9, 30));
+    assert.deepEqual(getNextCronRun('@monthly', at(2)), new Date(2026, 1, 1));
+    assert.deepEqual(getNextCronRun('@yearly', at(2)), new Date(2027, 0, 1));
+  });
+
+  test('skips to the next weekday that matches', () => {
+    assert.deepEqual(getNextCronRun('0 9 * * mon-fri', at(2, 10)), at(5, 9));
+  });
+
+  test('runs on a day matching either day field when both are restricted', () => {
+    // The 13th or any Friday: Friday the 2nd comes first, then Tuesday the 13th, then Friday the 16th
+    assert.deepEqual(getNextCronRun('0 0 13 * 5', at(1)), at(2));
+    assert.deepEqual(getNextCronRun('0 0 13 * 5', at(10)), at(13));
+    assert.deepEqual(getNextCronRun('0 0 13 * 5', at(13)), at(16));
+  });
+
+  test('needs the other day field when only one is restricted', () => {
+    assert.deepEqual(getNextCronRun('0 0 13 * *', at(1)), at(13));
+    assert.deepEqual(getNextCronRun('0 0 * * 5', at(3)), at(9));
+  });
+
+  test('returns null for a date that never comes', () => {
+    assert.equal(getNextCronRun('0 0 30 2 *', at(1)), null);
+  });
+});
+
+describe('runSchedule', () => {
+  let home;
+  let scheduler;
+  let jobs;
+  let qCli;
+  let scheduleDb;
+  let projectName;
+
+  const waitFor = async (check) => {
+    const deadline = Date.now() + 10000;
+    while (!check()) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting');
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  };
+
+  before(async () => {
+    home = await fs.mkdtemp(path.join(os.tmpdir(), 'q-webui-cron-test-'));
+    const projectPath = path.join(home, 'projects', 'alpha');
+    await fs.mkdir(projectPath, { recursive: true });
+    await fs.writeFile(path.join(projectPath, 'package.json'), '{}');
+    projectName = crypto.createHash('sha256').update(projectPath).digest('hex').slice(0, 12);
+
+    // A Q that keeps running until it's stopped
+    const binDir = path.join(home, 'bin');
+    await fs.mkdir(binDir);
+    await fs.writeFile(path.join(binDir, 'q'), '#!/bin/sh\nexec sleep 30\n', { mode: 0o755 });
+
+    process.env.HOME = home;
+    process.env.DATABASE_PATH = path.join(home, 'test.db');
+    process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+
+    const db = await import('../server/database/db.js');
+    await db.initializeDatabase();
+    scheduleDb = db.scheduleDb;
+    scheduler = await import('../server/scheduler.js');
+    jobs = await import('../server/jobs.js');
+    qCli = await import('../server/q-cli.js');
+  });
+
+  after(async () => {
+    if (home) {
+      await fs.rm(home, { recursive: true, force: true });
+    }
+  });
+
+  test('skips a run while the previous one is still going', async () => {
+    const schedule = scheduleDb.createSchedule({ name: 'Nightly', projectName, prompt: 'Check the build', cron: '@daily' });
+
+    const job = await scheduler.runSchedule(schedule);
+    assert.ok(job);
+    await waitFor(() => scheduleDb.getSchedule(schedule.id).lastRun.status === 'running');
+
+    assert.equal(await scheduler.runSchedule(schedule), null);
+    const { lastRun } = scheduleDb.getSchedule(schedule.id);
+    assert.equal(lastRun.status, 'skipped');
+    assert.equal(lastRun.sessionId, job.sessionId);
+
+    // Once it has finished the next run starts again
+    await qCli.abortQSession(job.sessionId);
+    await waitFor(() => jobs.getJob(job.id).finishedAt);
+    assert.equal(scheduleDb.getSchedule(schedule.id).lastRun.status, 'aborted');
+
+    const nextJob = await scheduler.runSchedule(schedule);
+    assert.ok(nextJob);
+    assert.notEqual(nextJob.id, job.id);
+    await waitFor(() => jobs.getJob(nextJob.id).status === 'running');
+    await qCli.abortQSession(nextJob.sessionId);
+    await waitFor(() => jobs.getJob(nextJob.id).finishedAt);
+  });
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { createQOutputParser, parseUsageLine } from '../server/q-output-parser.js';
+
+// Recorded Q output, ANSI codes and all
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}.txt`, import.meta.url), 'utf8');
+
+function parse(chunks) {
+  const parser = createQOutputParser();
+  return [...chunks.flatMap(chunk => parser.push(chunk)), ...parser.flush()];
+}
+
+// Feed the output in small pieces, the way it arrives from a process
+function parseInChunks(output, size) {
+  const chunks = [];
+  for (let i = 0; i < output.length; i += size) {
+    chunks.push(output.slice(i, i + size));
+  }
+  return parse(chunks);
+}
+
+// Text is emitted per chunk, so join neighbouring text events and ignore blank lines
+function normalizeText(events) {
+  const merged = [];
+  for (const event of events) {
+    const previous = merged[merged.length - 1];
+    if (event.type === 'text' && previous?.type === 'text') {
+      previous.text += `\n${event.text}`;
+    } else {
+      merged.push({ ...event });
+    }
+  }
+  return merged.map(event => (event.type === 'text' ? { ...event, text: event.text.replace(/\n+/g, '\n').trim() } : event));
+}
+
+const EXPECTED = {
+  'ansi-text': [
+    { type: 'text', text: 'The server starts in server/index.js and listens on PORT (3001 by default).\n\nIt serves the built client from dist/.\n' },
+    { type: 'usage', credits: 0.08 }
+  ],
+  'fs-write-approval': [
+    { type: 'text', text: 'I\'ll check the config before changing the port.\n' },
+    { type: 'tool-use', tool: 'fs_read', trusted: true },
+    { type: 'tool-use', tool: 'fs_write', trusted: false },
+    {
+      type: 'fs-write',
+      tool: 'fs_write',
+      path: 'src/config.js',
+      operation: 'str_replace',
+      old_string: '  port: 3000,\n  host: \'localhost\'',
+      new_string: '  port: 8080,\n  host: \'0.0.0.0\'',
+      purpose: 'Listen on 8080 on all interfaces'
+    },
+    {
+      type: 'approval-prompt',
+      tool: 'fs_write',
+      prompt: 'Allow this action? Use \'t\' to trust (always allow) this tool for the session. [y/n/t]:'
+    },
+    { type: 'text', text: '\nThe server now listens on port 8080.\n' },
+    { type: 'usage', credits: 0.21 }
+  ],
+  'execute-bash': [
+    { type: 'text', text: 'Listing the sources.\n' },
+    { type: 'tool-use', tool: 'execute_bash', trusted: true },
+    { type: 'execute-bash', tool: 'execute_bash', command: 'ls src \\\n  | head -3', purpose: 'List the first source files' },
+    { type: 'text', text: '\nThe sources start with App.jsx and the components folder.\n' },
+    { type: 'usage', tokens: 12480 },
+    { type: 'usage', credits: 0.35 }
+  ]
+};
+
+for (const [name, expected] of Object.entries(EXPECTED)) {
+  test(`${name}: emits the recorded event sequence`, () => {
+    assert.deepEqual(parse([fixture(name)]), expected);
+  });
+
+  test(`${name}: emits the same events however the output is split`, () => {
+    for (const size of [1, 7, 64]) {
+      assert.deepEqual(normalizeText(parseInChunks(fixture(name), size)), normalizeText(expected), `chunks of ${size}`);
+    }
+  });
+}
+
+test('reports an approval prompt that is still waiting for an answer', () => {
+  const parser = createQOutputParser();
+  const events = parser.push('🛠️  Using tool: execute_bash\n ⋮ \n ● I will run the following shell command: \nrm -rf dist\n ⋮ \n\nAllow this action? Use \'t\' to trust (always allow) this tool for the session. [y/n/t]:');
+
+  assert.deepEqual(events, [
+    { type: 'tool-use', tool: 'execute_bash', trusted: false },
+    { type: 'execute-bash', tool: 'execute_bash', command: 'rm -rf dist', purpose: null },
+    { type: 'approval-prompt', tool: 'execute_bash', prompt: 'Allow this action? Use \'t\' to trust (always allow) this tool for the session. [y/n/t]:' }
+  ]);
+  assert.deepEqual(parser.flush(), []);
+});
+
+test('leaves the answer and the tool output after an approval prompt out of the response', () => {
+  const events = parse([
+    '🛠️  Using tool: execute_bash\n ● I will run the following shell command: \nls\n',
+    'Allow this action? [y/n/t]:\n\n> t\nApp.jsx\nmain.jsx\n ● Completed in 0.1s\n\n> Done.\n'
+  ]);
+
+  assert.deepEqual(events.filter(event => event.type === 'text'), [{ type: 'text', text: '\nDone.' }]);
+});
+
+test('parseUsageLine reads tokens and credits', () => {
+  assert.deepEqual(parseUsageLine('▸ Credits: 0.39 • Time: 12s'), { credits: 0.39 });
+  assert.deepEqual(parseUsageLine('\x1b[1mContext window: 1,234 of 200k tokens used\x1b[0m'), { tokens: 1234 });
+  assert.deepEqual(parseUsageLine('5,000 tokens used, Credits used: 1.5'), { tokens: 5000, credits: 1.5 });
+  assert.equal(parseUsageLine('> The port is 3000'), null);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveSessionTitle, summarizeSession } from '../server/session-summary.js';
+
+test('deriveSessionTitle returns null for prompts without prose', () => {
+  for (const prompt of ['', '   \n\t\n', null, undefined, '```js\nconst a = 1;\n```']) {
+    assert.equal(deriveSessionTitle(prompt), null, JSON.stringify(prompt));
+  }
+});
+
+test('deriveSessionTitle uses the first line of prose with its whitespace collapsed', () => {
+  assert.equal(deriveSessionTitle('\n\n   fix   the\tlogin   bug.  \nand add a test'), 'Fix the login bug');
+  assert.equal(deriveSessionTitle('```\nnpm ERR! missing script\n```\nWhy does this fail?'), 'Why does this fail?');
+});
+
+test('deriveSessionTitle strips markdown', () => {
+  assert.equal(deriveSessionTitle('## Add **dark mode** to `Settings`, see [the docs](https://example.com)'), 'Add dark mode to Settings, see the docs');
+  assert.equal(deriveSessionTitle('- rename __utils__'), 'Rename utils');
+});
+
+test('deriveSessionTitle drops filler openers, stacked or not', () => {
+  assert.equal(deriveSessionTitle('Hey Q, can you please refactor the parser?'), 'Refactor the parser?');
+  assert.equal(deriveSessionTitle('I would like you to help me write docs'), 'Write docs');
+  // A prompt that is nothing but filler keeps its words
+  assert.equal(deriveSessionTitle('Hello Q!'), 'Hello Q!');
+});
+
+test('deriveSessionTitle truncates long prompts at a word boundary', () => {
+  const title = deriveSessionTitle(`Update ${'dependency '.repeat(10)}versions`);
+  assert.equal(title, 'Update dependency dependency dependency dependency...');
+  assert.ok(title.length <= 60);
+
+  // Without a space close enough, the cut is made mid-word
+  assert.equal(deriveSessionTitle('x'.repeat(100)), `X${'x'.repeat(56)}...`);
+});
+
+test('summarizeSession lists edited files, commands and how the session ended', () => {
+  const summary = summarizeSession([
+    { role: 'user', content: 'Fix the tests' },
+    {
+      role: 'assistant',
+      content: 'Done.\n\n**All tests pass.**\n```',
+      exitCode: 0,
+      events: [
+        { type: 'fs-write', path: 'src/a.js' },
+        { type: 'fs-write', path: 'src/b.js' },
+        { type: 'fs-write', path: 'src/a.js' },
+        { type: 'fs-write', path: 'lib/c.js' },
+        { type: 'execute-bash', command: '  npm test\n  -- --watch=false' },
+        { type: 'execute-bash', command: 'ls' }
+      ]
+    }
+  ]);
+
+  assert.deepEqual(summary, {
+    text: 'Edited a.js, b.js +1 · Ran npm test +1 · All tests pass.',
+    files: ['src/a.js', 'src/b.js', 'lib/c.js'],
+    fileCount: 3,
+    commands: ['npm test', 'ls'],
+    commandCount: 2,
+    status: 'completed',
+    outcome: 'All tests pass.'
+  });
+});
+
+test('summarizeSession reports failed, stopped and unanswered sessions', () => {
+  const failed = summarizeSession([{ role: 'assistant', content: '', exitCode: 1, error: 'Q CLI exited with code 1: `boom`\nmore detail' }]);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.text, 'Failed: Q CLI exited with code 1: boom');
+
+  const stopped = summarizeSession([{ role: 'assistant', content: 'Partial', aborted: true }]);
+  assert.equal(stopped.status, 'stopped');
+  assert.equal(stopped.outcome, 'Stopped before finishing');
+
+  const pending = summarizeSession([{ role: 'user', content: 'Hello' }]);
+  assert.equal(pending.status, 'pending');
+  assert.equal(pending.text, '');
+});
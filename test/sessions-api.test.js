@@ -0,0 +1,215 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const SERVER_PATH = fileURLToPath(new URL('../server/index.js', import.meta.url));
+const STARTUP_TIMEOUT_MS = 20000;
+
+// Seeded sessions of the "alpha" project. a3 is pinned, so it comes first in every order,
+// and a7 is archived, so it's only listed with ?archived=true
+const ALPHA_SESSIONS = [
+  { id: 'a1', title: 'Delta', created: '2026-01-01', updated: '2026-01-09' },
+  { id: 'a2', title: 'alpha', created: '2026-01-02', updated: '2026-01-03' },
+  { id: 'a3', title: 'Charlie', created: '2026-01-03', updated: '2026-01-05', pinned: true },
+  { id: 'a4', title: 'Bravo', created: '2026-01-04', updated: '2026-01-08' },
+  { id: 'a5', title: 'Echo', created: '2026-01-05', updated: '2026-01-01' },
+  { id: 'a6', title: 'Foxtrot', created: '2026-01-06', updated: '2026-01-06' },
+  { id: 'a7', title: 'Golf', created: '2026-01-07', updated: '2026-01-10', archived: true }
+];
+const BETA_SESSIONS = [
+  { id: 'b1', title: 'Beta one', created: '2026-01-01', updated: '2026-01-11' },
+  { id: 'b2', title: 'Beta two', created: '2026-01-02', updated: '2026-01-12' }
+];
+
+const ORDERS = {
+  updated: ['a3', 'a1', 'a4', 'a6', 'a2', 'a5'],
+  created: ['a3', 'a6', 'a5', 'a4', 'a2', 'a1'],
+  title: ['a3', 'a2', 'a4', 'a1', 'a5', 'a6']
+};
+
+let home;
+let server;
+let baseUrl;
+
+const projectId = (projectPath) => crypto.createHash('sha256').update(path.resolve(projectPath)).digest('hex').slice(0, 12);
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function request(urlPath, options = {}) {
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  return { status: response.status, body: await response.json() };
+}
+
+const listSessions = (project, query = '') => request(`/api/projects/${project}/sessions${query}`);
+const ids = (body) => body.sessions.map(session => session.id);
+
+async function seedSessions(databasePath, projectPath, sessions) {
+  process.env.DATABASE_PATH = databasePath;
+  const { initializeDatabase, sessionDb } = await import('../server/database/db.js');
+  await initializeDatabase();
+  for (const { id, title, created, updated, ...flags } of sessions) {
+    sessionDb.createSession({
+      id,
+      projectName: projectId(projectPath),
+      projectPath,
+      title,
+      created_at: `${created}T12:00:00.000Z`,
+      updated_at: `${updated}T12:00:00.000Z`,
+      ...flags
+    });
+  }
+}
+
+async function waitForServer() {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) {
+      throw new Error(`Server exited with code ${server.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/api/projects`);
+      if (response.ok) return;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start in time');
+}
+
+before(async () => {
+  home = await fs.mkdtemp(path.join(os.tmpdir(), 'q-webui-test-'));
+  const alphaPath = path.join(home, 'projects', 'alpha');
+  const betaPath = path.join(home, 'projects', 'beta');
+  for (const projectPath of [alphaPath, betaPath]) {
+    await fs.mkdir(projectPath, { recursive: true });
+    await fs.writeFile(path.join(projectPath, 'package.json'), JSON.stringify({ name: path.basename(projectPath) }));
+  }
+
+  const databasePath = path.join(home, 'test.db');
+  await seedSessions(databasePath, alphaPath, ALPHA_SESSIONS);
+  await seedSessions(databasePath, betaPath, BETA_SESSIONS);
+
+  const port = await getFreePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, HOME: home, PORT: String(port), REQUIRE_AUTH: 'false', DATABASE_PATH: databasePath },
+    stdio: 'ignore'
+  });
+  await waitForServer();
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill('SIGTERM');
+    await exited;
+  }
+  if (home) {
+    await fs.rm(home, { recursive: true, force: true });
+  }
+});
+
+test('pages with limit and offset, reporting total and hasMore', async () => {
+  const first = await listSessions('alpha', '?limit=4&offset=0');
+  assert.equal(first.status, 200);
+  assert.deepEqual(ids(first.body), ORDERS.updated.slice(0, 4));
+  assert.equal(first.body.total, 6);
+  assert.equal(first.body.hasMore, true);
+
+  const last = await listSessions('alpha', '?limit=4&offset=4');
+  assert.deepEqual(ids(last.body), ORDERS.updated.slice(4));
+  assert.equal(last.body.offset, 4);
+  assert.equal(last.body.hasMore, false);
+  assert.equal(last.body.nextCursor, null);
+
+  const beyond = await listSessions('alpha', '?limit=4&offset=10');
+  assert.deepEqual(ids(beyond.body), []);
+  assert.equal(beyond.body.hasMore, false);
+});
+
+test('following nextCursor lists every session once, in order', async () => {
+  for (const sort of Object.keys(ORDERS)) {
+    const seen = [];
+    let query = `?limit=2&sort=${sort}`;
+    for (let page = 0; page < 10; page++) {
+      const { status, body } = await listSessions('alpha', query);
+      assert.equal(status, 200);
+      seen.push(...ids(body));
+      if (!body.nextCursor) break;
+      assert.equal(body.hasMore, true);
+      query = `?limit=2&sort=${sort}&cursor=${body.nextCursor}`;
+    }
+    assert.deepEqual(seen, ORDERS[sort], `sort=${sort}`);
+  }
+});
+
+test('sorts by each sort key with pinned sessions first', async () => {
+  for (const [sort, expected] of Object.entries(ORDERS)) {
+    const { status, body } = await listSessions('alpha', `?limit=100&sort=${sort}`);
+    assert.equal(status, 200);
+    assert.deepEqual(ids(body), expected, `sort=${sort}`);
+  }
+});
+
+test('includes archived sessions only when asked', async () => {
+  const { body } = await listSessions('alpha', '?limit=100&archived=true');
+  assert.deepEqual(ids(body), ['a3', 'a7', 'a1', 'a4', 'a6', 'a2', 'a5']);
+  assert.equal(body.total, 7);
+});
+
+test('rejects invalid sort keys, cursors and limits', async () => {
+  for (const query of ['?sort=bogus', '?sort=constructor', '?sort=__proto__', '?cursor=not-a-cursor', '?limit=0', '?limit=101', '?offset=-1']) {
+    const { status, body } = await listSessions('alpha', query);
+    assert.equal(status, 400, query);
+    assert.ok(body.error, query);
+  }
+});
+
+test('answers 404 for unknown projects', async () => {
+  assert.equal((await listSessions('nope')).status, 404);
+  assert.equal((await request('/api/projects/nope/sessions/a1/messages')).status, 404);
+  assert.equal((await request('/api/projects/nope/sessions/a1', { method: 'DELETE' })).status, 404);
+});
+
+test('keeps sessions to the project they belong to', async () => {
+  const { body } = await listSessions('beta', '?limit=100');
+  assert.deepEqual(ids(body), ['b2', 'b1']);
+  assert.equal(body.total, 2);
+
+  const alpha = await listSessions('alpha', '?limit=100&archived=true');
+  assert.ok(ids(alpha.body).every(id => id.startsWith('a')));
+
+  // Another project's session can't be read or deleted through this one
+  assert.equal((await request('/api/projects/alpha/sessions/b1/messages')).status, 404);
+  assert.equal((await request('/api/projects/alpha/sessions/b1', { method: 'DELETE' })).status, 404);
+  assert.deepEqual(ids((await listSessions('beta', '?limit=100')).body), ['b2', 'b1']);
+});
+
+test('searches sessions with a validated limit', async () => {
+  for (const limit of ['abc', '-1', '0', '101', '2.5']) {
+    const { status, body } = await request(`/api/search/sessions?q=beta&limit=${limit}`);
+    assert.equal(status, 400, limit);
+    assert.ok(body.error, limit);
+  }
+
+  const { status, body } = await request('/api/search/sessions?q=beta&limit=1');
+  assert.equal(status, 200);
+  assert.equal(body.results.length, 1);
+  assert.equal((await request('/api/search/sessions?q=beta')).body.results.length, 2);
+});